@@ -2,13 +2,54 @@
 // ✅ Uses available dates (data/available-dates.json) to constrain the date picker
 // ✅ Defaults to mode=edition (Digital Volume)
 // ✅ Fetches XML via your Worker proxy, which then fetches data.oireachtas.ie
+//    (falls back through XML_SOURCE_ORDER: HF mirror, same-origin data/xml/, direct; ?source= overrides)
 // ✅ Toggle layout fix: toggle is positioned OUT OF FLOW so it cannot push the date down
 // ✅ Date picker UX: no auto-correct while typing; auto-correct on change (picker selection) and/or Go, with hint
 // ✅ DEFAULT_DATE is set dynamically to the latest date from data/available-dates.json
 // ✅ Kebab menu: Save offline copy + Print + Share link (injected if missing)
 // ✅ NEW: Back-to-top button (injected; no HTML/CSS changes required)
-
-const NS = "http://docs.oasis-open.org/legaldocml/ns/akn/3.0/CSD13";
+// ✅ House switch: ?house=seanad (or a committee slug) flows through URLs, dates index + citations
+// ✅ Full-text search in the ToC header (highlights + next/previous + hash)
+// ✅ Cross-date search page (?view=search) over the static index in data/search/
+// ✅ Speaker facet + ?speaker= view (only that member's speeches, headings kept)
+// ✅ Member model from <references>/<TLCPerson>: speeches, divisions + citations resolve by="#…"
+// ✅ Divisions parsed to data: tally header, CSV/JSON download, "how did X vote" lookup
+// ✅ Offline copy is a single file: all styles, embedded harp, inline ToC/column/citation script
+// ✅ Service worker: shell + opened sittings readable offline; "Saved sittings" manager in ⋯ menu
+// ✅ Full AKN inline vocabulary (ref/a, person/role, docTitle, sup/sub/u/del/ins, img) + tables
+// ✅ Per-date page maps (data/pagemap/<date>.json): page numbers in the margin + "Go to page"
+// ✅ Historical columns: start/end column per speech in citations + tooltips; column jump takes ranges + nearest
+// ✅ In-place navigation between sittings (pushState, loading state, cancelled fetches, scroll restore)
+// ✅ ‹ Previous / Next › sitting in the tophead, [ ] and c shortcuts, month-grid calendar of sitting days
+// ✅ Deep links resolved after render + on hashchange (#spk_42, #para_7, #dbsect_12, #col-2850, #p-452)
+// ✅ ¶ permalink on every paragraph; "Quote this" on a selection (excerpt + deep link that highlights it)
+// ✅ Citation popover on speeches: OSCOLA, Harvard, APA, BibTeX, CSL-JSON (js/citations.js)
+// ✅ ?print=pdf: self-links on speeches/paragraphs so scripts/build_pdf.mjs can map eIds to PDF pages
+// ✅ XML → HTML transform lives in js/render.js (runs under Node too); pre-rendered pages hydrate without a fetch
+// ✅ Namespace-agnostic AKN lookup (CSD13 or final 3.0); document health panel for parse/structure issues
+// ✅ Division party breakdown (stacked bar + table) from data/members.json; votes against the party majority flagged
+// ✅ Irish/English interface (js/i18n.js, ?lang= + dv_lang); lang attributes on Irish/English blocks of the record
+
+import { CITATION_STYLES, DEFAULT_CITATION_STYLE, formatCitation, isCitationStyle } from "./citations.js";
+import { DEFAULT_LANG, LANG_NAMES, UI_LANGS, dateLocale, translate } from "./i18n.js";
+import { termShard, tokenize } from "./search.js";
+import {
+  LOBBIES,
+  columnNumber,
+  elementBuilder,
+  fillTitlePage,
+  findDebateBody,
+  foldForSearch,
+  formatColumnRange,
+  getDocDateISO,
+  hydrateSittingState,
+  nameKey,
+  normalizeChamber,
+  refId,
+  spkNumFromId,
+  transformSitting,
+  xmlParseError,
+} from "./render.js";
 
 // Hard fallback only (used if available-dates.json fails to load)
 const FALLBACK_DATE = "2026-02-05";
@@ -18,24 +59,87 @@ let DEFAULT_DATE = FALLBACK_DATE;
 // Cloudflare Worker proxy (CORS bypass)
 const PROXY_BASE = "https://digital-volume-proxy.cassdavid.workers.dev/akn";
 
+// Hugging Face mirror of the Dáil XML (see up_to_HF.py); files are <date>_mul@.xml
+const HF_BASE = "https://huggingface.co/datasets/bubcass/oireachtas-debates/resolve/main";
+
+// XML sources tried in order until one returns parseable XML; ?source=local,proxy overrides
+const XML_SOURCE_ORDER = ["proxy", "hf"];
+
+// Per-source timeout so a hung source falls through to the next one
+const XML_SOURCE_TIMEOUT_MS = 20000;
+
 // Default mode: edition == Digital Volume
 const DEFAULT_MODE = "edition"; // (web|edition)
 
+// Interface language (en|ga), remembered like dv_mode; see getLangFromQueryOrStorage
+const LANG_KEY = "dv_lang";
+const UI_LANG = getLangFromQueryOrStorage();
+
+// Default house: ?house=seanad or a committee slug (e.g. select_committee_on_health) overrides
+const DEFAULT_HOUSE = "dail";
+
+// Houses with fixed labels; any other slug is treated as a committee
+const HOUSES = {
+  dail: { label: "Dáil Éireann", proponent: "DÁIL ÉIREANN", debates: "Dáil Debates", short: "Dáil Deb" },
+  seanad: { label: "Seanad Éireann", proponent: "SEANAD ÉIREANN", debates: "Seanad Debates", short: "Seanad Deb" },
+};
+
+// Runtime house (set in init from ?house=)
+let HOUSE = DEFAULT_HOUSE;
+
 /* -----------------------------
    URL builders
 ------------------------------ */
 
+// The folder index.html is served from; data/ and sw.js resolve against it, so
+// pages pre-rendered into sittings/ (scripts/prerender.mjs) find them too
+const APP_ROOT = new URL("../", import.meta.url);
+
+function appUrl(relPath) {
+  return new URL(relPath, APP_ROOT).href;
+}
+
+// This page's URL as the reader's; a pre-rendered page (html[data-prerendered]) stands in for index.html
+function readerUrl() {
+  const u = new URL(window.location.href);
+  if (!document.documentElement.hasAttribute("data-prerendered")) return u;
+  const root = new URL(APP_ROOT);
+  root.search = u.search;
+  root.hash = u.hash;
+  return root;
+}
+
 // Oireachtas canonical Akoma Ntoso endpoint pattern
-function oirCanonicalXmlUrl(dateISO) {
-  return `https://data.oireachtas.ie/akn/ie/debateRecord/dail/${dateISO}/debate/mul@/main.xml`;
+function oirCanonicalXmlUrl(dateISO, house = HOUSE) {
+  return `https://data.oireachtas.ie/akn/ie/debateRecord/${house}/${dateISO}/debate/mul@/main.xml`;
 }
 
 // Proxied URL used by the browser (Worker fetches canonical, adds CORS headers)
-function proxiedOirXmlUrl(dateISO) {
-  const target = oirCanonicalXmlUrl(dateISO);
+function proxiedOirXmlUrl(dateISO, house = HOUSE) {
+  const target = oirCanonicalXmlUrl(dateISO, house);
   return `${PROXY_BASE}?url=${encodeURIComponent(target)}`;
 }
 
+// oireachtas.ie web page for a sitting (Web mode + citations)
+function oirWebDebateUrl(dateISO, house = HOUSE) {
+  return `https://www.oireachtas.ie/en/debates/debate/${house}/${dateISO}/`;
+}
+
+// Same-origin mirror (git-ignored cache; copy sittings here to serve them without the proxy)
+function localXmlUrl(dateISO, house = HOUSE) {
+  return appUrl(`data/xml/${house}/${dateISO}_mul@.xml`);
+}
+
+// Dáil keeps the original index path; other houses get one file each
+function availableDatesUrl(house = HOUSE) {
+  return appUrl(house === "dail" ? "data/available-dates.json" : `data/available-dates/${house}.json`);
+}
+
+// Written by scripts/build_pdf.mjs; same Dáil/other-house split as the dates index
+function pageMapUrl(dateISO, house = HOUSE) {
+  return appUrl(house === "dail" ? `data/pagemap/${dateISO}.json` : `data/pagemap/${house}/${dateISO}.json`);
+}
+
 /* -----------------------------
    Query + mode helpers
 ------------------------------ */
@@ -47,6 +151,67 @@ function getDateFromQuery(fallback = DEFAULT_DATE) {
   return /^\d{4}-\d{2}-\d{2}$/.test(d || "") ? d : fallback;
 }
 
+/** Accepts ?house=dail|seanad|<committee_slug> */
+function getHouseFromQuery(fallback = DEFAULT_HOUSE) {
+  const u = new URL(window.location.href);
+  const h = (u.searchParams.get("house") || "").toLowerCase().trim();
+  return /^[a-z0-9_]+$/.test(h) ? h : fallback;
+}
+
+// Dáil is the default, so it stays out of the URL
+function setHouseParam(u, house = HOUSE) {
+  if (house && house !== DEFAULT_HOUSE) u.searchParams.set("house", house);
+  else u.searchParams.delete("house");
+}
+
+function isCommitteeHouse(house = HOUSE) {
+  return !HOUSES[house];
+}
+
+/** "select_committee_on_health" -> "Select Committee on Health" */
+function houseLabel(house = HOUSE) {
+  if (HOUSES[house]) return HOUSES[house].label;
+  return normalizeChamber(String(house || "").replace(/_/g, " "));
+}
+
+function houseDebatesLabel(house = HOUSE) {
+  return HOUSES[house]?.debates || `${houseLabel(house)} Debates`;
+}
+
+/** OSCOLA abbreviation: "Dáil Deb", "Seanad Deb", "<Committee> Deb" */
+function houseShortLabel(house = HOUSE) {
+  return HOUSES[house]?.short || `${houseLabel(house)} Deb`;
+}
+
+/** ?speaker=<name as shown on the speech> */
+function getSpeakerFromQuery() {
+  const u = new URL(window.location.href);
+  return (u.searchParams.get("speaker") || "").replace(/\s+/g, " ").trim();
+}
+
+/** ?view=search opens the cross-date search page instead of a sitting */
+function getViewFromQuery() {
+  const u = new URL(window.location.href);
+  return (u.searchParams.get("view") || "").toLowerCase() === "search" ? "search" : "sitting";
+}
+
+/** ?source=local or ?source=local,proxy — only known source ids, in the order given */
+function getSourceOrderFromQuery(fallback = XML_SOURCE_ORDER) {
+  const u = new URL(window.location.href);
+  const raw = (u.searchParams.get("source") || "").toLowerCase();
+  const ids = raw
+    .split(",")
+    .map((x) => x.trim())
+    .filter((x) => XML_SOURCES[x]);
+  return ids.length ? Array.from(new Set(ids)) : fallback;
+}
+
+/** ?print=pdf is set by scripts/build_pdf.mjs when Vivliostyle renders the sitting */
+function isPdfBuild() {
+  const u = new URL(window.location.href);
+  return (u.searchParams.get("print") || "").toLowerCase() === "pdf";
+}
+
 /** mode (web|edition) with default=edition */
 function getModeFromQueryOrStorage(fallback = DEFAULT_MODE) {
   const u = new URL(window.location.href);
@@ -63,74 +228,175 @@ function setMode(mode) {
 
   const u = new URL(window.location.href);
   u.searchParams.set("mode", m);
-  history.replaceState(null, "", u.toString());
+  history.replaceState(history.state, "", u.toString());
 
   document.documentElement.setAttribute("data-mode", m);
 }
 
 function modeTitle(mode) {
-  return mode === "edition" ? "Switch to Web view" : "Switch to Digital Volume view";
+  return mode === "edition" ? t("mode.toWeb") : t("mode.toDv");
 }
 
-/* -----------------------------
-   Utilities
------------------------------- */
-
-function text(el) {
-  return (el?.textContent || "").replace(/\s+/g, " ").trim();
+/** Interface language (en|ga): ?lang=, else the last one picked, else the browser's */
+function getLangFromQueryOrStorage(fallback = DEFAULT_LANG) {
+  const u = new URL(window.location.href);
+  const q = (u.searchParams.get("lang") || "").toLowerCase();
+  const s = (localStorage.getItem(LANG_KEY) || "").toLowerCase();
+  const nav = /^ga\b/i.test(navigator.language || "") ? "ga" : "";
+  return [q, s, nav].find((l) => UI_LANGS.includes(l)) || fallback;
 }
 
-function q1(nsParent, tag, pred = null) {
-  const els = nsParent.getElementsByTagNameNS(NS, tag);
-  if (!pred) return els[0] || null;
-  for (const el of els) if (pred(el)) return el;
-  return null;
+// Keep the URL in sync, as setMode does; only a pick on #langSwitch is remembered (`save`), so
+// a reader who never picks keeps following the browser's language
+function setLang(lang, { save = false } = {}) {
+  const l = UI_LANGS.includes(lang) ? lang : DEFAULT_LANG;
+  if (save) localStorage.setItem(LANG_KEY, l);
+
+  const u = new URL(window.location.href);
+  u.searchParams.set("lang", l);
+  history.replaceState(history.state, "", u.toString());
+
+  document.documentElement.setAttribute("lang", l);
 }
 
-function qAll(nsParent, tag) {
-  return Array.from(nsParent.getElementsByTagNameNS(NS, tag));
+/** Interface string in the reader's language (js/i18n.js) */
+function t(key, vars) {
+  return translate(UI_LANG, key, vars);
 }
 
-function el(tag, attrs = {}, children = []) {
-  const node = document.createElement(tag);
-  for (const [k, v] of Object.entries(attrs)) {
-    if (v === null || v === undefined) continue;
-    if (k === "class") node.className = v;
-    else if (k === "text") node.textContent = v;
-    else node.setAttribute(k, v);
-  }
-  for (const c of children) {
-    if (c === null || c === undefined) continue;
-    node.appendChild(typeof c === "string" ? document.createTextNode(c) : c);
+/**
+ * index.html's own strings: data-i18n="key" sets the text, data-i18n-attr="attr:key …"
+ * sets attributes (aria-label, title, alt).
+ */
+function localizePage(root = document) {
+  for (const n of root.querySelectorAll("[data-i18n]")) n.textContent = t(n.getAttribute("data-i18n"));
+  for (const n of root.querySelectorAll("[data-i18n-attr]")) {
+    for (const pair of n.getAttribute("data-i18n-attr").split(/\s+/).filter(Boolean)) {
+      const [attr, key] = pair.split(":");
+      if (attr && key) n.setAttribute(attr, t(key));
+    }
   }
-  return node;
+  if (!document.documentElement.hasAttribute("data-prerendered")) document.title = t("page.title");
 }
 
-async function fetchTextOrThrow(url) {
-  const res = await fetch(url, { cache: "no-store" });
-  if (!res.ok) throw new Error(`HTTP ${res.status} fetching ${url}`);
-  return await res.text();
+/** #langSwitch offers the other language; switching reloads so every string is redrawn in it */
+function wireLangSwitch() {
+  const btn = document.getElementById("langSwitch");
+  if (!btn) return;
+  const other = UI_LANGS.find((l) => l !== UI_LANG) || DEFAULT_LANG;
+  btn.textContent = LANG_NAMES[other];
+  btn.setAttribute("lang", other);
+  btn.setAttribute("title", t("lang.switch"));
+
+  btn.addEventListener("click", () => {
+    setLang(other, { save: true });
+    saveScrollPosition(); // init restores it from history.state after the reload
+    window.location.reload();
+  });
 }
 
-async function loadXMLFromDate(dateISO) {
-  const url = proxiedOirXmlUrl(dateISO);
+/* -----------------------------
+   Utilities
+------------------------------ */
+
+// DOM builder for the live page (the XML → HTML transform itself is js/render.js)
+const el = elementBuilder(document);
+
+// `signal` cancels from outside (another sitting was picked); the AbortError is rethrown as is
+async function fetchTextOrThrow(url, { timeoutMs = 0, signal = null } = {}) {
+  const ctrl = new AbortController();
+  let timedOut = false;
+  const timer = timeoutMs
+    ? window.setTimeout(() => {
+        timedOut = true;
+        ctrl.abort();
+      }, timeoutMs)
+    : null;
+  const cancel = () => ctrl.abort();
+  if (signal?.aborted) ctrl.abort();
+  else signal?.addEventListener("abort", cancel, { once: true });
 
   try {
-    const xmlText = await fetchTextOrThrow(url);
-    const doc = new DOMParser().parseFromString(xmlText, "application/xml");
-    const pe = doc.getElementsByTagName("parsererror")[0];
-    if (pe) throw new Error(`XML parse error for ${dateISO}`);
-    return doc;
+    const res = await fetch(url, { cache: "no-store", signal: ctrl.signal });
+    if (!res.ok) throw new Error(`HTTP ${res.status} fetching ${url}`);
+    return await res.text();
   } catch (e) {
-    throw new Error(
-      `Failed to load XML for ${dateISO}.\n\nTried:\n- ${url}\n\nLast error: ${String(e)}`
-    );
+    if (e?.name === "AbortError" && timedOut) throw new Error(`Timed out after ${timeoutMs / 1000}s`);
+    throw e;
+  } finally {
+    if (timer) window.clearTimeout(timer);
+    signal?.removeEventListener("abort", cancel);
+  }
+}
+
+/* -----------------------------
+   XML sources (proxy, direct, local folder, Hugging Face mirror)
+------------------------------ */
+
+// id -> { label, url(dateISO, house) | null when the source cannot serve that house }
+const XML_SOURCES = {
+  proxy: {
+    label: "Cloudflare Worker proxy",
+    url: (d, h) => proxiedOirXmlUrl(d, h),
+  },
+  direct: {
+    label: "data.oireachtas.ie (direct, needs CORS)",
+    url: (d, h) => oirCanonicalXmlUrl(d, h),
+  },
+  local: {
+    label: "same-origin data/xml/",
+    url: (d, h) => localXmlUrl(d, h),
+  },
+  hf: {
+    label: "Hugging Face mirror",
+    // the dataset only mirrors the Dáil
+    url: (d, h) => (h === "dail" ? `${HF_BASE}/${d}_mul@.xml` : null),
+  },
+};
+
+// Filled by loadXMLFromDate: [{ source, url, ok, error }] for the debug panel
+let XML_ATTEMPTS = [];
+let XML_SOURCE_USED = "";
+
+async function loadXMLFromDate(dateISO, { house = HOUSE, order = getSourceOrderFromQuery(), signal = null } = {}) {
+  XML_ATTEMPTS = [];
+  XML_SOURCE_USED = "";
+
+  for (const id of order) {
+    const src = XML_SOURCES[id];
+    const url = src?.url(dateISO, house) || null;
+    if (!url) {
+      XML_ATTEMPTS.push({ source: id, url: "", ok: false, error: `does not serve ${house}` });
+      continue;
+    }
+
+    try {
+      const xmlText = await fetchTextOrThrow(url, { timeoutMs: XML_SOURCE_TIMEOUT_MS, signal });
+      const doc = new DOMParser().parseFromString(xmlText, "application/xml");
+      // Some browsers keep what parsed before the error: show that (the health
+      // panel reports the error). With nothing to show, try the next source.
+      const parseError = xmlParseError(doc);
+      if (parseError && !findDebateBody(doc)) throw new Error(`XML parse error for ${dateISO}: ${parseError}`);
+
+      XML_ATTEMPTS.push({ source: id, url, ok: true, error: "" });
+      XML_SOURCE_USED = id;
+      return doc;
+    } catch (e) {
+      // cancelled, not failed: don't fall through to the next source
+      if (signal?.aborted) throw e;
+      XML_ATTEMPTS.push({ source: id, url, ok: false, error: String(e?.message || e) });
+    }
   }
+
+  const tried = XML_ATTEMPTS.map((a) => `- ${a.source}: ${a.url || "(skipped)"}\n  ${a.error}`).join("\n");
+  throw new Error(`Failed to load XML for ${dateISO}.\n\nTried:\n${tried}`);
 }
 
-async function loadPageMap() {
+/** [{ page, eid }] for one sitting; [] when no PDF has been built for it */
+async function loadPageMap(dateISO, house = HOUSE, { signal = null } = {}) {
+  if (!dateISO) return [];
   try {
-    const res = await fetch("data/pagemap.json", { cache: "no-store" });
+    const res = await fetch(pageMapUrl(dateISO, house), { cache: "no-store", signal });
     if (!res.ok) return [];
     const data = await res.json();
     return Array.isArray(data) ? data : [];
@@ -139,14 +405,17 @@ async function loadPageMap() {
   }
 }
 
-/* -----------------------------
-   Speech id helper (used in render + citations)
------------------------------- */
+// data/members.json: parties for the division breakdowns (buildPartyLookup in
+// js/render.js). Optional; fetched once, null when there is none.
+let MEMBER_PARTIES = null; // Promise
 
-function spkNumFromId(spkId) {
-  if (!spkId) return "";
-  const m = String(spkId).match(/^spk_(\d+)$/);
-  return m ? m[1] : "";
+function loadMemberParties() {
+  if (!MEMBER_PARTIES) {
+    MEMBER_PARTIES = fetch(appUrl("data/members.json"), { cache: "no-store" })
+      .then((res) => (res.ok ? res.json() : null))
+      .catch(() => null);
+  }
+  return MEMBER_PARTIES;
 }
 
 /* -----------------------------
@@ -155,18 +424,26 @@ function spkNumFromId(spkId) {
 
 let AVAILABLE_DATES = null; // Set<string> once loaded
 let AVAILABLE_SORTED = null; // string[] cached sorted ISO dates
+let SITTING_META = new Map(); // date -> { chamber, xml, volume, number, status, sections } (index v2)
 
-async function loadAvailableDates() {
+async function loadAvailableDates(house = HOUSE) {
   try {
-    const res = await fetch("data/available-dates.json", { cache: "no-store" });
+    const res = await fetch(availableDatesUrl(house), { cache: "no-store" });
     if (!res.ok) return null;
     const data = await res.json();
 
-    // Accept either ["YYYY-MM-DD", ...] or { dates: [...] }
+    // Accept either ["YYYY-MM-DD", ...] or { dates: [...], sittings: { date: meta } }
     const arr = Array.isArray(data) ? data : Array.isArray(data?.dates) ? data.dates : null;
     if (!arr) return null;
 
-    const set = new Set(arr.filter((d) => /^\d{4}-\d{2}-\d{2}$/.test(d)));
+    SITTING_META = new Map(
+      Object.entries(data?.sittings || {}).filter(([d, meta]) => /^\d{4}-\d{2}-\d{2}$/.test(d) && meta)
+    );
+
+    // a sitting the API lists without an XML format cannot be opened
+    const set = new Set(
+      arr.filter((d) => /^\d{4}-\d{2}-\d{2}$/.test(d) && SITTING_META.get(d)?.xml !== false)
+    );
     if (!set.size) return null;
 
     const sorted = Array.from(set).sort(); // ISO => lexicographic sort works
@@ -181,13 +458,9 @@ async function loadAvailableDates() {
   }
 }
 
-/** nearest earlier (or earliest) available; uses cached sorted list */
-function nearestAvailableOnOrBefore(dateISO) {
-  if (!AVAILABLE_DATES || !AVAILABLE_DATES.size || !AVAILABLE_SORTED?.length) return dateISO;
-  if (AVAILABLE_DATES.has(dateISO)) return dateISO;
-
-  const sorted = AVAILABLE_SORTED;
-  // binary search first >= dateISO
+/** binary search: index of the first available date >= dateISO (length when none) */
+function availableIndexAtOrAfter(dateISO) {
+  const sorted = AVAILABLE_SORTED || [];
   let lo = 0,
     hi = sorted.length;
   while (lo < hi) {
@@ -195,30 +468,35 @@ function nearestAvailableOnOrBefore(dateISO) {
     if (sorted[mid] < dateISO) lo = mid + 1;
     else hi = mid;
   }
+  return lo;
+}
+
+/** nearest earlier (or earliest) available; uses cached sorted list */
+function nearestAvailableOnOrBefore(dateISO) {
+  if (!AVAILABLE_DATES || !AVAILABLE_DATES.size || !AVAILABLE_SORTED?.length) return dateISO;
+  if (AVAILABLE_DATES.has(dateISO)) return dateISO;
+
   // choose previous (earlier) if possible, else first
-  const idx = Math.max(0, lo - 1);
-  return sorted[idx] || dateISO;
+  const idx = Math.max(0, availableIndexAtOrAfter(dateISO) - 1);
+  return AVAILABLE_SORTED[idx] || dateISO;
+}
+
+/** Sitting before (step < 0) or after dateISO; "" at either end of the list */
+function adjacentSitting(dateISO, step) {
+  const sorted = AVAILABLE_SORTED || [];
+  if (!sorted.length || !dateISO) return "";
+
+  const i = availableIndexAtOrAfter(dateISO);
+  if (step < 0) return sorted[i - 1] || "";
+  return sorted[sorted[i] === dateISO ? i + 1 : i] || "";
 }
 
+// <datalist> suggestions are ignored for type="date"; the sitting calendar covers that
 function setDatePickerConstraints(inputEl) {
   if (!inputEl || !AVAILABLE_SORTED?.length) return;
 
   inputEl.min = AVAILABLE_SORTED[0];
   inputEl.max = AVAILABLE_SORTED[AVAILABLE_SORTED.length - 1];
-
-  // Optional <datalist> suggestions (browser support varies for type="date")
-  const existing = document.getElementById("availableDatesList");
-  if (existing) existing.remove();
-
-  const dl = document.createElement("datalist");
-  dl.id = "availableDatesList";
-  for (const d of AVAILABLE_SORTED) {
-    const opt = document.createElement("option");
-    opt.value = d;
-    dl.appendChild(opt);
-  }
-  document.body.appendChild(dl);
-  inputEl.setAttribute("list", "availableDatesList");
 }
 
 /* -----------------------------
@@ -418,7 +696,7 @@ function ensureShareMenuItem(menu) {
   shareBtn.className = "kebab__item";
   shareBtn.type = "button";
   shareBtn.setAttribute("role", "menuitem");
-  shareBtn.textContent = "Share link";
+  shareBtn.textContent = t("menu.share");
 
   const printBtn = document.getElementById("printBtn");
   if (printBtn && printBtn.parentElement === menu) {
@@ -439,6 +717,11 @@ async function shareCurrentLink() {
 
   // ensure mode exists in link
   url.searchParams.set("mode", getModeFromQueryOrStorage(DEFAULT_MODE));
+  setHouseParam(url);
+
+  // keep the speaker view when one is active
+  if (SPEAKER_FILTER) url.searchParams.set("speaker", SPEAKER_FILTER);
+  else url.searchParams.delete("speaker");
 
   const shareUrl = url.toString();
 
@@ -458,7 +741,7 @@ async function shareCurrentLink() {
   // Clipboard fallback
   try {
     await navigator.clipboard.writeText(shareUrl);
-    toastHint(`Link copied: ${shareUrl}`);
+    toastHint(t("link.copied", { url: shareUrl }));
   } catch {
     const ta = document.createElement("textarea");
     ta.value = shareUrl;
@@ -469,7 +752,7 @@ async function shareCurrentLink() {
     ta.select();
     document.execCommand("copy");
     document.body.removeChild(ta);
-    toastHint(`Link copied: ${shareUrl}`);
+    toastHint(t("link.copied", { url: shareUrl }));
   }
 }
 
@@ -481,54 +764,405 @@ function toastHint(msg) {
   hint.textContent = msg;
   if (TOAST_TIMER) window.clearTimeout(TOAST_TIMER);
   TOAST_TIMER = window.setTimeout(() => {
-    hint.textContent = "";
+    // the offline notice outlives transient messages
+    hint.textContent = OFFLINE_NOTE || "";
   }, 2200);
 }
 
+// Stylesheets as served (css/styles.css etc.) plus the <style> blocks injected at runtime
+async function collectSnapshotCss() {
+  const parts = [];
+
+  for (const link of document.querySelectorAll('link[rel="stylesheet"][href]')) {
+    try {
+      const res = await fetch(link.href, { cache: "no-store" });
+      if (res.ok) parts.push(await res.text());
+    } catch {
+      // unreachable sheet: the snapshot still has the injected styles
+    }
+  }
+
+  for (const style of document.querySelectorAll("style")) {
+    parts.push(style.textContent || "");
+  }
+
+  return parts.join("\n\n");
+}
+
+async function fetchAsDataUrl(url) {
+  const res = await fetch(url, { cache: "no-store" });
+  if (!res.ok) throw new Error(`HTTP ${res.status} fetching ${url}`);
+  const blob = await res.blob();
+  return await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result || ""));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Inline every <img> (the harp) so the file has no relative URLs left
+async function embedSnapshotImages(root) {
+  for (const img of root.querySelectorAll("img[src]")) {
+    const src = img.getAttribute("src") || "";
+    if (!src || src.startsWith("data:")) continue;
+    try {
+      img.setAttribute("src", await fetchAsDataUrl(new URL(src, window.location.href).href));
+    } catch {
+      img.remove();
+    }
+  }
+}
+
+/**
+ * Runs inside the saved file (serialised with toString, so it must be
+ * self-contained): ToC toggle + links, column jump and citation copying.
+ */
+function offlineSnapshotRuntime(cfg) {
+  const byId = (id) => document.getElementById(id);
+
+  const scrollToId = (id) => {
+    const target = id ? byId(id) : null;
+    if (!target) return;
+    target.scrollIntoView({ behavior: "smooth", block: "start" });
+    history.replaceState(null, "", `#${encodeURIComponent(id)}`);
+  };
+
+  const toggle = document.querySelector(".toc__toggle");
+  const panel = byId("toc-panel");
+  if (toggle && panel) {
+    toggle.addEventListener("click", () => {
+      const isOpen = toggle.getAttribute("aria-expanded") === "true";
+      toggle.setAttribute("aria-expanded", String(!isOpen));
+      if (isOpen) panel.setAttribute("hidden", "");
+      else panel.removeAttribute("hidden");
+      toggle.textContent = isOpen ? cfg.tocClosed : cfg.tocOpen;
+    });
+  }
+
+  for (const a of document.querySelectorAll(".toc__link[href^='#']")) {
+    a.addEventListener("click", (e) => {
+      e.preventDefault();
+      scrollToId(decodeURIComponent(a.getAttribute("href").slice(1)));
+    });
+  }
+
+  const wireJump = (input, go) => {
+    const btn = input?.parentElement?.querySelector(".col-jump__btn");
+    if (!input || !btn) return;
+    btn.addEventListener("click", () => go(input.value || ""));
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        go(input.value || "");
+      }
+    });
+  };
+
+  wireJump(byId("colJumpInput"), (raw) => {
+    const n = parseInt((raw.match(/\d+/) || [""])[0], 10);
+    let best = null;
+    for (const [target, label] of cfg.columns) {
+      const col = parseInt(((label || "").match(/\d+/) || [""])[0], 10);
+      if (col <= n && (!best || col > best.col)) best = { target, col };
+    }
+    if (best) scrollToId(best.target);
+  });
+
+  wireJump(byId("pageJumpInput"), (raw) => {
+    const n = parseInt((raw.match(/\d+/g) || []).pop() || "", 10);
+    let best = null;
+    for (const m of document.querySelectorAll(".page-marker[data-page]")) {
+      const p = parseInt(m.getAttribute("data-page") || "", 10);
+      if (p <= n && (!best || p > best.page)) best = { page: p, id: m.id };
+    }
+    if (best) scrollToId(best.id);
+  });
+
+  const copy = async (value) => {
+    try {
+      await navigator.clipboard.writeText(value);
+      return true;
+    } catch {
+      const ta = document.createElement("textarea");
+      ta.value = value;
+      ta.style.position = "fixed";
+      ta.style.left = "-9999px";
+      document.body.appendChild(ta);
+      ta.select();
+      const ok = document.execCommand("copy");
+      ta.remove();
+      return ok;
+    }
+  };
+
+  for (const sp of document.querySelectorAll(".speech[data-citation]")) {
+    const doCopy = async () => {
+      const ok = await copy(sp.getAttribute("data-citation") || "");
+      sp.setAttribute("data-copied", ok ? "true" : "false");
+      window.setTimeout(() => sp.removeAttribute("data-copied"), 1400);
+    };
+    sp.addEventListener("click", (e) => {
+      const sel = window.getSelection();
+      if (sel && sel.toString().length > 0) return;
+      if (e.target && e.target.closest && e.target.closest("a")) return;
+      doCopy();
+    });
+    sp.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" || e.key === " ") {
+        e.preventDefault();
+        doCopy();
+      }
+    });
+  }
+
+  if (location.hash) scrollToId(decodeURIComponent(location.hash.slice(1)));
+}
+
 async function downloadOfflineSnapshot() {
   const article = document.querySelector("article.edition");
   if (!article) return;
 
-  let cssText = "";
-  try {
-    const res = await fetch("css/styles.css", { cache: "no-store" });
-    cssText = res.ok ? await res.text() : "";
-  } catch {
-    cssText = "";
-  }
+  const cssText = await collectSnapshotCss();
 
-  // Clone and remove web-only controls
+  // Clone and remove web-only controls (the ones that need the network or app state)
   const clone = article.cloneNode(true);
-  clone.querySelector(".loader")?.remove();
-  clone.querySelector(".modeToggle")?.remove();
-  clone.querySelector(".kebab")?.remove();
-  clone.querySelector(".toc__toggle")?.remove();
+  for (const sel of [
+    ".loader",
+    ".sitting-nav",
+    ".sitcal",
+    ".langSwitch",
+    ".modeToggle",
+    ".kebab",
+    ".toc-search",
+    ".speaker-facet",
+    ".vote-lookup",
+    ".doc-health",
+    ".division__tools",
+    ".speaker-filter",
+    ".speech__context",
+  ]) {
+    for (const n of clone.querySelectorAll(sel)) n.remove();
+  }
+
+  // Reset transient view state (speaker view, search/quote highlights, copied badges)
+  clone.querySelector("#main")?.removeAttribute("data-speaker-filter");
+  for (const m of clone.querySelectorAll("mark.search-hit, mark.quote-hit")) m.replaceWith(m.textContent || "");
+  for (const n of clone.querySelectorAll("[data-copied]")) n.removeAttribute("data-copied");
+  for (const n of clone.querySelectorAll(".is-link-target")) n.classList.remove("is-link-target");
+
+  // Citations are resolved now so the saved copy needs no app code
+  for (const sp of clone.querySelectorAll(".speech[id][data-speaker]")) {
+    sp.setAttribute(
+      "data-citation",
+      makeSpeechCitation({
+        speakerName: sp.getAttribute("data-speaker") || "",
+        spkId: sp.id,
+        member: memberById(sp.getAttribute("data-member")),
+      })
+    );
+  }
+
+  await embedSnapshotImages(clone);
 
   const safeDate = getDateFromQuery(DEFAULT_DATE);
-  const filename = safeDate ? `digital-volume-${safeDate}.html` : "digital-volume-offline.html";
+  const prefix = HOUSE === DEFAULT_HOUSE ? "digital-volume" : `digital-volume-${HOUSE}`;
+  const filename = safeDate ? `${prefix}-${safeDate}.html` : `${prefix}-offline.html`;
+
+  const cfg = {
+    tocOpen: t("toc.open"),
+    tocClosed: t("toc.closed"),
+    columns: Array.from(COL_BY_TARGET.entries()),
+  };
+  // "</" would end the inline <script> early
+  const runtime = `(${offlineSnapshotRuntime.toString()})(${JSON.stringify(cfg)});`.replace(
+    /<\//g,
+    "<\\/"
+  );
 
   const html = `<!doctype html>
-<html lang="en">
+<html lang="${UI_LANG}" data-mode="edition">
 <head>
 <meta charset="utf-8"/>
 <meta name="viewport" content="width=device-width, initial-scale=1"/>
-<title>Official Report | Digital Volume (Offline)</title>
-<style>${cssText}</style>
+<title>${document.title.replace(/</g, "&lt;")} (Offline)</title>
+<style>${cssText.replace(/<\/style/gi, "<\\/style")}</style>
 </head>
 <body style="background:#fff">
 ${clone.outerHTML}
+<script>${runtime}</script>
 </body>
 </html>`;
 
-  const blob = new Blob([html], { type: "text/html;charset=utf-8" });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
+  downloadBlob(html, filename, "text/html;charset=utf-8");
+}
+
+/* -----------------------------
+   Offline reading (service worker + saved sittings)
+------------------------------ */
+
+// Must match XML_CACHE in sw.js
+const XML_CACHE = "dv-xml";
+
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.register(appUrl("sw.js")).catch(() => {
+    // file:// or unsupported host: the app still works online
+  });
+}
+
+let OFFLINE_NOTE = "";
+
+function paintOfflineState() {
+  const hint = document.getElementById("loadHint");
+  if (!hint) return;
+
+  if (navigator.onLine === false) {
+    OFFLINE_NOTE = t("offline.note");
+    hint.textContent = OFFLINE_NOTE;
+    hint.classList.add("loader__hint--offline");
+  } else if (OFFLINE_NOTE) {
+    if (hint.textContent === OFFLINE_NOTE) hint.textContent = "";
+    OFFLINE_NOTE = "";
+    hint.classList.remove("loader__hint--offline");
+  }
+}
+
+function wireOfflineIndicator() {
+  window.addEventListener("online", paintOfflineState);
+  window.addEventListener("offline", paintOfflineState);
+  paintOfflineState();
+}
+
+/** Sittings whose XML the service worker has stored: [{ request, house, date, savedAt }] */
+async function listSavedSittings() {
+  if (!("caches" in window)) return [];
+
+  const cache = await caches.open(XML_CACHE);
+  const out = [];
+  for (const request of await cache.keys()) {
+    let key = request.url;
+    try {
+      key = decodeURIComponent(key);
+    } catch {
+      // keep raw
+    }
+    // canonical/proxy paths, then data/xml/<house>/…, then the (Dáil-only) HF mirror
+    const m =
+      key.match(/debateRecord\/([a-z0-9_]+)\/(\d{4}-\d{2}-\d{2})\//) ||
+      key.match(/\/data\/xml\/([a-z0-9_]+)\/(\d{4}-\d{2}-\d{2})_mul@\.xml/) ||
+      key.match(/()(\d{4}-\d{2}-\d{2})_mul@\.xml/);
+    if (!m) continue;
+
+    const res = await cache.match(request);
+    out.push({
+      request,
+      house: m[1] || DEFAULT_HOUSE,
+      date: m[2],
+      savedAt: res?.headers.get("x-dv-saved-at") || "",
+    });
+  }
+
+  // newest first
+  return out.sort((a, b) => b.date.localeCompare(a.date) || a.house.localeCompare(b.house));
+}
+
+async function evictSavedSittings(entries) {
+  if (!("caches" in window)) return;
+  const cache = await caches.open(XML_CACHE);
+  for (const e of entries) await cache.delete(e.request);
+}
+
+function ensureSavedDialog() {
+  let dlg = document.getElementById("savedDialog");
+  if (dlg) return dlg;
+
+  dlg = el("dialog", { id: "savedDialog", class: "saved", "aria-labelledby": "savedTitle" });
+  document.body.appendChild(dlg);
+  return dlg;
+}
+
+async function openSavedSittings() {
+  const dlg = ensureSavedDialog();
+  dlg.innerHTML = "";
+
+  const close = el("button", { class: "saved__close", type: "button", "aria-label": t("common.close"), text: "×" });
+  close.addEventListener("click", () => dlg.close());
+
+  dlg.appendChild(
+    el("div", { class: "saved__head" }, [el("h2", { id: "savedTitle", text: t("menu.saved") }), close])
+  );
+
+  const body = el("div", { class: "saved__body" });
+  dlg.appendChild(body);
+
+  const paint = async () => {
+    body.innerHTML = "";
+
+    if (!("caches" in window)) {
+      body.appendChild(el("p", { text: t("saved.unsupported") }));
+      return;
+    }
+
+    const entries = await listSavedSittings();
+    if (!entries.length) {
+      body.appendChild(el("p", { text: t("saved.empty") }));
+      return;
+    }
+
+    const list = el("ul", { class: "saved__list" });
+    for (const e of entries) {
+      const label =
+        e.house === DEFAULT_HOUSE
+          ? formatLongDate(e.date)
+          : `${formatLongDate(e.date)} — ${houseLabel(e.house)}`;
+      const remove = el("button", { class: "saved__btn", type: "button", text: t("saved.remove") });
+      remove.addEventListener("click", async () => {
+        await evictSavedSittings([e]);
+        await paint();
+      });
+
+      const link = el("a", { href: sittingHref({ date: e.date, house: e.house }), text: label });
+      // same house and a sitting on screen: open it in place
+      if (e.house === HOUSE && SITTING_SHOWN) {
+        link.addEventListener("click", (ev) => {
+          ev.preventDefault();
+          dlg.close();
+          goToSitting(e.date);
+        });
+      }
+
+      list.appendChild(
+        el("li", { class: "saved__item" }, [
+          link,
+          e.savedAt
+            ? el("span", {
+                class: "saved__when",
+                text: ` ${t("saved.when", { date: formatAccessedDate(new Date(e.savedAt), UI_LANG) })}`,
+              })
+            : null,
+          " ",
+          remove,
+        ])
+      );
+    }
+    body.appendChild(list);
+
+    const clearAll = el("button", {
+      class: "saved__btn",
+      type: "button",
+      text: t("saved.removeAll", { n: entries.length }),
+    });
+    clearAll.addEventListener("click", async () => {
+      await evictSavedSittings(entries);
+      await paint();
+    });
+    body.appendChild(el("p", {}, [clearAll]));
+  };
+
+  await paint();
+  if (typeof dlg.showModal === "function") dlg.showModal();
+  else dlg.setAttribute("open", "");
 }
 
 function wireKebabMenu() {
@@ -541,6 +1175,8 @@ function wireKebabMenu() {
   const shareBtn = ensureShareMenuItem(menu);
   const offlineBtn = document.getElementById("offlineBtn");
   const printBtn = document.getElementById("printBtn");
+  const searchAllBtn = document.getElementById("searchAllBtn");
+  const savedBtn = document.getElementById("savedBtn");
 
   btn.addEventListener("click", () => {
     const isOpen = btn.getAttribute("aria-expanded") === "true";
@@ -577,6 +1213,25 @@ function wireKebabMenu() {
       await shareCurrentLink();
     });
   }
+
+  if (savedBtn) {
+    savedBtn.addEventListener("click", async () => {
+      closeKebab(menu, btn);
+      await openSavedSittings();
+    });
+  }
+
+  if (searchAllBtn) {
+    searchAllBtn.addEventListener("click", () => {
+      closeKebab(menu, btn);
+      const u = new URL(window.location.href);
+      u.search = "";
+      u.hash = "";
+      u.searchParams.set("view", "search");
+      setHouseParam(u);
+      window.location.href = u.toString();
+    });
+  }
 }
 
 /* -----------------------------
@@ -605,7 +1260,7 @@ function wireModeSwitch({ inputEl }) {
     if (next === "web") {
       const d = (inputEl?.value || getDateFromQuery(DEFAULT_DATE) || DEFAULT_DATE).trim();
       if (/^\d{4}-\d{2}-\d{2}$/.test(d)) {
-        window.location.href = `https://www.oireachtas.ie/en/debates/debate/dail/${d}/`;
+        window.location.href = oirWebDebateUrl(d);
       }
     }
   };
@@ -654,7 +1309,7 @@ function wireDatePickerUI() {
       if (AVAILABLE_DATES && AVAILABLE_DATES.size && !AVAILABLE_DATES.has(raw)) {
         const nearest = nearestAvailableOnOrBefore(raw);
         input.value = nearest;
-        hint.textContent = `No XML for ${raw}. Nearest available: ${nearest}.`;
+        hint.textContent = t("date.nearest", { date: raw, nearest });
       } else {
         hint.textContent = "";
       }
@@ -666,7 +1321,7 @@ function wireDatePickerUI() {
 
     const raw = (input.value || "").trim();
     if (!/^\d{4}-\d{2}-\d{2}$/.test(raw)) {
-      if (hint) hint.textContent = "Enter a date in YYYY-MM-DD format.";
+      if (hint) hint.textContent = t("date.badFormat");
       return;
     }
 
@@ -675,16 +1330,13 @@ function wireDatePickerUI() {
     if (AVAILABLE_DATES && AVAILABLE_DATES.size && !AVAILABLE_DATES.has(raw)) {
       const nearest = nearestAvailableOnOrBefore(raw);
       chosen = nearest;
-      if (hint) hint.textContent = `No XML for ${raw}. Loading nearest available: ${nearest}.`;
+      if (hint) hint.textContent = t("date.loadingNearest", { date: raw, nearest });
       input.value = chosen;
     } else {
       if (hint) hint.textContent = "";
     }
 
-    const u = new URL(window.location.href);
-    u.searchParams.set("date", chosen);
-    u.searchParams.set("mode", getModeFromQueryOrStorage(DEFAULT_MODE));
-    window.location.href = u.toString();
+    goToSitting(chosen);
   };
 
   if (button) button.addEventListener("click", go);
@@ -700,6 +1352,322 @@ function wireDatePickerUI() {
   wireModeSwitch({ inputEl: input });
 }
 
+/** Opens another sitting in place (keeps mode + house; drops the speaker view, quote and hash) */
+function goToSitting(dateISO) {
+  if (!dateISO) return;
+
+  const u = readerUrl();
+  u.searchParams.set("date", dateISO);
+  u.searchParams.set("mode", getModeFromQueryOrStorage(DEFAULT_MODE));
+  setHouseParam(u);
+  for (const k of ["speaker", "quote", "view", "q"]) u.searchParams.delete(k);
+  u.hash = "";
+
+  // The search page has none of a sitting page's listeners (history, downloads, citations…): load one
+  if (getViewFromQuery() === "search") {
+    window.location.assign(u.toString());
+    return;
+  }
+
+  saveScrollPosition();
+  history.pushState({ date: dateISO }, "", u.toString());
+  showSitting(dateISO, { scrollY: 0 });
+}
+
+/* -----------------------------
+   Sitting navigation: ‹ Previous / Next › + calendar of sitting days
+------------------------------ */
+
+
+let SITTING_MONTHS = null; // sorted "YYYY-MM" that have at least one sitting
+let SITCAL = null; // { node, button }
+
+function sittingMonths() {
+  if (!SITTING_MONTHS) {
+    SITTING_MONTHS = Array.from(new Set((AVAILABLE_SORTED || []).map((d) => d.slice(0, 7))));
+  }
+  return SITTING_MONTHS;
+}
+
+/** "2026-02" -> "February 2026" */
+function formatMonthYear(ym) {
+  const d = new Date(`${ym}-01T00:00:00Z`);
+  return d.toLocaleDateString(dateLocale(UI_LANG), { month: "long", year: "numeric", timeZone: "UTC" });
+}
+
+/** Month with sittings next to ym: step -1 / +1 */
+function adjacentSittingMonth(ym, step) {
+  const months = sittingMonths();
+  if (step < 0) {
+    for (let i = months.length - 1; i >= 0; i--) if (months[i] < ym) return months[i];
+    return "";
+  }
+  return months.find((m) => m > ym) || "";
+}
+
+/**
+ * Same month in the nearest year (before/after) with sittings; when that
+ * month has none, the closest month of that year that does.
+ */
+function sittingMonthInYear(year, ym) {
+  const inYear = sittingMonths().filter((m) => m.startsWith(`${year}-`));
+  if (!inYear.length) return "";
+  const want = parseInt(ym.slice(5, 7), 10);
+  return inYear.reduce((best, m) =>
+    Math.abs(parseInt(m.slice(5, 7), 10) - want) < Math.abs(parseInt(best.slice(5, 7), 10) - want) ? m : best
+  );
+}
+
+function adjacentSittingYear(ym, step) {
+  const years = Array.from(new Set(sittingMonths().map((m) => m.slice(0, 4))));
+  const y = ym.slice(0, 4);
+  const year = step < 0 ? years.filter((v) => v < y).pop() : years.find((v) => v > y);
+  return year ? sittingMonthInYear(year, ym) : "";
+}
+
+function closeSittingCalendar({ focusButton = false } = {}) {
+  if (!SITCAL) return;
+  const { node, button } = SITCAL;
+  SITCAL = null;
+  node.remove();
+  button.setAttribute("aria-expanded", "false");
+  if (focusButton) button.focus();
+}
+
+const CAL_SECTIONS_SHOWN = 6;
+
+/** "Vol. 1070, No. 3 · Unrevised" from the dates index ("" when it has nothing on the day) */
+function sittingMetaLine(iso) {
+  const meta = SITTING_META.get(iso);
+  if (!meta) return "";
+  const volno = [
+    meta.volume ? t("meta.volume", { n: meta.volume }) : "",
+    meta.number ? t("meta.number", { n: meta.number }) : "",
+  ]
+    .filter(Boolean)
+    .join(", ");
+  const status =
+    meta.status === "unrevised" ? t("meta.unrevised") : meta.status === "revised" ? t("meta.revised") : "";
+  return [volno, status].filter(Boolean).join(" · ");
+}
+
+/** Date, volume/status and the day's section titles under the calendar grid */
+function paintSittingInfo(box, iso) {
+  box.innerHTML = "";
+  if (!iso) return;
+
+  const line = sittingMetaLine(iso);
+  box.appendChild(el("div", { class: "sitcal__info-date", text: formatLongDate(iso) }));
+  if (line) box.appendChild(el("div", { class: "sitcal__info-meta", text: line }));
+
+  const sections = SITTING_META.get(iso)?.sections || [];
+  if (!sections.length) return;
+  const more = sections.length - CAL_SECTIONS_SHOWN;
+  box.appendChild(
+    el("ul", { class: "sitcal__sections" }, [
+      ...sections.slice(0, CAL_SECTIONS_SHOWN).map((title) => el("li", { text: title })),
+      more > 0 ? el("li", { class: "sitcal__more", text: t("cal.more", { n: more }) }) : null,
+    ])
+  );
+}
+
+/**
+ * Month grid: sitting days are buttons, the open sitting is marked, « ‹ › »
+ * step by year / month. Unrevised days are dotted; hovering or focusing a day
+ * lists its sections (both from the dates index, when it has them).
+ */
+function openSittingCalendar(button, currentISO) {
+  const wrap = button.closest(".tophead__datewrap") || document.body;
+  const pop = el("div", { class: "sitcal", role: "dialog", "aria-label": t("cal.dialog") });
+
+  let month = (currentISO || AVAILABLE_SORTED[AVAILABLE_SORTED.length - 1]).slice(0, 7);
+  if (!sittingMonths().includes(month)) month = nearestAvailableOnOrBefore(`${month}-31`).slice(0, 7);
+
+  const years = Array.from(new Set(sittingMonths().map((m) => m.slice(0, 4))));
+
+  const paint = (focusDay = false) => {
+    pop.innerHTML = "";
+
+    const stepBtn = (text, label, target) => {
+      const b = el("button", { class: "sitcal__step", type: "button", text, title: label, "aria-label": label });
+      if (target) {
+        b.addEventListener("click", () => {
+          month = target;
+          paint();
+          pop.querySelector(`.sitcal__step[aria-label="${label}"]`)?.focus();
+        });
+      } else {
+        b.disabled = true;
+      }
+      return b;
+    };
+
+    const yearSel = el(
+      "select",
+      { class: "sitcal__year", "aria-label": t("cal.year") },
+      years.map((y) => el("option", { value: y, text: y }))
+    );
+    yearSel.value = month.slice(0, 4);
+    yearSel.addEventListener("change", () => {
+      month = sittingMonthInYear(yearSel.value, month) || month;
+      paint();
+      pop.querySelector(".sitcal__year")?.focus();
+    });
+
+    pop.appendChild(
+      el("div", { class: "sitcal__head" }, [
+        stepBtn("«", t("cal.prevYear"), adjacentSittingYear(month, -1)),
+        stepBtn("‹", t("cal.prevMonth"), adjacentSittingMonth(month, -1)),
+        el("span", { class: "sitcal__month", "aria-live": "polite", text: formatMonthYear(month).replace(/\s*\d{4}$/, "") }),
+        yearSel,
+        stepBtn("›", t("cal.nextMonth"), adjacentSittingMonth(month, 1)),
+        stepBtn("»", t("cal.nextYear"), adjacentSittingYear(month, 1)),
+      ])
+    );
+
+    const [y, m] = month.split("-").map(Number);
+    const days = new Date(Date.UTC(y, m, 0)).getUTCDate();
+    const lead = (new Date(Date.UTC(y, m - 1, 1)).getUTCDay() + 6) % 7; // Monday first
+
+    const grid = el("div", { class: "sitcal__grid", role: "grid", "aria-label": formatMonthYear(month) });
+    const info = el("div", { class: "sitcal__info", "aria-live": "polite" });
+    for (const w of t("cal.weekdays").split(" ")) {
+      grid.appendChild(el("span", { class: "sitcal__wd", "aria-hidden": "true", text: w }));
+    }
+    for (let i = 0; i < lead; i++) grid.appendChild(el("span", { class: "sitcal__pad" }));
+
+    for (let d = 1; d <= days; d++) {
+      const iso = `${month}-${String(d).padStart(2, "0")}`;
+      if (!AVAILABLE_DATES?.has(iso)) {
+        grid.appendChild(el("span", { class: "sitcal__day", text: String(d) }));
+        continue;
+      }
+      const line = sittingMetaLine(iso);
+      const unrevised = SITTING_META.get(iso)?.status === "unrevised";
+      const b = el("button", {
+        class: `sitcal__day sitcal__day--sitting${unrevised ? " sitcal__day--unrevised" : ""}${
+          iso === currentISO ? " sitcal__day--current" : ""
+        }`,
+        type: "button",
+        text: String(d),
+        "aria-label": line ? `${formatLongDate(iso)}, ${line}` : formatLongDate(iso),
+        "aria-current": iso === currentISO ? "date" : null,
+      });
+      b.addEventListener("click", () => {
+        closeSittingCalendar();
+        if (iso !== currentISO) goToSitting(iso);
+      });
+      b.addEventListener("mouseenter", () => paintSittingInfo(info, iso));
+      b.addEventListener("focus", () => paintSittingInfo(info, iso));
+      grid.appendChild(b);
+    }
+    pop.appendChild(grid);
+    pop.appendChild(info);
+    paintSittingInfo(info, currentISO && currentISO.startsWith(month) ? currentISO : "");
+
+    if (focusDay) (pop.querySelector(".sitcal__day--current") || pop.querySelector(".sitcal__day--sitting"))?.focus();
+  };
+
+  pop.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      closeSittingCalendar({ focusButton: true });
+    }
+  });
+
+  wrap.appendChild(pop);
+  SITCAL = { node: pop, button };
+  button.setAttribute("aria-expanded", "true");
+  paint(true);
+}
+
+function toggleSittingCalendar(button, currentISO) {
+  if (SITCAL) closeSittingCalendar({ focusButton: true });
+  else openSittingCalendar(button, currentISO);
+}
+
+/** Keys typed into a field are not shortcuts */
+function isTypingTarget(target) {
+  return !!target?.closest?.("input, textarea, select, [contenteditable='true']");
+}
+
+let SITTING_NAV = { current: "", prev: "", next: "" };
+
+/**
+ * ‹ Previous | Calendar | Next › under the date in the tophead (built once;
+ * updateSittingNav points it at each sitting shown).
+ * Shortcuts: [ previous sitting, ] next sitting, c calendar.
+ */
+function wireSittingNav() {
+  const wrap = document.querySelector(".tophead__datewrap");
+  if (!wrap || !AVAILABLE_SORTED?.length || document.getElementById("sittingNav")) return;
+
+  const navBtn = (cls, text, step) => {
+    const b = el("button", { class: `sitting-nav__btn ${cls}`, type: "button", text });
+    b.addEventListener("click", () => {
+      const date = step < 0 ? SITTING_NAV.prev : SITTING_NAV.next;
+      if (date) goToSitting(date);
+    });
+    return b;
+  };
+
+  const calBtn = el("button", {
+    class: "sitting-nav__btn sitting-nav__cal",
+    type: "button",
+    text: t("cal.button"),
+    title: t("cal.buttonTitle"),
+    "aria-haspopup": "dialog",
+    "aria-expanded": "false",
+  });
+  calBtn.addEventListener("click", () => toggleSittingCalendar(calBtn, SITTING_NAV.current));
+
+  wrap.appendChild(
+    el("nav", { class: "sitting-nav", id: "sittingNav", "aria-label": t("nav.group") }, [
+      navBtn("sitting-nav__prev", t("nav.prev"), -1),
+      calBtn,
+      navBtn("sitting-nav__next", t("nav.next"), 1),
+    ])
+  );
+
+  document.addEventListener("click", (e) => {
+    if (!SITCAL) return;
+    // clicks inside repaint the grid, so their target may already be detached
+    if (!e.target.isConnected || SITCAL.node.contains(e.target) || calBtn.contains(e.target)) return;
+    closeSittingCalendar();
+  });
+
+  document.addEventListener("keydown", (e) => {
+    if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || isTypingTarget(e.target)) return;
+    if (e.key === "[" && SITTING_NAV.prev) goToSitting(SITTING_NAV.prev);
+    else if (e.key === "]" && SITTING_NAV.next) goToSitting(SITTING_NAV.next);
+    else if (e.key === "c" && !SITCAL) {
+      e.preventDefault();
+      openSittingCalendar(calBtn, SITTING_NAV.current);
+    }
+  });
+}
+
+function updateSittingNav(currentISO) {
+  SITTING_NAV = {
+    current: currentISO,
+    prev: adjacentSitting(currentISO, -1),
+    next: adjacentSitting(currentISO, 1),
+  };
+  closeSittingCalendar();
+
+  const label = (btn, date, dir, key) => {
+    if (!btn) return;
+    btn.disabled = !date;
+    const text = date
+      ? t(`nav.${dir}Title`, { date: formatLongDate(date), key })
+      : t(dir === "prev" ? "nav.noPrev" : "nav.noNext");
+    btn.title = text;
+    btn.setAttribute("aria-label", text);
+  };
+  label(document.querySelector(".sitting-nav__prev"), SITTING_NAV.prev, "prev", "[");
+  label(document.querySelector(".sitting-nav__next"), SITTING_NAV.next, "next", "]");
+}
+
 /* -----------------------------
    Back to Top (injected) — no HTML/CSS changes needed
 ------------------------------ */
@@ -769,8 +1737,8 @@ function enableBackToTop() {
   const btn = document.createElement("button");
   btn.className = "backtotop";
   btn.type = "button";
-  btn.setAttribute("aria-label", "Back to top");
-  btn.setAttribute("title", "Back to top");
+  btn.setAttribute("aria-label", t("top.back"));
+  btn.setAttribute("title", t("top.back"));
   btn.textContent = "↑";
   document.body.appendChild(btn);
 
@@ -792,285 +1760,223 @@ function enableBackToTop() {
 }
 
 /* -----------------------------
-   Inline rendering
+   Per-sitting state (from transformSitting in js/render.js)
 ------------------------------ */
 
-function inlineNodes(xmlEl) {
-  if (!xmlEl) return [];
-  const out = [];
-
-  const isText = (n) => n.nodeType === Node.TEXT_NODE;
-  const isEl = (n) => n.nodeType === Node.ELEMENT_NODE;
-  const norm = (s) => (s || "").replace(/\s+/g, " ");
-
-  function pushText(s) {
-    const t = norm(s);
-    if (!t.trim()) return;
-    const last = out[out.length - 1];
-    if (last && last.nodeType === Node.TEXT_NODE) last.nodeValue += t;
-    else out.push(document.createTextNode(t));
-  }
-
-  function pushNode(node) {
-    if (node) out.push(node);
-  }
-
-  function walk(node) {
-    for (const child of Array.from(node.childNodes)) {
-      if (isText(child)) {
-        pushText(child.nodeValue || "");
-        continue;
-      }
-      if (isEl(child)) {
-        const ln = child.localName;
-
-        if (ln === "i" || ln === "em") {
-          const inner = inlineNodes(child);
-          if (inner.length) pushNode(el("em", {}, inner));
-          continue;
-        }
-
-        if (ln === "b" || ln === "strong") {
-          const inner = inlineNodes(child);
-          if (inner.length) pushNode(el("strong", {}, inner));
-          continue;
-        }
-
-        if (ln === "q" || ln === "quote") {
-          pushText("“");
-          walk(child);
-          pushText("”");
-          continue;
-        }
-
-        if (ln === "br") {
-          pushNode(document.createElement("br"));
-          continue;
-        }
-
-        walk(child);
-      }
-    }
-  }
-
-  walk(xmlEl);
-
-  if (out.length && out[0].nodeType === Node.TEXT_NODE) {
-    out[0].nodeValue = out[0].nodeValue.replace(/^\s+/, "");
-    if (!out[0].nodeValue.trim()) out.shift();
-  }
-  if (out.length && out[out.length - 1].nodeType === Node.TEXT_NODE) {
-    out[out.length - 1].nodeValue = out[out.length - 1].nodeValue.replace(/\s+$/, "");
-    if (!out[out.length - 1].nodeValue.trim()) out.pop();
-  }
+let DOC_DATE_ISO = "";
 
-  const spaced = [];
-  for (let i = 0; i < out.length; i++) {
-    const cur = out[i];
-    const prev = spaced[spaced.length - 1];
+// From the preface: volume/number digits + revision status for citations
+let EDITION_META = { volume: "", number: "", status: "", revised: null };
 
-    const prevIsText = prev && prev.nodeType === Node.TEXT_NODE;
-    const curIsText = cur.nodeType === Node.TEXT_NODE;
+// Historical column map: target eId -> column label (e.g., "Col. 2850")
+let COL_BY_TARGET = new Map();
 
-    if (prev && (!prevIsText || !curIsText)) {
-      const prevText = prevIsText ? prev.nodeValue : "";
-      const curText = curIsText ? cur.nodeValue : "";
+// Speech eId -> { start, end } column numbers
+let SPEECH_COLUMNS = new Map();
 
-      const prevEndsSpace = prevIsText ? /\s$/.test(prevText) : false;
-      const curStartsSpace = curIsText ? /^\s/.test(curText) : false;
+// validateSitting() report: { namespace, issues: [{ level, kind, message, count, examples }] }
+let DOC_HEALTH = { namespace: "", issues: [] };
 
-      if (!prevEndsSpace && !curStartsSpace) {
-        const prevEndsPunct = prevIsText ? /[“(\[]$/.test(prevText) : false;
-        const curStartsPunct = curIsText ? /^[,.;:!?)}\]]/.test(curText) : false;
-        if (!prevEndsPunct && !curStartsPunct) spaced.push(document.createTextNode(" "));
-      }
-    }
+/* -----------------------------
+   Dates
+------------------------------ */
 
-    spaced.push(cur);
-  }
+// `lang` "en" for text that is quoted as part of the record (makeQuote)
+function formatLongDate(iso, lang = UI_LANG) {
+  if (!iso) return "";
+  const d = new Date(iso + "T00:00:00Z");
+  return d.toLocaleDateString(dateLocale(lang), { day: "numeric", month: "long", year: "numeric" });
+}
 
-  return spaced;
+function getEditionDateText() {
+  const pub = document.getElementById("pubdate");
+  if (!pub) return "";
+  return (pub.textContent || "").replace(/\s+/g, " ").trim();
 }
 
 /* -----------------------------
-   Title page fill
+   Historical columns (≤2012)
 ------------------------------ */
 
-let DOC_DATE_ISO = "";
-
-// Historical column map: target eId -> column label (e.g., "Col. 2850")
-let COL_BY_TARGET = new Map();
-
-function getDocDateISO(doc) {
-  const preface = q1(doc, "preface");
-  if (!preface) return "";
-  const blocks = qAll(preface, "block");
-  const dateBlock =
-    blocks.find((b) => b.getAttribute("name") === "date_en") ||
-    blocks.find((b) => b.getAttribute("name") === "date_ga") ||
-    null;
-  if (!dateBlock) return "";
-  const docDate = q1(dateBlock, "docDate");
-  return docDate?.getAttribute("date") || "";
-}
-
-function getDocDateText(doc) {
-  const preface = q1(doc, "preface");
-  if (!preface) return "";
-  const blocks = qAll(preface, "block");
-  const dateBlock =
-    blocks.find((b) => b.getAttribute("name") === "date_en") ||
-    blocks.find((b) => b.getAttribute("name") === "date_ga") ||
-    null;
-  if (!dateBlock) return "";
-  const docDate = q1(dateBlock, "docDate");
-  return text(docDate || dateBlock);
-}
-
-function fillTitlePage(doc) {
-  const preface = q1(doc, "preface");
-  if (!preface) return;
-
-  const blockByName = (name) => {
-    const blocks = qAll(preface, "block");
-    return blocks.find((b) => b.getAttribute("name") === name) || null;
-  };
-
-  const getBlockText = (name, innerTag) => {
-    const b = blockByName(name);
-    if (!b) return "";
-    const inner = innerTag ? q1(b, innerTag) : null;
-    return text(inner || b);
-  };
-
-  const vol = getBlockText("volume", "docNumber");
-  const no = getBlockText("number", "docNumber");
-
-  const volnoEl = document.getElementById("volno");
-  const pubdateEl = document.getElementById("pubdate");
-
-  if (volnoEl) volnoEl.innerHTML = `${vol}<br>${no}`;
-
-  if (pubdateEl) {
-    const dateText = getDocDateText(doc) || "";
-    pubdateEl.innerHTML = dateText.includes(",") ? dateText.replace(",", ",<br>") : dateText;
+/** "col 456" / "cols 456–8" for a speech, or "" outside the historical record */
+function speechColumnsText(spkId) {
+  const c = SPEECH_COLUMNS.get(String(spkId || ""));
+  if (!c) return "";
+  return `${c.end > c.start ? "cols" : "col"} ${formatColumnRange(c.start, c.end)}`;
+}
+
+/**
+ * Column jump target: "2850", "Col. 2850", "2850–61" or "2850-2861" (first
+ * column wins). Columns without their own marker resolve to the nearest
+ * earlier one, since that is where the requested column runs on from.
+ */
+function findColumnTarget(raw) {
+  const n = parseInt((String(raw || "").match(/\d+/) || [""])[0], 10);
+  if (!Number.isFinite(n)) return null;
+
+  let best = null;
+  for (const [target, label] of COL_BY_TARGET.entries()) {
+    const col = columnNumber(label);
+    if (col <= n && (!best || col > best.col)) best = { target, col };
   }
+  return best ? { ...best, requested: n, exact: best.col === n } : { target: "", col: NaN, requested: n, exact: false };
+}
 
-  const titleGa = document.getElementById("title_ga");
-  const titleEn = document.getElementById("title_en");
-  const house = document.getElementById("house");
-
-  if (titleGa) titleGa.textContent = getBlockText("title_ga", "docTitle");
-  if (titleEn) titleEn.textContent = getBlockText("title_en", "docTitle");
-  if (house) house.textContent = getBlockText("proponent_ga", "docProponent") || "DÁIL ÉIREANN";
-
-  const statusGa = document.getElementById("status_ga");
-  const statusEn = document.getElementById("status_en");
-  if (statusGa) statusGa.textContent = getBlockText("status_ga", "docStatus");
-  if (statusEn) statusEn.textContent = getBlockText("status_en", "docStatus");
+/* -----------------------------
+   Members (meta/references -> TLCPerson / TLCRole, built in js/render.js)
+------------------------------ */
 
-  const statusGaEm = document.getElementById("status_ga_em");
-  const statusEnEm = document.getElementById("status_en_em");
-  if (statusGaEm) statusGaEm.textContent = "—Neamhcheartaithe";
-  if (statusEnEm) statusEnEm.textContent = "—Unrevised";
+// eId -> { eId, showAs, href, uri, profileUrl, role }
+let MEMBERS = new Map();
 
-  const kicker = document.getElementById("kicker");
-  if (kicker) kicker.textContent = "";
+function memberById(id) {
+  return MEMBERS.get(refId(id)) || null;
 }
 
 /* -----------------------------
-   Chamber extraction + Irish-correct casing
+   ToC + Column jump UI
 ------------------------------ */
 
-function getDocProponent(doc) {
-  const preface = q1(doc, "preface");
-  if (!preface) return "";
-  const blocks = qAll(preface, "block");
-  const b =
-    blocks.find((x) => x.getAttribute("name") === "proponent_ga") ||
-    blocks.find((x) => x.getAttribute("name") === "proponent_en") ||
-    null;
-  if (!b) return "";
-  const p = q1(b, "docProponent");
-  return text(p || b);
-}
-
-function normalizeChamber(raw) {
-  const s = (raw || "").replace(/\s+/g, " ").trim();
-  const low = s.toLowerCase();
-  if (low.includes("dáil")) return "Dáil Éireann";
-  if (low.includes("seanad")) return "Seanad Éireann";
-  return s
-    .toLowerCase()
-    .split(" ")
-    .filter(Boolean)
-    .map((w) => w.charAt(0).toUpperCase() + w.slice(1))
-    .join(" ");
+function scrollToId(id) {
+  if (!id) return;
+  const elTarget = document.getElementById(id);
+  if (!elTarget) return;
+  elTarget.scrollIntoView({ behavior: "smooth", block: "start" });
+  history.replaceState(history.state, "", `#${encodeURIComponent(id)}`);
+}
+
+/** Label + input + Go (the ToC panel's "Go to column" / "Go to page") */
+function buildJumpControl({ id, label, placeholder, ariaLabel, onGo }) {
+  const wrap = el("div", { class: "col-jump" }, []);
+  const input = el("input", {
+    class: "col-jump__input",
+    id,
+    type: "text",
+    inputmode: "numeric",
+    placeholder,
+    "aria-label": ariaLabel,
+  });
+  const btn = el("button", { class: "col-jump__btn", type: "button", text: t("loader.go") });
+
+  const go = () => onGo((input.value || "").trim());
+  btn.addEventListener("click", go);
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      go();
+    }
+  });
+
+  wrap.appendChild(el("label", { class: "col-jump__label", for: id, text: label }));
+  wrap.appendChild(el("div", { class: "col-jump__row" }, [input, btn]));
+  return wrap;
 }
 
-function formatLongDate(iso) {
-  if (!iso) return "";
-  const d = new Date(iso + "T00:00:00Z");
-  return d.toLocaleDateString("en-IE", { day: "numeric", month: "long", year: "numeric" });
+/**
+ * "452", "p. 452" or "Vol. 1070 p. 452" -> the marker for page 452. A page
+ * with no block starting on it has no marker, so the nearest earlier one is used.
+ */
+function scrollToPage(raw) {
+  const n = parseInt((String(raw || "").match(/\d+/g) || []).pop() || "", 10);
+  if (!Number.isFinite(n)) return;
+
+  const best = findPageMarker(n);
+  if (best) scrollToId(best.marker.id);
+  else toastHint(t("jump.pageMissing", { n }));
 }
 
-function getEditionDateText() {
-  const pub = document.getElementById("pubdate");
-  if (!pub) return "";
-  return (pub.textContent || "").replace(/\s+/g, " ").trim();
+/** Marker for page n or the nearest earlier page: { page, marker } | null */
+function findPageMarker(n) {
+  let best = null;
+  for (const m of document.querySelectorAll("#main .page-marker[data-page]")) {
+    const p = parseInt(m.getAttribute("data-page") || "", 10);
+    if (p <= n && (!best || p > best.page)) best = { page: p, marker: m };
+  }
+  return best;
 }
 
 /* -----------------------------
-   Historical columns (≤2012)
+   Deep links (#hash after render + hashchange)
 ------------------------------ */
 
-function getDocYearISO() {
-  const m = (DOC_DATE_ISO || "").match(/^(\d{4})-/);
-  return m ? parseInt(m[1], 10) : NaN;
-}
+const LINK_FLASH_MS = 2400;
+let LINK_FLASH_TIMER = null;
 
-function buildColumnMap(doc) {
-  COL_BY_TARGET = new Map();
+/** Tints the block a link points at for a moment */
+function flashLinkTarget(node) {
+  if (LINK_FLASH_TIMER) window.clearTimeout(LINK_FLASH_TIMER);
+  for (const n of document.querySelectorAll(".is-link-target")) n.classList.remove("is-link-target");
+  if (!node) return;
 
-  const year = getDocYearISO();
-  if (!Number.isFinite(year) || year > 2012) return;
+  node.classList.add("is-link-target");
+  LINK_FLASH_TIMER = window.setTimeout(() => node.classList.remove("is-link-target"), LINK_FLASH_MS);
+}
 
-  const all = Array.from(doc.getElementsByTagName("*")).filter((n) => n.localName === "column");
-  for (const c of all) {
-    const refersTo = c.getAttribute("refersTo") || "";
-    const showAs = c.getAttribute("showAs") || "";
-    if (!refersTo || !showAs) continue;
+/**
+ * #hash -> { node, note }: any rendered id (spk_42, para_7, dbsect_12, p-452),
+ * else col-2850 / p-452 resolved like the column and page jumps. `note` says
+ * when the nearest earlier column/page was used or nothing matched.
+ */
+function resolveHashTarget(hash) {
+  let id = "";
+  try {
+    // browsers without text-fragment support leave ":~:text=…" in the hash
+    id = decodeURIComponent(String(hash || "").replace(/^#/, "").split(":~:")[0]).trim();
+  } catch {
+    return null;
+  }
+  if (!id) return null;
 
-    const target = refersTo.startsWith("#") ? refersTo.slice(1) : refersTo;
-    if (!target) continue;
+  const direct = document.getElementById(id);
+  if (direct) return { node: direct, note: "" };
 
-    const label = showAs.trim();
-    if (!label) continue;
+  const col = id.match(/^col[-_.]?(\d+)$/i);
+  if (col) {
+    const hit = findColumnTarget(col[1]);
+    const node = hit?.target ? document.getElementById(hit.target) : null;
+    if (!node) return { node: null, note: t("jump.columnMissing", { n: col[1] }) };
+    return { node, note: hit.exact ? "" : t("jump.columnRunsOn", { n: hit.requested, from: hit.col }) };
+  }
 
-    if (!COL_BY_TARGET.has(target)) COL_BY_TARGET.set(target, label);
+  const page = id.match(/^p(?:age)?[-_.]?(\d+)$/i);
+  if (page) {
+    const n = parseInt(page[1], 10);
+    const best = findPageMarker(n);
+    if (!best) return { node: null, note: t("jump.pageMissing", { n }) };
+    return { node: best.marker, note: best.page === n ? "" : t("jump.pageRunsOn", { n, from: best.page }) };
   }
-}
 
-function makeColMarker(label, targetId) {
-  return el("div", { class: "col-marker__wrap" }, [
-    el("span", {
-      class: "col-marker",
-      text: label,
-      title: targetId ? `Column marker for ${targetId}` : label,
-    }),
-  ]);
+  return null;
 }
 
-/* -----------------------------
-   ToC + Column jump UI
------------------------------- */
+/**
+ * Scrolls to the location.hash target and tints it. Runs once the sitting is
+ * rendered (the browser's own anchor scroll fires before the target exists)
+ * and again on hashchange. `quote` parts are marked inside the target.
+ */
+function revealHashTarget({ smooth = false, quote = [] } = {}) {
+  const hit = resolveHashTarget(window.location.hash);
+  if (!hit) return false;
+  if (hit.note) toastHint(hit.note);
+  if (!hit.node) return false;
+
+  // the speaker view would hide it
+  if (SPEAKER_FILTER && !hit.node.getClientRects().length) applySpeakerFilter("");
+
+  // page markers are hairlines: tint the block that starts the page
+  const block = hit.node.classList.contains("page-marker") ? hit.node.nextElementSibling || hit.node : hit.node;
+  const marks = quote.length ? highlightQuote(block, quote) : [];
+  if (block.id !== "main" && block.closest("#main")) flashLinkTarget(block);
+
+  (marks[0] || hit.node).scrollIntoView({
+    behavior: smooth ? "smooth" : "auto",
+    block: marks.length ? "center" : "start",
+  });
+  return true;
+}
 
-function scrollToId(id) {
-  if (!id) return;
-  const elTarget = document.getElementById(id);
-  if (!elTarget) return;
-  elTarget.scrollIntoView({ behavior: "smooth", block: "start" });
-  history.replaceState(null, "", `#${encodeURIComponent(id)}`);
+function enableHashNavigation() {
+  window.addEventListener("hashchange", () => revealHashTarget({ smooth: true }));
 }
 
 function buildTOCFromDOM() {
@@ -1099,7 +2005,8 @@ function buildTOCFromDOM() {
     items.push({ id: sec.id, title, depthClass });
   }
 
-  if (!items.length && COL_BY_TARGET.size === 0) return;
+  const hasPages = !!main.querySelector(".page-marker[data-page]");
+  if (!items.length && COL_BY_TARGET.size === 0 && !hasPages) return;
 
   const panelId = "toc-panel";
   const header = el("div", { class: "toc__header" });
@@ -1109,56 +2016,51 @@ function buildTOCFromDOM() {
     type: "button",
     "aria-expanded": "false",
     "aria-controls": panelId,
-    text: "CONTENTS ▸",
+    text: t("toc.closed"),
   });
 
   const panel = el("div", { class: "toc__panel", id: panelId }, []);
   panel.setAttribute("hidden", "");
-  panel.appendChild(el("a", { class: "toc__skip", href: "#main", text: "Skip to debate ↓" }));
+  panel.appendChild(el("a", { class: "toc__skip", href: "#main", text: t("toc.skip") }));
 
   if (COL_BY_TARGET.size > 0) {
-    const colWrap = el("div", { class: "col-jump" }, []);
-    const label = el("label", {
-      class: "col-jump__label",
-      for: "colJumpInput",
-      text: "Go to column",
-    });
-    const input = el("input", {
-      class: "col-jump__input",
-      id: "colJumpInput",
-      type: "text",
-      inputmode: "numeric",
-      placeholder: "e.g. 2850",
-      "aria-label": "Go to column number",
-    });
-    const btn = el("button", { class: "col-jump__btn", type: "button", text: "Go" });
+    panel.appendChild(
+      buildJumpControl({
+        id: "colJumpInput",
+        label: t("jump.column"),
+        placeholder: t("jump.columnPlaceholder"),
+        ariaLabel: t("jump.columnAria"),
+        onGo: (raw) => {
+          const hit = findColumnTarget(raw);
+          if (!hit) return;
+          if (!hit.target) {
+            toastHint(t("jump.columnMissing", { n: hit.requested }));
+            return;
+          }
+          scrollToId(hit.target);
+          if (!hit.exact) toastHint(t("jump.columnRunsOn", { n: hit.requested, from: hit.col }));
+        },
+      })
+    );
+  }
 
-    const go = () => {
-      const raw = (input.value || "").trim();
-      const m = raw.match(/\d{3,6}/);
-      if (!m) return;
-
-      const targetLabel = `Col. ${m[0]}`;
-      for (const [targetId, lbl] of COL_BY_TARGET.entries()) {
-        if ((lbl || "").trim() === targetLabel) {
-          scrollToId(targetId);
-          return;
-        }
-      }
-    };
+  if (hasPages) {
+    panel.appendChild(
+      buildJumpControl({
+        id: "pageJumpInput",
+        label: t("jump.page"),
+        placeholder: t("jump.pagePlaceholder"),
+        ariaLabel: t("jump.pageAria"),
+        onGo: scrollToPage,
+      })
+    );
+  }
 
-    btn.addEventListener("click", go);
-    input.addEventListener("keydown", (e) => {
-      if (e.key === "Enter") {
-        e.preventDefault();
-        go();
-      }
-    });
+  const speakerFacet = buildSpeakerFacet();
+  if (speakerFacet) panel.appendChild(speakerFacet);
 
-    colWrap.appendChild(label);
-    colWrap.appendChild(el("div", { class: "col-jump__row" }, [input, btn]));
-    panel.appendChild(colWrap);
-  }
+  const voteLookup = buildDivisionLookup();
+  if (voteLookup) panel.appendChild(voteLookup);
 
   const list = el("ul", { class: "toc__list" });
   for (const it of items) {
@@ -1171,8 +2073,8 @@ function buildTOCFromDOM() {
   }
   panel.appendChild(list);
 
-  const LABEL_CLOSED = "CONTENTS ▸";
-  const LABEL_OPEN = "CONTENTS ▾";
+  const LABEL_CLOSED = t("toc.closed");
+  const LABEL_OPEN = t("toc.open");
 
   toggle.addEventListener("click", () => {
     const isOpen = toggle.getAttribute("aria-expanded") === "true";
@@ -1187,344 +2089,867 @@ function buildTOCFromDOM() {
   });
 
   header.appendChild(toggle);
+  header.appendChild(buildSearchPanel());
   tocHost.classList.add("toc");
   tocHost.appendChild(header);
   tocHost.appendChild(panel);
 }
 
 /* -----------------------------
-   debateBody rendering (RECURSIVE + divisions)
+   Speaker filter (?speaker=)
 ------------------------------ */
 
-function renderBody(doc, pageMap = []) {
-  const main = document.getElementById("main");
-  if (!main) return;
-  main.innerHTML = "";
+let SPEAKER_FILTER = "";
 
-  const debateBody = q1(doc, "debateBody");
-  if (!debateBody) {
-    main.appendChild(el("p", { text: "No debateBody found." }));
-    return;
+function collectSpeakers() {
+  const counts = new Map();
+  for (const sp of document.querySelectorAll("#main article.speech[data-speaker]")) {
+    const name = sp.getAttribute("data-speaker") || "";
+    if (name) counts.set(name, (counts.get(name) || 0) + 1);
   }
+  return Array.from(counts, ([name, count]) => ({ name, count })).sort((a, b) =>
+    a.name.localeCompare(b.name, "en-IE")
+  );
+}
 
-  const pageByEid = new Map();
-  for (const row of pageMap) {
-    if (!row || typeof row !== "object") continue;
-    const page = row.page;
-    const eid = row.eid;
-    if (!eid || page === null || page === undefined) continue;
-    pageByEid.set(String(eid), String(page));
-  }
+function buildSpeakerFacet() {
+  const speakers = collectSpeakers();
+  if (!speakers.length) return null;
 
-  const maybePageMarker = (eid) => {
-    const p = pageByEid.get(String(eid || ""));
-    if (!p) return null;
-    return el("div", { class: "page-marker", "data-page": p, id: `p-${p}` });
-  };
+  const wrap = el("div", { class: "speaker-facet" });
+  const select = el("select", { class: "speaker-facet__select", id: "speakerFilter" }, [
+    el("option", { value: "", text: t("speakers.all", { n: speakers.length }) }),
+    ...speakers.map((s) => el("option", { value: s.name, text: `${s.name} (${s.count})` })),
+  ]);
+  select.value = SPEAKER_FILTER;
 
-  const maybeColMarker = (targetEid) => {
-    const label = COL_BY_TARGET.get(String(targetEid || ""));
-    if (!label) return null;
-    return makeColMarker(label, targetEid);
-  };
+  select.addEventListener("change", () => {
+    applySpeakerFilter(select.value);
+    if (select.value) document.getElementById("main")?.scrollIntoView({ behavior: "smooth", block: "start" });
+  });
 
-  const renderHeadingDirect = (sec, sectionEl, level = 2) => {
-    const directHeading = Array.from(sec.children).find((n) => n.localName === "heading");
-    const content = directHeading ? inlineNodes(directHeading) : [];
-    if (directHeading && content.length) {
-      const tag = `h${Math.min(6, Math.max(2, level))}`;
-      sectionEl.appendChild(el(tag, { class: "section__heading" }, content));
-    }
-  };
+  wrap.appendChild(
+    el("label", { class: "speaker-facet__label", for: "speakerFilter", text: t("speakers.label") })
+  );
+  wrap.appendChild(select);
+  return wrap;
+}
 
-  const renderSummary = (s) => {
-    const clsRaw = (s.getAttribute("class") || "").toLowerCase();
-    const sId = s.getAttribute("eId") || "";
-    const content = inlineNodes(s);
-    if (!content.length) return null;
-
-    const t = (s.textContent || "").replace(/\s+/g, " ").trim();
-    const tLower = t.toLowerCase();
-
-    const isDivisionLine = /^the\s+d[áa]il\s+divided:/i.test(t);
-    const isSectionCaps = /^SECTION\s+\d+\b/.test(t) && t === t.toUpperCase();
-    if (isSectionCaps) return null;
-
-    const isInterruptions = /^\(\s*interruptions?\s*\)\s*\.?\s*$/i.test(t);
-    const isPrayer =
-      /^paidir agus machnamh\s*\.?\s*$/i.test(t) || /^prayer and reflection\s*\.?\s*$/i.test(t);
-
-    const isChairFormula =
-      tLower.startsWith("chuaigh an cathaoirleach") ||
-      tLower.startsWith("chuaigh an cathaoirleach gníomhach") ||
-      tLower.startsWith("chuaigh an ceann comhairle") ||
-      tLower.startsWith("chuaigh an leas-cheann comhairle");
-
-    const shouldItalicise = (isInterruptions || isPrayer) && !isChairFormula;
-
-    const classes = [
-      "summary",
-      clsRaw.includes("center") ? "center" : "",
-      isDivisionLine ? "summary--divisionline" : "",
-      shouldItalicise ? "summary--italic" : "",
-    ]
-      .filter(Boolean)
-      .join(" ");
-
-    return el("p", { class: classes, id: sId || undefined }, content);
-  };
+/**
+ * Collapses the debate to one speaker's contributions. Sections holding a
+ * match stay visible (so their headings give context); everything else is
+ * hidden by CSS via #main[data-speaker-filter].
+ */
+function applySpeakerFilter(name, { updateUrl = true } = {}) {
+  const main = document.getElementById("main");
+  if (!main) return;
 
-  const renderQuestion = (q) => {
-    const qId = q.getAttribute("eId") || "";
-    const wrap = el("div", { class: "question", id: qId || undefined }, []);
+  for (const n of main.querySelectorAll(".speech--match")) n.classList.remove("speech--match");
+  for (const n of main.querySelectorAll(".section--has-match")) n.classList.remove("section--has-match");
+  for (const n of main.querySelectorAll(".speech__context, .speaker-filter")) n.remove();
 
-    const ps = Array.from(q.children).filter((n) => n.localName === "p");
-    for (const pEl of ps) {
-      const pid = pEl.getAttribute("eId") || "";
-      const ppm = maybePageMarker(pid);
-      if (ppm) wrap.appendChild(ppm);
+  const wanted = (name || "").trim();
+  const matches = wanted
+    ? Array.from(main.querySelectorAll("article.speech[data-speaker]")).filter(
+        (sp) => sp.getAttribute("data-speaker") === wanted
+      )
+    : [];
 
-      const content = inlineNodes(pEl);
-      if (!content.length) continue;
-      wrap.appendChild(el("p", { class: "question__p", id: pid || undefined }, content));
-    }
-    return wrap;
-  };
+  SPEAKER_FILTER = wanted;
 
-  const renderSpeech = (sp) => {
-    const spId = sp.getAttribute("eId") || "";
+  if (wanted) {
+    main.setAttribute("data-speaker-filter", wanted);
 
-    const fromEl = q1(sp, "from");
-    const fromTxt = text(fromEl);
-    const speakerName = fromTxt ? fromTxt.replace(/\s*\d{4}.*$/, "").trim() : "";
+    for (const sp of matches) {
+      sp.classList.add("speech--match");
+      let sec = sp.parentElement?.closest("section.section");
+      while (sec) {
+        sec.classList.add("section--has-match");
+        sec = sec.parentElement?.closest("section.section");
+      }
 
-    const speechWrap = el("article", {
-      class: "speech",
-      id: spId || undefined,
-      "data-speaker": speakerName || null,
-    });
+      const link = el("a", { class: "speech__context", href: `#${sp.id}`, text: t("speakers.context") });
+      link.addEventListener("click", (e) => {
+        e.preventDefault();
+        applySpeakerFilter("");
+        scrollToId(sp.id);
+      });
+      sp.appendChild(link);
+    }
 
-    const spkNum = spkNumFromId(spId);
-    if (spkNum) speechWrap.setAttribute("data-spknum", spkNum);
+    const clearBtn = el("button", { class: "speaker-filter__clear", type: "button", text: t("speakers.clear") });
+    clearBtn.addEventListener("click", () => applySpeakerFilter(""));
+
+    const count = matches.length;
+    main.insertBefore(
+      el("div", { class: "speaker-filter", role: "status" }, [
+        el("span", {
+          class: "speaker-filter__text",
+          text: count
+            ? t("speakers.showing", { n: count, name: wanted })
+            : t("speakers.none", { name: wanted }),
+        }),
+        " ",
+        clearBtn,
+      ]),
+      main.firstChild
+    );
+  } else {
+    main.removeAttribute("data-speaker-filter");
+  }
 
-    const ps = Array.from(sp.children).filter((n) => n.localName === "p");
-    ps.forEach((pEl, idx) => {
-      const pid = pEl.getAttribute("eId") || "";
-      const extraClass = (pEl.getAttribute("class") || "").trim();
+  const select = document.getElementById("speakerFilter");
+  if (select && select.value !== wanted) select.value = wanted;
 
-      const ppm = maybePageMarker(pid);
-      if (ppm) speechWrap.appendChild(ppm);
+  if (updateUrl) {
+    const u = new URL(window.location.href);
+    if (wanted) u.searchParams.set("speaker", wanted);
+    else u.searchParams.delete("speaker");
+    history.replaceState(history.state, "", u.toString());
+  }
+}
 
-      const content = inlineNodes(pEl);
-      if (!content.length) return;
+/* -----------------------------
+   Full-text search (ToC area)
+------------------------------ */
 
-      const cls = `speech__p${idx === 0 ? " speech__p--first" : ""}${
-        extraClass ? ` ${extraClass}` : ""
-      }`;
+// Paragraph-level blocks produced by js/render.js
+const SEARCH_SELECTOR = ".speech__p, .question__p, .summary";
+const SEARCH_MAX_HITS = 1000;
 
-      if (idx === 0 && speakerName) {
-        speechWrap.appendChild(
-          el("p", { class: cls, id: pid || undefined }, [
-            el("span", { class: "speaker", text: `${speakerName}:` }),
-            " ",
-            ...content,
-          ])
-        );
-      } else {
-        speechWrap.appendChild(el("p", { class: cls, id: pid || undefined }, content));
-      }
-    });
+let SEARCH_INDEX = []; // [{ node: Element, folded: string }]
+let SEARCH_HITS = []; // one entry per match: <mark>[] (a match may span inline elements)
+let SEARCH_POS = -1;
 
-    return { spId, node: speechWrap };
-  };
+function textNodesOf(node) {
+  const out = [];
+  const walker = document.createTreeWalker(node, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) out.push(walker.currentNode);
+  return out;
+}
 
-  const renderDivision = (divisionSec) => {
-    const wrapper = el("section", {
-      class: "division",
-      id: divisionSec.getAttribute("eId") || undefined,
+function buildSearchIndex() {
+  const main = document.getElementById("main");
+  SEARCH_INDEX = main
+    ? Array.from(main.querySelectorAll(SEARCH_SELECTOR)).map((node) => ({
+        node,
+        folded: foldForSearch(node.textContent || ""),
+      }))
+    : [];
+}
+
+function clearSearchHighlights() {
+  const parents = new Set();
+  for (const m of document.querySelectorAll("mark.search-hit")) {
+    const parent = m.parentNode;
+    if (!parent) continue;
+    parent.replaceChild(document.createTextNode(m.textContent || ""), m);
+    parents.add(parent);
+  }
+  // Re-merge split text nodes so the inline markup is exactly as rendered
+  for (const p of parents) p.normalize();
+
+  SEARCH_HITS = [];
+  SEARCH_POS = -1;
+}
+
+/**
+ * Wraps [start,end) ranges of a block's text in <mark> elements, touching
+ * only text nodes so <em>/<strong>/speaker spans stay intact.
+ */
+function highlightRanges(block, ranges, cls = "search-hit") {
+  const hits = ranges.map(() => []);
+  let offset = 0;
+
+  for (const tn of textNodesOf(block)) {
+    const value = tn.nodeValue || "";
+    const nStart = offset;
+    const nEnd = offset + value.length;
+    offset = nEnd;
+
+    const cuts = [];
+    ranges.forEach(([a, b], i) => {
+      const s = Math.max(a, nStart);
+      const e = Math.min(b, nEnd);
+      if (s < e) cuts.push({ s: s - nStart, e: e - nStart, i });
     });
+    if (!cuts.length) continue;
+
+    const frag = document.createDocumentFragment();
+    let pos = 0;
+    for (const c of cuts) {
+      if (c.s > pos) frag.appendChild(document.createTextNode(value.slice(pos, c.s)));
+      const mark = el("mark", { class: cls, text: value.slice(c.s, c.e) });
+      hits[c.i].push(mark);
+      frag.appendChild(mark);
+      pos = c.e;
+    }
+    if (pos < value.length) frag.appendChild(document.createTextNode(value.slice(pos)));
+    tn.parentNode.replaceChild(frag, tn);
+  }
 
-    const preSummaries = [];
-    const postSummaries = [];
-    let seenVoteBlock = false;
-
-    const isVoteBlock = (n) => {
-      if (!n || n.localName !== "debateSection") return false;
-      const nm = (n.getAttribute("name") || "").toLowerCase();
-      return nm === "ta" || nm === "nil" || nm === "staon";
-    };
+  return hits.filter((h) => h.length);
+}
 
-    for (const child of Array.from(divisionSec.children)) {
-      if (isVoteBlock(child)) {
-        seenVoteBlock = true;
-        continue;
-      }
-      if (child.localName === "summary") {
-        const sNode = renderSummary(child);
-        if (sNode) (seenVoteBlock ? postSummaries : preSummaries).push(sNode);
-      }
-    }
+function runSearch(query) {
+  clearSearchHighlights();
 
-    const getVoteList = (name) => {
-      const sec = Array.from(divisionSec.children).find(
-        (n) =>
-          n.localName === "debateSection" &&
-          (n.getAttribute("name") || "").toLowerCase() === name
-      );
-      if (!sec) return [];
-      const ps = Array.from(sec.children).filter((n) => n.localName === "p");
-      return ps
-        .slice(1)
-        .map((p) => {
-          const personEl = Array.from(p.children).find((n) => n.localName === "person");
-          return text(personEl || p);
-        })
-        .filter(Boolean);
-    };
+  const q = foldForSearch((query || "").replace(/\s+/g, " ").trim());
+  if (q.length < 2) return 0;
 
-    const ta = getVoteList("ta");
-    const nil = getVoteList("nil");
-    const staon = getVoteList("staon");
-    const maxLen = Math.max(ta.length, nil.length, staon.length);
-
-    for (const s of preSummaries) wrapper.appendChild(s);
-
-    const table = el("table", { class: "division__table" });
-    table.appendChild(
-      el("thead", {}, [
-        el("tr", {}, [
-          el("th", { scope: "col", text: "Tá" }),
-          el("th", { scope: "col", text: "Níl" }),
-          el("th", { scope: "col", text: "Staon" }),
-        ]),
-      ])
-    );
+  for (const entry of SEARCH_INDEX) {
+    if (SEARCH_HITS.length >= SEARCH_MAX_HITS) break;
 
-    const tbody = el("tbody");
-    for (let i = 0; i < maxLen; i++) {
-      tbody.appendChild(
-        el("tr", {}, [
-          el("td", { text: ta[i] || "" }),
-          el("td", { text: nil[i] || "" }),
-          el("td", { text: staon[i] || "" }),
-        ])
-      );
+    const ranges = [];
+    let from = 0;
+    let at;
+    while ((at = entry.folded.indexOf(q, from)) !== -1) {
+      ranges.push([at, at + q.length]);
+      from = at + q.length;
+      if (SEARCH_HITS.length + ranges.length >= SEARCH_MAX_HITS) break;
     }
-    table.appendChild(tbody);
-    wrapper.appendChild(table);
+    if (ranges.length) SEARCH_HITS.push(...highlightRanges(entry.node, ranges));
+  }
 
-    for (const s of postSummaries) wrapper.appendChild(s);
+  return SEARCH_HITS.length;
+}
 
-    return wrapper;
-  };
+function focusSearchHit(pos) {
+  if (!SEARCH_HITS.length) return;
 
-  function renderDebateSection(sec, level = 2) {
-    const eId = sec.getAttribute("eId") || "";
-    const nameRaw = sec.getAttribute("name") || "";
-    const name = nameRaw.toLowerCase();
+  const n = SEARCH_HITS.length;
+  SEARCH_POS = ((pos % n) + n) % n;
 
-    if (name === "division") return renderDivision(sec);
+  for (const m of document.querySelectorAll("mark.search-hit--current")) {
+    m.classList.remove("search-hit--current");
+  }
+  const marks = SEARCH_HITS[SEARCH_POS];
+  for (const m of marks) m.classList.add("search-hit--current");
+
+  revealSearchHit(marks[0]);
+  marks[0].scrollIntoView({ behavior: "smooth", block: "center" });
+
+  // Hash points at the paragraph (or speech/section) holding the hit
+  const holder = marks[0].closest("[id]");
+  if (holder && holder.id) history.replaceState(history.state, "", `#${encodeURIComponent(holder.id)}`);
+}
+
+// What #main[data-speaker-filter] hides (css/styles.css, "Speaker view")
+const SPEAKER_FILTER_HIDDEN =
+  ".section:not(.section--has-match), .speech:not(.speech--match), .summary, .question, .division, " +
+  ".col-marker__wrap, .page-marker";
+
+/**
+ * A match can sit where scrollIntoView cannot reach it: in a closed <details>,
+ * a [hidden] panel (the ToC opens through its toggle) or outside the speaker
+ * filter, which is then cleared with a note.
+ */
+function revealSearchHit(mark) {
+  for (let n = mark.parentElement; n; n = n.parentElement) {
+    if (n.tagName === "DETAILS" && !n.open) n.open = true;
+    if (n.hidden) {
+      const toggle = n.id ? document.querySelector(`[aria-controls="${n.id}"][aria-expanded="false"]`) : null;
+      if (toggle) toggle.click();
+      else n.hidden = false;
+    }
+  }
 
-    const sectionEl = el("section", {
-      class: "section",
-      id: eId || undefined,
-      "data-section": name,
-    });
+  const main = document.getElementById("main");
+  if (SPEAKER_FILTER && main?.contains(mark) && mark.closest(SPEAKER_FILTER_HIDDEN)) {
+    const name = SPEAKER_FILTER;
+    applySpeakerFilter("");
+    toastHint(t("find.filterCleared", { name }));
+  }
+}
 
-    const cm = maybeColMarker(eId);
-    if (cm) sectionEl.appendChild(cm);
+function buildSearchPanel() {
+  const wrap = el("div", { class: "toc-search", role: "search" });
 
-    renderHeadingDirect(sec, sectionEl, level);
+  const input = el("input", {
+    class: "toc-search__input",
+    id: "searchInput",
+    type: "search",
+    placeholder: t("find.placeholder"),
+    "aria-label": t("find.placeholder"),
+    autocomplete: "off",
+  });
+  const prev = el("button", {
+    class: "toc-search__btn",
+    type: "button",
+    "aria-label": t("find.prev"),
+    title: t("find.prevTitle"),
+    text: "‹",
+  });
+  const next = el("button", {
+    class: "toc-search__btn",
+    type: "button",
+    "aria-label": t("find.next"),
+    title: t("find.nextTitle"),
+    text: "›",
+  });
+  const count = el("span", { class: "toc-search__count", "aria-live": "polite" });
+
+  buildSearchIndex();
+
+  const paintCount = () => {
+    const n = SEARCH_HITS.length;
+    const q = (input.value || "").trim();
+    if (!q || q.length < 2) count.textContent = "";
+    else if (!n) count.textContent = t("find.none");
+    else {
+      const more = n >= SEARCH_MAX_HITS ? "+" : "";
+      count.textContent =
+        SEARCH_POS >= 0
+          ? t("find.position", { pos: SEARCH_POS + 1, n: `${n}${more}` })
+          : t("find.count", { n: `${n}${more}` });
+    }
+    prev.disabled = !n;
+    next.disabled = !n;
+  };
 
-    for (const child of Array.from(sec.children)) {
-      const tag = child.localName;
+  let timer = null;
+  const search = () => {
+    runSearch(input.value);
+    paintCount();
+  };
 
-      if (tag === "heading") continue;
+  const step = (delta) => {
+    if (!SEARCH_HITS.length) search();
+    if (!SEARCH_HITS.length) return;
+    focusSearchHit(SEARCH_POS < 0 ? (delta > 0 ? 0 : -1) : SEARCH_POS + delta);
+    paintCount();
+  };
 
-      if (tag === "summary") {
-        const sNode = renderSummary(child);
-        if (sNode) sectionEl.appendChild(sNode);
-        continue;
-      }
+  input.addEventListener("input", () => {
+    if (timer) window.clearTimeout(timer);
+    timer = window.setTimeout(search, 200);
+  });
 
-      if (tag === "question") {
-        const qNode = renderQuestion(child);
-        if (qNode) sectionEl.appendChild(qNode);
-        continue;
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      if (timer) {
+        window.clearTimeout(timer);
+        timer = null;
+        search();
       }
+      step(e.shiftKey ? -1 : 1);
+    } else if (e.key === "Escape") {
+      input.value = "";
+      clearSearchHighlights();
+      paintCount();
+    }
+  });
 
-      if (tag === "speech") {
-        const { spId, node } = renderSpeech(child);
+  prev.addEventListener("click", () => step(-1));
+  next.addEventListener("click", () => step(1));
 
-        const cm2 = maybeColMarker(spId);
-        if (cm2) sectionEl.appendChild(cm2);
+  paintCount();
 
-        const pm = maybePageMarker(spId);
-        if (pm) sectionEl.appendChild(pm);
+  wrap.appendChild(input);
+  wrap.appendChild(prev);
+  wrap.appendChild(next);
+  wrap.appendChild(count);
+  return wrap;
+}
 
-        sectionEl.appendChild(node);
-        continue;
+/* -----------------------------
+   Cross-date search (static index from scripts/build_search_index.mjs)
+------------------------------ */
+
+const SEARCH_INDEX_BASE = appUrl("data/search");
+const XSEARCH_MAX_RESULTS = 100;
+const XSEARCH_SNIPPET_CHARS = 220;
+
+let XSEARCH_MANIFEST = null;
+const XSEARCH_SHARDS = new Map(); // url -> Promise<json>
+
+function fetchJSONCached(url) {
+  if (!XSEARCH_SHARDS.has(url)) {
+    XSEARCH_SHARDS.set(
+      url,
+      fetch(url, { cache: "no-store" }).then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status} fetching ${url}`);
+        return res.json();
+      })
+    );
+  }
+  return XSEARCH_SHARDS.get(url);
+}
+
+// Tokenised as the builder tokenises speeches (js/search.js)
+function tokenizeQuery(q) {
+  return Array.from(new Set(tokenize(q)));
+}
+
+/** AND-query across terms; newest sittings first. */
+async function queryStaticIndex(q) {
+  const terms = tokenizeQuery(q);
+  if (!terms.length) return { terms, total: 0, results: [] };
+
+  if (!XSEARCH_MANIFEST) XSEARCH_MANIFEST = await fetchJSONCached(`${SEARCH_INDEX_BASE}/manifest.json`);
+  // version 3 shards terms by hash; older indexes (two-letter shards, full texts) need a rebuild
+  const shards = XSEARCH_MANIFEST.termShards;
+  if (!Number.isInteger(shards)) throw new Error("search index out of date (npm run build:search)");
+
+  let ids = null;
+  for (const term of terms) {
+    const shard = await fetchJSONCached(`${SEARCH_INDEX_BASE}/terms/${termShard(term, shards)}.json`);
+    const list = shard[term] || [];
+    if (ids === null) ids = list;
+    else {
+      const keep = new Set(list);
+      ids = ids.filter((id) => keep.has(id));
+    }
+    if (!ids.length) break;
+  }
+
+  // The builder numbers speeches in date order, so the newest are at the end; the
+  // page is still ordered by each speech's own date (older indexes numbered by folder)
+  const picked = (ids || []).slice(-XSEARCH_MAX_RESULTS);
+  const per = XSEARCH_MANIFEST.docsPerShard || 2000;
+
+  const results = [];
+  for (const id of picked) {
+    const docs = await fetchJSONCached(`${SEARCH_INDEX_BASE}/docs/${Math.floor(id / per)}.json`);
+    const doc = docs[id % per];
+    if (doc) results.push({ id, doc });
+  }
+  results.sort((a, b) => (b.doc.d || "").localeCompare(a.doc.d || "") || b.id - a.id);
+
+  return { terms, total: (ids || []).length, results: results.map((r) => r.doc) };
+}
+
+function sittingHref({ date, house = DEFAULT_HOUSE, hash = "" }) {
+  const u = readerUrl();
+  u.search = "";
+  u.hash = "";
+  u.searchParams.set("date", date);
+  setHouseParam(u, house);
+  return `${u.pathname}${u.search}${hash ? `#${encodeURIComponent(hash)}` : ""}`;
+}
+
+/** About XSEARCH_SNIPPET_CHARS of `text` (the speech's excerpt) centred on the first query term, cut at word breaks */
+function snippetAround(text, terms) {
+  const s = (text || "").replace(/\s+/g, " ").trim();
+  if (s.length <= XSEARCH_SNIPPET_CHARS) return s;
+
+  const folded = foldForSearch(s);
+  let at = -1;
+  for (const term of terms) {
+    const m = new RegExp(`\\b${term}`).exec(folded);
+    if (m && (at < 0 || m.index < at)) at = m.index;
+  }
+
+  let start = Math.max(0, Math.min(at - XSEARCH_SNIPPET_CHARS / 2, s.length - XSEARCH_SNIPPET_CHARS));
+  let end = Math.min(s.length, start + XSEARCH_SNIPPET_CHARS);
+  if (start > 0) start = s.indexOf(" ", start) + 1 || start;
+  if (end < s.length) end = s.lastIndexOf(" ", end) > start ? s.lastIndexOf(" ", end) : end;
+  return `${start > 0 ? "…" : ""}${s.slice(start, end)}${end < s.length ? "…" : ""}`;
+}
+
+/** Snippet with query terms wrapped in <mark> (terms are matched accent-insensitively). */
+function markedSnippet(snippet, terms) {
+  const folded = foldForSearch(snippet);
+  const ranges = [];
+  for (const term of terms) {
+    const re = new RegExp(`\\b${term}`, "g");
+    let m;
+    while ((m = re.exec(folded))) ranges.push([m.index, m.index + term.length]);
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  const out = [];
+  let pos = 0;
+  for (const [a, b] of ranges) {
+    if (a < pos) continue;
+    if (a > pos) out.push(snippet.slice(pos, a));
+    out.push(el("mark", { class: "search-hit", text: snippet.slice(a, b) }));
+    pos = b;
+  }
+  if (pos < snippet.length) out.push(snippet.slice(pos));
+  return out;
+}
+
+function renderSearchPage() {
+  const main = document.getElementById("main");
+  if (!main) return;
+  main.innerHTML = "";
+
+  const house = document.getElementById("house");
+  if (house) house.textContent = t("xsearch.house");
+
+  const form = el("form", { class: "xsearch", role: "search" });
+  const input = el("input", {
+    class: "xsearch__input",
+    id: "xsearchInput",
+    type: "search",
+    placeholder: t("xsearch.placeholder"),
+    "aria-label": t("menu.searchAll"),
+    autocomplete: "off",
+  });
+  const btn = el("button", { class: "xsearch__btn", type: "submit", text: t("xsearch.button") });
+  const status = el("p", { class: "xsearch__status", "aria-live": "polite" });
+  const list = el("ol", { class: "xsearch__results" });
+
+  form.appendChild(el("label", { class: "xsearch__label", for: "xsearchInput", text: t("menu.searchAll") }));
+  form.appendChild(el("div", { class: "xsearch__row" }, [input, btn]));
+  main.appendChild(form);
+  main.appendChild(status);
+  main.appendChild(list);
+
+  const run = async (q) => {
+    list.innerHTML = "";
+    const query = (q || "").trim();
+    if (!query) {
+      status.textContent = "";
+      return;
+    }
+
+    status.textContent = t("xsearch.searching");
+    try {
+      const { terms, total, results } = await queryStaticIndex(query);
+      if (!terms.length) {
+        status.textContent = t("xsearch.tooShort");
+        return;
+      }
+      if (!total) {
+        status.textContent = t("xsearch.none", { query });
+        return;
       }
 
-      if (tag === "debateSection") {
-        sectionEl.appendChild(renderDebateSection(child, level + 1));
-        continue;
+      status.textContent =
+        total > results.length
+          ? t("xsearch.some", { total, shown: results.length })
+          : t("xsearch.all", { total });
+
+      for (const r of results) {
+        const label = [formatLongDate(r.d), r.h && r.h !== DEFAULT_HOUSE ? houseLabel(r.h) : "", r.n]
+          .filter(Boolean)
+          .join(" — ");
+        list.appendChild(
+          el("li", { class: "xsearch__item" }, [
+            el("a", { class: "xsearch__link", href: sittingHref({ date: r.d, house: r.h, hash: r.s }), text: label }),
+            r.x ? el("div", { class: "xsearch__context", text: r.x }) : null,
+            el("p", { class: "xsearch__snippet" }, markedSnippet(snippetAround(r.t, terms), terms)),
+          ])
+        );
       }
+    } catch (err) {
+      status.textContent = t("xsearch.unavailable", { error: String(err.message || err) });
+    }
+  };
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const u = new URL(window.location.href);
+    u.searchParams.set("q", input.value.trim());
+    history.replaceState(history.state, "", u.toString());
+    run(input.value);
+  });
+
+  const initialQ = new URL(window.location.href).searchParams.get("q") || "";
+  input.value = initialQ;
+  if (initialQ) run(initialQ);
+  input.focus();
+}
+
+/* -----------------------------
+   Divisions (structured data, export, per-member lookup)
+------------------------------ */
+
+// Parsed divisions for the loaded sitting, in document order (from transformSitting)
+let DIVISIONS = [];
+
+function divisionToJSON(d) {
+  const person = (v) => ({
+    name: v.name,
+    member: v.member?.showAs || null,
+    uri: v.member?.uri || null,
+    teller: v.teller,
+    party: v.party?.name || null,
+    againstParty: !!v.againstParty,
+  });
+  return {
+    house: HOUSE,
+    date: DOC_DATE_ISO,
+    eId: d.eId,
+    question: d.question,
+    result: d.result,
+    outcome: d.outcome,
+    tallies: d.tallies,
+    tellers: d.tellers,
+    votes: {
+      ta: d.votes.ta.map(person),
+      nil: d.votes.nil.map(person),
+      staon: d.votes.staon.map(person),
+    },
+    pairs: (d.pairs || []).map((pair) => pair.map(person)),
+  };
+}
+
+function csvCell(v) {
+  const s = v === null || v === undefined ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function divisionToCSV(d) {
+  const rows = [
+    ["date", "division", "question", "lobby", "name", "member", "member_uri", "teller", "party", "against_party"],
+  ];
+  const row = (lobby, v) => [
+    DOC_DATE_ISO,
+    d.eId,
+    d.question,
+    lobby,
+    v.name,
+    v.member?.showAs || "",
+    v.member?.uri || "",
+    v.teller ? "yes" : "",
+    v.party?.name || "",
+    v.againstParty ? "yes" : "",
+  ];
+  for (const { key, label } of LOBBIES) {
+    for (const v of d.votes[key]) rows.push(row(label, v));
+  }
+  for (const v of (d.pairs || []).flat()) rows.push(row("Paired", v));
+  return rows.map((r) => r.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+function downloadBlob(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// CSV/JSON buttons in each division header (js/render.js leaves them inert)
+function enableDivisionDownloads() {
+  document.addEventListener("click", (e) => {
+    const btn = e.target.closest?.(".division__btn[data-download]");
+    const d = DIVISIONS[Number(btn?.closest(".division[data-division]")?.getAttribute("data-division"))];
+    if (!d) return;
+
+    const base = `division-${DOC_DATE_ISO || "sitting"}-${d.eId || "x"}`;
+    if (btn.getAttribute("data-download") === "csv") {
+      downloadBlob(divisionToCSV(d), `${base}.csv`, "text/csv;charset=utf-8");
+    } else {
+      downloadBlob(JSON.stringify(divisionToJSON(d), null, 2), `${base}.json`, "application/json");
+    }
+  });
+}
 
-      const content = inlineNodes(child);
-      if (content.length) sectionEl.appendChild(el("p", { class: "fallback" }, content));
+/** Every division entry for one member: [{ division, index, lobby, teller }] */
+function votesForMember(query) {
+  const key = nameKey(query);
+  if (!key) return [];
+
+  const out = [];
+  DIVISIONS.forEach((d, index) => {
+    for (const { key: lobby, label } of LOBBIES) {
+      const v = d.votes[lobby].find(
+        (x) => nameKey(x.name) === key || (x.member && nameKey(x.member.showAs) === key)
+      );
+      if (v) {
+        out.push({ division: d, index, lobby: label, teller: v.teller });
+        return;
+      }
     }
+    out.push({ division: d, index, lobby: "", teller: false });
+  });
+  return out;
+}
+
+function buildDivisionLookup() {
+  if (!DIVISIONS.length) return null;
 
-    return sectionEl;
+  const names = new Map(); // key -> display
+  for (const d of DIVISIONS) {
+    for (const { key } of LOBBIES) {
+      for (const v of d.votes[key]) {
+        const display = v.member?.showAs || v.name.replace(/\.$/, "");
+        names.set(nameKey(display), display);
+      }
+    }
   }
 
-  const topSections = Array.from(debateBody.children).filter((n) => n.localName === "debateSection");
-  for (const sec of topSections) main.appendChild(renderDebateSection(sec, 2));
+  const wrap = el("div", { class: "vote-lookup" });
+  const input = el("input", {
+    class: "vote-lookup__input",
+    id: "voteLookupInput",
+    type: "text",
+    list: "voteLookupNames",
+    placeholder: t("votes.placeholder"),
+    autocomplete: "off",
+  });
+  const dl = el(
+    "datalist",
+    { id: "voteLookupNames" },
+    Array.from(names.values())
+      .sort((a, b) => a.localeCompare(b, "en-IE"))
+      .map((n) => el("option", { value: n }))
+  );
+  const btn = el("button", { class: "vote-lookup__btn", type: "button", text: t("votes.button") });
+  const results = el("ul", { class: "vote-lookup__results", "aria-live": "polite" });
+
+  const go = () => {
+    results.innerHTML = "";
+    const q = (input.value || "").trim();
+    if (!q) return;
+
+    const rows = votesForMember(q);
+    if (!rows.some((r) => r.lobby)) {
+      results.appendChild(el("li", { text: t("votes.none", { name: q }) }));
+      return;
+    }
+
+    for (const r of rows) {
+      const d = r.division;
+      const label = d.question || d.result || t("votes.division", { n: r.index + 1 });
+      const link = el("a", { href: `#${d.eId}`, text: label });
+      link.addEventListener("click", (e) => {
+        e.preventDefault();
+        scrollToId(d.eId);
+      });
+      const vote = r.lobby
+        ? r.teller
+          ? translate(UI_LANG, "division.teller", { name: r.lobby })
+          : r.lobby
+        : t("votes.didNotVote");
+      results.appendChild(
+        el("li", { class: "vote-lookup__item" }, [el("strong", { text: `${vote}: ` }), link])
+      );
+    }
+  };
+
+  btn.addEventListener("click", go);
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      go();
+    }
+  });
+
+  wrap.appendChild(
+    el("label", { class: "vote-lookup__label", for: "voteLookupInput", text: t("votes.label") })
+  );
+  wrap.appendChild(el("div", { class: "vote-lookup__row" }, [input, btn]));
+  wrap.appendChild(dl);
+  wrap.appendChild(results);
+  return wrap;
 }
 
 /* -----------------------------
-   Citation UX (speech-level)
+   Document health (validateSitting in js/render.js)
 ------------------------------ */
 
-function formatAccessedDate(d = new Date()) {
-  return d.toLocaleDateString("en-IE", { day: "2-digit", month: "long", year: "numeric" });
+/** Collapsed panel above the debate listing what the XML check found; nothing when it is clean */
+function renderDocHealth() {
+  document.getElementById("docHealth")?.remove();
+  const main = document.getElementById("main");
+  const { issues } = DOC_HEALTH;
+  if (!main || !issues.length) return;
+
+  const errors = issues.filter((i) => i.level === "error").length;
+  const warnings = issues.length - errors;
+  const counts = [
+    errors ? t("health.errors", { n: errors }) : "",
+    warnings ? t("health.warnings", { n: warnings }) : "",
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+  const list = el(
+    "ul",
+    { class: "doc-health__list" },
+    issues.map((issue) => {
+      const links = issue.examples.map((id) => {
+        const a = el("a", { class: "doc-health__where", href: `#${id}`, text: id });
+        a.addEventListener("click", (e) => {
+          e.preventDefault();
+          scrollToId(id);
+        });
+        return a;
+      });
+      const where = links.length
+        ? [" (", ...links.flatMap((a, i) => (i ? [", ", a] : [a])), issue.count > links.length ? ", …)" : ")"]
+        : [];
+      return el("li", { class: `doc-health__item doc-health__item--${issue.level}`, "data-kind": issue.kind }, [
+        issue.message,
+        ...where,
+      ]);
+    })
+  );
+
+  const panel = el("details", { class: `doc-health${errors ? " doc-health--error" : ""}`, id: "docHealth" }, [
+    el("summary", { class: "doc-health__summary", text: t("health.summary", { counts }) }),
+    list,
+  ]);
+  main.before(panel);
 }
 
-function getEditionYear() {
-  const dt = getEditionDateText();
-  const m = dt.match(/\b(19|20)\d{2}\b/);
-  return m ? m[0] : "";
-}
+/* -----------------------------
+   Citation UX (speech-level)
+------------------------------ */
 
-function normalizeSpeakerForCitation(name) {
-  const s = (name || "").trim();
-  if (!s) return "Unknown";
-  if (/^(An|A|Ceann|Cathaoirleach|Leas)/i.test(s)) return s;
+// Citations are in English whatever the interface language; the saved-sittings list passes UI_LANG
+function formatAccessedDate(d = new Date(), lang = "en") {
+  return d.toLocaleDateString(dateLocale(lang), { day: "2-digit", month: "long", year: "numeric" });
+}
 
-  const parts = s.split(/\s+/).filter(Boolean);
-  if (parts.length === 1) return s;
+// Last style picked in the citation popover (persisted like dv_mode)
+const CITATION_STYLE_KEY = "dv_citation_style";
 
-  const last = parts[parts.length - 1].replace(/[^\p{L}\p{M}'-]/gu, "");
-  const initials = parts
-    .slice(0, -1)
-    .filter((p) => !/^(Mr|Mrs|Ms|Dr|President|Taoiseach|Tánaiste|Deputy)$/i.test(p))
-    .map((p) => p[0].toUpperCase() + ".")
-    .join("");
+function getCitationStyle() {
+  const s = localStorage.getItem(CITATION_STYLE_KEY) || "";
+  return isCitationStyle(s) ? s : DEFAULT_CITATION_STYLE;
+}
 
-  return initials ? `${last}, ${initials}` : last;
+function setCitationStyle(style) {
+  if (isCitationStyle(style)) localStorage.setItem(CITATION_STYLE_KEY, style);
 }
 
-function makeSpeechCitation({ speakerName, spkId }) {
-  const year = getEditionYear() || (DOC_DATE_ISO ? DOC_DATE_ISO.slice(0, 4) : "");
-  const dateText = getEditionDateText() || DOC_DATE_ISO;
-  const accessed = formatAccessedDate(new Date());
+/** Heading of the nearest titled section a speech sits in (APA/BibTeX/CSL title) */
+function speechSectionTitle(spkId) {
+  let sec = spkId ? document.getElementById(spkId)?.closest("section.section") : null;
+  while (sec) {
+    const heading = sec.querySelector(":scope > .section__heading");
+    const text = (heading?.textContent || "").replace(/\s+/g, " ").trim();
+    if (text) return text;
+    sec = sec.parentElement?.closest("section.section");
+  }
+  return "";
+}
 
+/** Everything js/citations.js needs for one speech */
+function speechCitationRecord({ speakerName, spkId, member = null }) {
+  const dateIso = DOC_DATE_ISO || getDateFromQuery(DEFAULT_DATE);
   const spkNum = spkNumFromId(spkId) || "";
-  const dateIso = DOC_DATE_ISO || "";
-  const url = `https://www.oireachtas.ie/en/debates/debate/dail/${dateIso}/speech/${spkNum}/`;
-  const author = normalizeSpeakerForCitation(speakerName);
 
-  return `${author}, (${year}), Dáil Debates (Unrevised), [online], ${dateText}, Available at: ${url} (accessed ${accessed})`;
+  return {
+    speaker: member?.showAs || speakerName || "",
+    title: speechSectionTitle(spkId),
+    house: houseLabel(),
+    debates: houseDebatesLabel(),
+    short: houseShortLabel(),
+    date: dateIso,
+    volume: EDITION_META.volume,
+    number: EDITION_META.number,
+    revised: EDITION_META.revised,
+    columns: SPEECH_COLUMNS.get(String(spkId || "")) || null,
+    url: `${oirWebDebateUrl(dateIso)}speech/${spkNum}/`,
+    id: `${HOUSE}-${dateIso}-${spkId || "speech"}`,
+    accessed: new Date(),
+  };
+}
+
+function makeSpeechCitation({ speakerName, spkId, member = null, style = getCitationStyle() }) {
+  return formatCitation(style, speechCitationRecord({ speakerName, spkId, member }));
 }
 
 async function copyToClipboard(textToCopy) {
@@ -1545,6 +2970,102 @@ async function copyToClipboard(textToCopy) {
   }
 }
 
+let CITE_POP = null; // { node, speech }
+
+function closeCitationPopover() {
+  if (!CITE_POP) return;
+  const { node, speech } = CITE_POP;
+  CITE_POP = null;
+  node.remove();
+  speech.removeAttribute("aria-expanded");
+}
+
+/** Small popover under a speech: style chooser, the citation, Copy. */
+function openCitationPopover(sp) {
+  const reopen = CITE_POP?.speech === sp;
+  closeCitationPopover();
+  if (reopen) return;
+
+  const spkId = sp.getAttribute("id") || "";
+  const speakerName = sp.getAttribute("data-speaker") || "";
+  const member = memberById(sp.getAttribute("data-member"));
+
+  const pop = el("div", {
+    class: "cite-pop",
+    role: "dialog",
+    "aria-label": t("cite.title", { name: speakerName || spkId }),
+  });
+  const select = el(
+    "select",
+    { class: "cite-pop__style", id: "citeStyle", "aria-label": t("cite.style") },
+    CITATION_STYLES.map((s) => el("option", { value: s.id, text: s.label }))
+  );
+  select.value = getCitationStyle();
+
+  const out = el("textarea", { class: "cite-pop__text", readonly: "", rows: "4", "aria-label": t("cite.text") });
+  const copyBtn = el("button", { class: "cite-pop__btn", type: "button", text: t("cite.copy") });
+  const closeBtn = el("button", {
+    class: "cite-pop__close",
+    type: "button",
+    "aria-label": t("common.close"),
+    text: "×",
+  });
+
+  const paint = () => {
+    out.value = makeSpeechCitation({ speakerName, spkId, member, style: select.value });
+    out.rows = Math.min(12, Math.max(3, out.value.split("\n").length + 1));
+    copyBtn.textContent = t("cite.copy");
+  };
+
+  select.addEventListener("change", () => {
+    setCitationStyle(select.value);
+    paint();
+  });
+
+  copyBtn.addEventListener("click", async () => {
+    const ok = await copyToClipboard(out.value);
+    copyBtn.textContent = ok ? t("cite.copied") : t("cite.copyFailed");
+    sp.setAttribute("data-copied", ok ? "true" : "false");
+    window.setTimeout(() => sp.removeAttribute("data-copied"), 1400);
+  });
+
+  closeBtn.addEventListener("click", () => {
+    closeCitationPopover();
+    sp.focus();
+  });
+
+  pop.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      closeCitationPopover();
+      sp.focus();
+    }
+  });
+
+  pop.appendChild(
+    el("div", { class: "cite-pop__head" }, [
+      el("label", { class: "cite-pop__label", for: "citeStyle", text: t("cite.as") }),
+      select,
+      closeBtn,
+    ])
+  );
+  pop.appendChild(out);
+  pop.appendChild(el("div", { class: "cite-pop__row" }, [copyBtn]));
+
+  // Under the speech's first line, kept inside the viewport horizontally
+  const rect = sp.getBoundingClientRect();
+  document.body.appendChild(pop);
+  const width = pop.offsetWidth;
+  const left = Math.max(8, Math.min(rect.left, document.documentElement.clientWidth - width - 8));
+  pop.style.left = `${left + window.scrollX}px`;
+  pop.style.top = `${rect.top + window.scrollY + 28}px`;
+
+  CITE_POP = { node: pop, speech: sp };
+  sp.setAttribute("aria-expanded", "true");
+  paint();
+  select.focus();
+}
+
 function enableSpeechLinkCopy() {
   const speeches = document.querySelectorAll(".speech[id][data-speaker]");
   if (!speeches.length) return;
@@ -1556,38 +3077,255 @@ function enableSpeechLinkCopy() {
 
     if (spkNum && !sp.hasAttribute("data-spknum")) sp.setAttribute("data-spknum", spkNum);
 
-    sp.setAttribute("title", `Copy citation for ${speakerName || spkId}`);
+    const cols = speechColumnsText(spkId);
+    if (cols) sp.setAttribute("data-columns", cols);
+    sp.setAttribute("title", `${t("cite.title", { name: speakerName || spkId })}${cols ? ` (${cols})` : ""}`);
+    sp.setAttribute("aria-haspopup", "dialog");
     if (!sp.hasAttribute("tabindex")) sp.setAttribute("tabindex", "0");
 
-    const doCopy = async () => {
-      const citation = makeSpeechCitation({ speakerName, spkId });
-      const ok = await copyToClipboard(citation);
-
-      sp.setAttribute("data-copied", ok ? "true" : "false");
-      window.setTimeout(() => sp.removeAttribute("data-copied"), 1400);
-
-      if (ok) {
-        const oldTitle = sp.getAttribute("title") || "";
-        sp.setAttribute("title", "Copied!");
-        window.setTimeout(() => sp.setAttribute("title", oldTitle), 900);
-      }
-    };
-
     sp.addEventListener("click", (e) => {
       const sel = window.getSelection();
       if (sel && sel.toString().length > 0) return;
       const target = e.target;
       if (target && target.closest && target.closest("a")) return;
-      doCopy();
+      openCitationPopover(sp);
     });
 
     sp.addEventListener("keydown", (e) => {
+      if (e.target !== sp) return;
       if (e.key === "Enter" || e.key === " ") {
         e.preventDefault();
-        doCopy();
+        openCitationPopover(sp);
       }
     });
   }
+
+}
+
+/** Outside click closes the popover (clicks on the open speech toggle it themselves); wired once */
+function enableCitationPopoverDismiss() {
+  document.addEventListener("click", (e) => {
+    if (!CITE_POP) return;
+    if (CITE_POP.node.contains(e.target) || CITE_POP.speech.contains(e.target)) return;
+    closeCitationPopover();
+  });
+}
+
+/* -----------------------------
+   Paragraph permalinks + "Quote this"
+------------------------------ */
+
+// Excerpts up to this length go into the link whole; longer ones as "first words,last words"
+const QUOTE_EXACT_MAX = 80;
+const QUOTE_EDGE_WORDS = 5;
+
+let QUOTE_BTN = null;
+
+/** Text-fragment style parts: ["whole excerpt"] or ["first words", "last words"] */
+function quoteParts(excerpt) {
+  const s = String(excerpt || "").replace(/\s+/g, " ").trim();
+  if (s.length <= QUOTE_EXACT_MAX) return s ? [s] : [];
+  const words = s.split(" ");
+  if (words.length <= QUOTE_EDGE_WORDS * 2) return [s];
+  return [words.slice(0, QUOTE_EDGE_WORDS).join(" "), words.slice(-QUOTE_EDGE_WORDS).join(" ")];
+}
+
+// As in #:~:text=…, where "," separates the parts and "-" is reserved
+function encodeQuotePart(s) {
+  return encodeURIComponent(s).replace(/-/g, "%2D");
+}
+
+/** ?quote=start[,end] (read raw: the parts are percent-encoded on their own) */
+function getQuoteFromQuery() {
+  const m = window.location.search.match(/[?&]quote=([^&]*)/);
+  if (!m || !m[1]) return [];
+  return m[1]
+    .split(",")
+    .slice(0, 2)
+    .map((part) => {
+      try {
+        return decodeURIComponent(part.replace(/\+/g, " "));
+      } catch {
+        return part;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Absolute link to one block of this sitting. With an excerpt, the app
+ * highlights it on load (?quote=) and browsers that read text fragments can too.
+ */
+function blockPermalink(id, excerpt = "") {
+  const u = new URL(window.location.href);
+  u.search = "";
+  u.hash = "";
+  const d = DOC_DATE_ISO || getDateFromQuery(DEFAULT_DATE);
+  if (d) u.searchParams.set("date", d);
+  setHouseParam(u);
+
+  const frag = quoteParts(excerpt).map(encodeQuotePart).join(",");
+  const search = frag ? `${u.search ? `${u.search}&` : "?"}quote=${frag}` : u.search;
+  return `${u.origin}${u.pathname}${search}#${encodeURIComponent(id)}${frag ? `:~:text=${frag}` : ""}`;
+}
+
+// Folded text with whitespace runs collapsed, plus each character's offset in the original
+function foldCollapsed(text) {
+  const folded = foldForSearch(text || "");
+  let s = "";
+  const at = [];
+  for (let i = 0; i < folded.length; i++) {
+    const c = folded[i];
+    if (/\s/.test(c)) {
+      if (!s || s.endsWith(" ")) continue;
+      s += " ";
+    } else {
+      s += c;
+    }
+    at.push(i);
+  }
+  return { s, at };
+}
+
+/**
+ * Marks a quoted excerpt, starting in `target` and running on through the
+ * rest of its speech if need be. Returns the <mark>s (empty when not found).
+ */
+function highlightQuote(target, parts) {
+  const speech = target.closest(".speech") || target;
+  const blocks = Array.from(speech.querySelectorAll(SEARCH_SELECTOR));
+  const from = Math.max(0, blocks.indexOf(target));
+  const [start, end] = parts.map((p) => foldCollapsed(p).s.trim());
+  if (!start) return [];
+
+  const texts = blocks.map((b) => foldCollapsed(b.textContent || ""));
+  const mark = (k, a, b) => highlightRanges(blocks[k], [[texts[k].at[a], texts[k].at[b - 1] + 1]], "quote-hit").flat();
+
+  for (let i = from; i < blocks.length; i++) {
+    const at = texts[i].s.indexOf(start);
+    if (at === -1) continue;
+    if (!end) return mark(i, at, at + start.length);
+
+    for (let j = i; j < blocks.length; j++) {
+      const e = texts[j].s.indexOf(end, j === i ? at + start.length : 0);
+      if (e === -1) continue;
+
+      const marks = [];
+      for (let k = i; k <= j; k++) {
+        const a = k === i ? at : 0;
+        const b = k === j ? e + end.length : texts[k].s.length;
+        if (b > a) marks.push(...mark(k, a, b));
+      }
+      return marks;
+    }
+    return mark(i, at, at + start.length);
+  }
+  return [];
+}
+
+/** ¶ in the margin of every paragraph: copies a link straight to it */
+function addParagraphLinks() {
+  const main = document.getElementById("main");
+  if (!main) return;
+
+  for (const p of main.querySelectorAll(".speech__p[id], .question__p[id]")) {
+    const a = el("a", { class: "para-link", href: `#${p.id}`, title: t("para.link") });
+    a.setAttribute("aria-label", t("para.link"));
+    a.addEventListener("click", async (e) => {
+      e.preventDefault();
+      const url = blockPermalink(p.id);
+      history.replaceState(history.state, "", `#${encodeURIComponent(p.id)}`);
+      flashLinkTarget(p);
+      const ok = await copyToClipboard(url);
+      toastHint(ok ? t("link.copied", { url }) : url);
+    });
+    p.insertBefore(a, p.firstChild);
+  }
+}
+
+/** The current selection when it lies within one speech: plain excerpt + where to link */
+function speechSelection() {
+  const sel = window.getSelection();
+  if (!sel || sel.isCollapsed || !sel.rangeCount) return null;
+
+  const range = sel.getRangeAt(0);
+  const elOf = (n) => (n && n.nodeType === 1 ? n : n?.parentElement);
+  const speech = elOf(range.startContainer)?.closest(".speech[id]");
+  if (!speech || speech !== elOf(range.endContainer)?.closest(".speech[id]")) return null;
+
+  // Excerpt without the speaker label or margin markers; paragraphs joined by a space
+  const frag = range.cloneContents();
+  for (const n of frag.querySelectorAll(".speaker, .para-link, .pdf-anchor, .col-marker__wrap, .page-marker")) {
+    n.remove();
+  }
+  for (const p of frag.querySelectorAll("p")) p.append(" ");
+  const excerpt = (frag.textContent || "").replace(/\s+/g, " ").trim();
+  if (!excerpt) return null;
+
+  // the paragraph the excerpt starts in; blocks without an id fall back to the speech
+  const para = elOf(range.startContainer)?.closest(".speech__p[id]");
+  return { speech, range, excerpt, targetId: para && speech.contains(para) ? para.id : speech.id };
+}
+
+/** “excerpt” — Speaker, Dáil Debates, 5 February 2026 (Unrevised), col 456 + link */
+function makeQuote({ speech, excerpt, targetId }) {
+  const member = memberById(speech.getAttribute("data-member"));
+  const speaker = member?.showAs || speech.getAttribute("data-speaker") || "";
+  const when = formatLongDate(DOC_DATE_ISO, "en") || getEditionDateText();
+  const status = EDITION_META.revised === false ? " (Unrevised)" : "";
+  const cols = speechColumnsText(speech.id);
+
+  const source = [speaker, houseDebatesLabel(), `${when}${status}`, cols].filter(Boolean).join(", ");
+  return `“${excerpt}”\n— ${source}\n${blockPermalink(targetId, excerpt)}`;
+}
+
+function hideQuoteButton() {
+  if (QUOTE_BTN) QUOTE_BTN.hidden = true;
+}
+
+function placeQuoteButton() {
+  const picked = speechSelection();
+  if (!picked) {
+    hideQuoteButton();
+    return;
+  }
+
+  if (!QUOTE_BTN) {
+    QUOTE_BTN = el("button", { class: "quote-btn", type: "button", text: t("quote.button") });
+    // keep the selection when the button is pressed
+    QUOTE_BTN.addEventListener("mousedown", (e) => e.preventDefault());
+    QUOTE_BTN.addEventListener("click", async () => {
+      const current = speechSelection();
+      if (!current) {
+        hideQuoteButton();
+        return;
+      }
+      const ok = await copyToClipboard(makeQuote(current));
+      toastHint(ok ? t("quote.copied") : t("quote.failed"));
+      hideQuoteButton();
+    });
+    document.body.appendChild(QUOTE_BTN);
+  }
+
+  // Just above the end of the selection
+  const rects = picked.range.getClientRects();
+  const last = rects[rects.length - 1] || picked.range.getBoundingClientRect();
+  QUOTE_BTN.hidden = false;
+  const width = QUOTE_BTN.offsetWidth;
+  const left = Math.max(8, Math.min(last.right - width / 2, document.documentElement.clientWidth - width - 8));
+  QUOTE_BTN.style.left = `${left + window.scrollX}px`;
+  QUOTE_BTN.style.top = `${last.top + window.scrollY - QUOTE_BTN.offsetHeight - 8}px`;
+}
+
+function enableQuoteSelection() {
+  let frame = 0;
+  document.addEventListener("selectionchange", () => {
+    if (frame) window.cancelAnimationFrame(frame);
+    frame = window.requestAnimationFrame(() => {
+      frame = 0;
+      placeQuoteButton();
+    });
+  });
 }
 
 /* -----------------------------
@@ -1602,19 +3340,252 @@ function setRunningStrings({ chamber, dateText }) {
   if (dateEl) dateEl.textContent = dateText || "";
 }
 
+/**
+ * PDF build only: the browser writes a named destination for every link
+ * target, so an empty self-link per speech/paragraph lets build_pdf.mjs read
+ * back which page each one starts on.
+ */
+function addPdfAnchors() {
+  const main = document.getElementById("main");
+  if (!main) return;
+
+  for (const node of main.querySelectorAll("article.speech[id], .speech__p[id], .question__p[id]")) {
+    node.insertBefore(
+      el("a", { class: "pdf-anchor", href: `#${node.id}`, "aria-hidden": "true", tabindex: "-1" }),
+      node.firstChild
+    );
+  }
+}
+
+/* -----------------------------
+   Sitting router: fetch + render in place, history.pushState between dates
+------------------------------ */
+
+let SITTING_SHOWN = ""; // date the page is showing (or loading)
+let SITTING_LOAD = null; // AbortController of the sitting being fetched
+let SCROLL_SAVE_TIMER = null;
+let LOADING_NOTE = ""; // what #loadHint says while a sitting loads
+
+/** Remember where the reader is in this history entry (restored on back/forward) */
+function saveScrollPosition() {
+  history.replaceState({ ...(history.state || {}), scrollY: window.scrollY }, "", window.location.href);
+}
+
+function setSittingLoading(on, dateISO = "") {
+  const main = document.getElementById("main");
+  const hint = document.getElementById("loadHint");
+
+  document.documentElement.toggleAttribute("data-loading", on);
+  if (main) main.setAttribute("aria-busy", String(on));
+  if (!hint) return;
+
+  if (on) {
+    LOADING_NOTE = t("date.loading", { date: formatLongDate(dateISO) || dateISO });
+    hint.textContent = LOADING_NOTE;
+  } else if (hint.textContent === LOADING_NOTE) {
+    hint.textContent = OFFLINE_NOTE || "";
+  }
+}
+
+function showSittingError(err, dateISO) {
+  const main = document.getElementById("main");
+  if (!main) return;
+
+  main.innerHTML = "";
+  main.appendChild(el("p", { text: String(err) }));
+
+  const mode = getModeFromQueryOrStorage(DEFAULT_MODE);
+
+  main.appendChild(
+    el("pre", { class: "debug" }, [
+      `mode=${mode}\n`,
+      `house=${HOUSE}\n`,
+      `date=${dateISO}\n`,
+      `defaultDate=${DEFAULT_DATE}\n`,
+      `oir=${oirCanonicalXmlUrl(dateISO)}\n`,
+      `sources=${getSourceOrderFromQuery().join(",")}\n`,
+      ...XML_ATTEMPTS.map((a) => {
+        const label = XML_SOURCES[a.source]?.label || a.source;
+        const why = a.error ? ` (${a.error})` : "";
+        return `  ${a.ok ? "✓" : "✗"} ${label}: ${a.url || "-"}${why}\n`;
+      }),
+      `availableDates=${AVAILABLE_DATES ? AVAILABLE_DATES.size : 0}\n`,
+    ])
+  );
+}
+
+// <script type="application/json" id="sitting-state"> on a pre-rendered page: what
+// the markup in #main was rendered from (sittingState() in js/render.js)
+let PRERENDERED = null;
+
+function readPrerenderedState() {
+  const node = document.getElementById("sitting-state");
+  if (!node) return null;
+  try {
+    return hydrateSittingState(JSON.parse(node.textContent || "{}"));
+  } catch {
+    return null;
+  } finally {
+    node.remove();
+  }
+}
+
+/** fetch XML + page map -> title page, body, ToC and per-sitting affordances */
+async function renderSitting(dateISO, { signal }) {
+  // A pre-rendered page already shows this sitting: keep its markup and skip the fetch,
+  // unless its division chrome is in another interface language (then it is only a fallback)
+  const found = PRERENDERED && PRERENDERED.date === dateISO && PRERENDERED.house === HOUSE ? PRERENDERED : null;
+  PRERENDERED = null;
+
+  let pre = found && found.lang === UI_LANG ? found : null;
+  let sitting = pre;
+  if (!pre) {
+    try {
+      const xml = await loadXMLFromDate(dateISO, { signal });
+      signal.throwIfAborted();
+
+      const pageMap = await loadPageMap(getDocDateISO(xml) || dateISO, HOUSE, { signal });
+      signal.throwIfAborted();
+
+      const parties = await loadMemberParties();
+      signal.throwIfAborted();
+
+      sitting = transformSitting(xml, { doc: document, pageMap, linkSitting: sittingHref, parties, lang: UI_LANG });
+    } catch (err) {
+      if (!found || signal.aborted) throw err;
+      pre = sitting = found;
+    }
+  }
+  if (pre) XML_SOURCE_USED = "prerendered";
+  document.documentElement.setAttribute("data-xml-source", XML_SOURCE_USED);
+
+  DOC_DATE_ISO = sitting.dateISO || "";
+  MEMBERS = sitting.members;
+  COL_BY_TARGET = sitting.columns.byTarget;
+  SPEECH_COLUMNS = sitting.columns.speeches;
+  DIVISIONS = sitting.divisions;
+  DOC_HEALTH = sitting.health;
+
+  const { title } = sitting;
+  EDITION_META = { volume: title.volume, number: title.number, status: title.statusEn, revised: title.revised };
+
+  const chamberPrint = sitting.chamber || normalizeChamber(houseLabel(HOUSE));
+
+  const editionEl = document.querySelector(".edition");
+  if (editionEl) editionEl.setAttribute("data-chamber", chamberPrint);
+
+  const longDate = formatLongDate(DOC_DATE_ISO) || getEditionDateText();
+  setRunningStrings({ chamber: chamberPrint, dateText: longDate });
+
+  // Transient UI from the previous sitting
+  closeCitationPopover();
+  hideQuoteButton();
+  clearSearchHighlights();
+
+  if (!pre) {
+    fillTitlePage(document, title, { proponent: HOUSES[HOUSE]?.proponent || houseLabel(HOUSE).toUpperCase() });
+    document.getElementById("main")?.replaceChildren(sitting.body);
+  }
+  // the record's own language, whatever the interface is in; blocks in the other carry their own
+  document.getElementById("main")?.setAttribute("lang", sitting.language);
+
+  const titlePage = document.querySelector(".titlepage");
+  if (titlePage) titlePage.classList.add("titlepage--unpaired");
+
+  buildTOCFromDOM();
+  renderDocHealth();
+  enableSpeechLinkCopy();
+
+  // #main still carries the previous sitting's speaker view; re-apply it from the URL
+  applySpeakerFilter(getSpeakerFromQuery(), { updateUrl: false });
+
+  // Paragraph permalinks (quoting is wired once in init)
+  addParagraphLinks();
+
+  // Headless PDF build: page-map anchors (see scripts/build_pdf.mjs)
+  if (isPdfBuild()) addPdfAnchors();
+}
+
+/**
+ * Shows one sitting in place. A newer call cancels this one's fetches.
+ * Afterwards: `scrollY` (back/forward) wins, else the #hash target, else the top.
+ */
+async function showSitting(dateISO, { scrollY = null } = {}) {
+  if (SITTING_LOAD) SITTING_LOAD.abort();
+  const ctrl = new AbortController();
+  SITTING_LOAD = ctrl;
+  SITTING_SHOWN = dateISO;
+
+  const input = document.getElementById("datePicker");
+  if (input) input.value = dateISO;
+  wireSittingNav();
+  updateSittingNav(dateISO);
+  setSittingLoading(true, dateISO);
+
+  try {
+    await renderSitting(dateISO, { signal: ctrl.signal });
+  } catch (err) {
+    if (ctrl.signal.aborted) return false;
+    showSittingError(err, dateISO);
+  } finally {
+    if (SITTING_LOAD === ctrl) {
+      SITTING_LOAD = null;
+      setSittingLoading(false);
+    }
+  }
+
+  if (scrollY !== null && scrollY !== undefined) window.scrollTo(0, scrollY);
+  else if (!revealHashTarget({ quote: getQuoteFromQuery() })) window.scrollTo(0, 0);
+  return true;
+}
+
+/** Back/forward between sittings re-renders in place; hash-only entries are left to hashchange */
+function enableSittingHistory() {
+  if ("scrollRestoration" in history) history.scrollRestoration = "manual";
+
+  window.addEventListener("popstate", (e) => {
+    const requested = getDateFromQuery(DEFAULT_DATE);
+    const dateISO = AVAILABLE_DATES && AVAILABLE_DATES.size ? nearestAvailableOnOrBefore(requested) : requested;
+    if (dateISO === SITTING_SHOWN) return;
+    showSitting(dateISO, { scrollY: e.state?.scrollY ?? null });
+  });
+
+  // Keep this entry's scroll position current (debounced: replaceState is rate-limited)
+  window.addEventListener(
+    "scroll",
+    () => {
+      if (SCROLL_SAVE_TIMER) window.clearTimeout(SCROLL_SAVE_TIMER);
+      SCROLL_SAVE_TIMER = window.setTimeout(() => {
+        if (!SITTING_LOAD) saveScrollPosition();
+      }, 250);
+    },
+    { passive: true }
+  );
+}
+
 /* -----------------------------
    Init
 ------------------------------ */
 
 (async function init() {
   try {
+    // 0) House (Dáil by default; ?house=seanad or a committee slug; a pre-rendered page says its own)
+    PRERENDERED = readPrerenderedState();
+    HOUSE = getHouseFromQuery(PRERENDERED?.house || DEFAULT_HOUSE);
+    document.documentElement.setAttribute("data-house", HOUSE);
+
     // 1) Load available dates first (sets DEFAULT_DATE to latest)
-    AVAILABLE_DATES = await loadAvailableDates();
+    AVAILABLE_DATES = await loadAvailableDates(HOUSE);
     if (!DEFAULT_DATE) DEFAULT_DATE = FALLBACK_DATE;
+    // without ?date= a pre-rendered page shows its own sitting
+    if (PRERENDERED?.date) DEFAULT_DATE = PRERENDERED.date;
 
-    // 2) Default mode is edition unless user set otherwise
+    // 2) Default mode is edition unless user set otherwise; interface language likewise
     const mode = getModeFromQueryOrStorage(DEFAULT_MODE);
     setMode(mode);
+    setLang(UI_LANG);
+    localizePage();
+    wireLangSwitch();
 
     // 3) Wire UI (picker + switch + toggle CSS)
     wireDatePickerUI();
@@ -1622,57 +3593,34 @@ function setRunningStrings({ chamber, dateText }) {
     // 3b) Wire kebab menu (if present in HTML)
     wireKebabMenu();
 
-    // 4) For initial render: if URL date missing, load nearest available (latest by default)
-    const requested = getDateFromQuery(DEFAULT_DATE);
-    const dateISO =
-      AVAILABLE_DATES && AVAILABLE_DATES.size ? nearestAvailableOnOrBefore(requested) : requested;
-
-    const xml = await loadXMLFromDate(dateISO);
-
-    DOC_DATE_ISO = getDocDateISO(xml) || "";
-
-    const chamberRaw = getDocProponent(xml) || "DÁIL ÉIREANN";
-    const chamberPrint = normalizeChamber(chamberRaw);
-
-    const editionEl = document.querySelector(".edition");
-    if (editionEl) editionEl.setAttribute("data-chamber", chamberPrint);
+    // 3c) Offline reading: cache shell + opened sittings; flag offline state in #loadHint
+    if (!isPdfBuild()) registerServiceWorker();
+    wireOfflineIndicator();
 
-    const longDate = formatLongDate(DOC_DATE_ISO) || getEditionDateText();
-    setRunningStrings({ chamber: chamberPrint, dateText: longDate });
-
-    buildColumnMap(xml);
+    // ✅ NEW: Back-to-top button
+    enableBackToTop();
 
-    const pageMap = await loadPageMap();
-    fillTitlePage(xml);
-    renderBody(xml, pageMap);
+    // 3d) Cross-date search page (no sitting XML needed)
+    if (getViewFromQuery() === "search") {
+      renderSearchPage();
+      return;
+    }
 
-    const titlePage = document.querySelector(".titlepage");
-    if (titlePage) titlePage.classList.add("titlepage--unpaired");
+    // 3e) Page-level listeners (each sitting render reuses them)
+    enableCitationPopoverDismiss();
+    enableDivisionDownloads();
+    enableQuoteSelection();
+    enableHashNavigation();
+    enableSittingHistory();
 
-    buildTOCFromDOM();
-    enableSpeechLinkCopy();
+    // 4) For initial render: if URL date missing, load nearest available (latest by default)
+    const requested = getDateFromQuery(DEFAULT_DATE);
+    const dateISO =
+      AVAILABLE_DATES && AVAILABLE_DATES.size ? nearestAvailableOnOrBefore(requested) : requested;
 
-    // ✅ NEW: Back-to-top button
-    enableBackToTop();
+    // a reload keeps its place; otherwise the #hash target (or the top)
+    await showSitting(dateISO, { scrollY: window.location.hash ? null : history.state?.scrollY ?? null });
   } catch (err) {
-    const main = document.getElementById("main");
-    if (main) {
-      main.innerHTML = "";
-      main.appendChild(el("p", { text: String(err) }));
-
-      const dateISO = getDateFromQuery(DEFAULT_DATE);
-      const mode = getModeFromQueryOrStorage(DEFAULT_MODE);
-
-      main.appendChild(
-        el("pre", { class: "debug" }, [
-          `mode=${mode}\n`,
-          `date=${dateISO}\n`,
-          `defaultDate=${DEFAULT_DATE}\n`,
-          `proxy=${PROXY_BASE}\n`,
-          `oir=${oirCanonicalXmlUrl(dateISO)}\n`,
-          `availableDates=${AVAILABLE_DATES ? AVAILABLE_DATES.size : 0}\n`,
-        ])
-      );
-    }
+    showSittingError(err, getDateFromQuery(DEFAULT_DATE));
   }
-})();
\ No newline at end of file
+})();
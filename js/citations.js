@@ -0,0 +1,240 @@
+// citations.js — speech citations in OSCOLA, Harvard, APA, BibTeX and CSL-JSON
+// Pure formatting: js/app.js builds the record (speaker, sitting, volume/number,
+// status, columns, URL) from the loaded XML and this module only writes it out.
+//
+// Record shape:
+//   {
+//     speaker,            // as printed or the member's name ("Michael McGrath", "An Ceann Comhairle")
+//     title,              // heading of the debate the speech sits in (may be "")
+//     house,              // "Dáil Éireann", "Seanad Éireann", "Select Committee on Health"
+//     debates,            // "Dáil Debates"
+//     short,              // "Dáil Deb" (OSCOLA)
+//     date,               // ISO sitting date
+//     volume, number,     // "1070", "3" (digits only; "" when the preface has none)
+//     revised,            // true | false | null (unknown)
+//     columns,            // { start, end } for historical debates, else null
+//     url,                // oireachtas.ie speech link
+//     id,                 // stable key, e.g. "dail-2026-02-05-spk_42"
+//     accessed,           // Date
+//   }
+
+import { formatColumnRange } from "./render.js";
+
+export const CITATION_STYLES = [
+  { id: "oscola", label: "OSCOLA" },
+  { id: "harvard", label: "Harvard" },
+  { id: "apa", label: "APA" },
+  { id: "bibtex", label: "BibTeX" },
+  { id: "csl-json", label: "CSL-JSON" },
+];
+
+export const DEFAULT_CITATION_STYLE = "oscola";
+
+const MONTHS = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+// Office titles are cited as written, not inverted into "Surname, I."
+const OFFICE_RE = /^(An|A|Ceann|Cathaoirleach|Leas)\b/i;
+const HONORIFIC_RE = /^(Mr|Mrs|Ms|Dr|President|Taoiseach|Tánaiste|Deputy|Senator)\.?$/i;
+
+/** "Michael McGrath" -> { family: "McGrath", given: "Michael" }; offices -> { literal } */
+export function splitName(name) {
+  const s = String(name || "").replace(/\s+/g, " ").trim();
+  if (!s) return { literal: "Unknown" };
+  if (OFFICE_RE.test(s)) return { literal: s };
+
+  const parts = s.split(" ").filter((p) => !HONORIFIC_RE.test(p));
+  if (parts.length < 2) return { literal: parts[0] || s };
+
+  return {
+    family: parts[parts.length - 1].replace(/[^\p{L}\p{M}'-]/gu, ""),
+    given: parts.slice(0, -1).join(" "),
+  };
+}
+
+function initials(given) {
+  return String(given || "")
+    .split(/[\s-]+/)
+    .filter(Boolean)
+    .map((p) => `${p[0].toUpperCase()}.`)
+    .join(" ");
+}
+
+/** "McGrath, M." (Harvard/APA) */
+function authorShort(name) {
+  const a = splitName(name);
+  return a.literal || `${a.family}, ${initials(a.given)}`;
+}
+
+function dateParts(iso) {
+  const m = String(iso || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return m ? { y: +m[1], m: +m[2], d: +m[3] } : null;
+}
+
+/** 2026-02-05 -> "5 February 2026" */
+function longDate(iso) {
+  const p = dateParts(iso);
+  return p ? `${p.d} ${MONTHS[p.m - 1]} ${p.y}` : "";
+}
+
+function accessedText(d) {
+  if (!(d instanceof Date) || Number.isNaN(d.getTime())) return "";
+  return `${d.getDate()} ${MONTHS[d.getMonth()]} ${d.getFullYear()}`;
+}
+
+function accessedISO(d) {
+  if (!(d instanceof Date) || Number.isNaN(d.getTime())) return "";
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/** { start: 456, end: 458 } -> "456–8" (formatColumnRange) */
+function columnRange(c, opts) {
+  return c ? formatColumnRange(c.start, c.end, opts) : "";
+}
+
+function columnsLabel(c, singular = "col", plural = "cols") {
+  const r = columnRange(c);
+  if (!r) return "";
+  return `${c.end > c.start ? plural : singular} ${r}`;
+}
+
+function statusLabel(revised) {
+  if (revised === true) return "Revised";
+  if (revised === false) return "Unrevised";
+  return "";
+}
+
+/* -----------------------------
+   Styles
+------------------------------ */
+
+// Dáil Deb 5 February 2026, vol 1070, no 3, col 456 <url> accessed 19 October 2026
+function oscola(r) {
+  const parts = [`${r.short} ${longDate(r.date)}`];
+  if (r.volume) parts.push(`vol ${r.volume}`);
+  if (r.number) parts.push(`no ${r.number}`);
+  const cols = columnsLabel(r.columns);
+  if (cols) parts.push(cols);
+
+  const status = r.revised === false ? " (unrevised)" : "";
+  const online = r.url ? ` <${r.url}> accessed ${accessedText(r.accessed)}` : "";
+  const speaker = r.speaker ? `${r.speaker}, ` : "";
+  return `${speaker}${parts.join(", ")}${status}${online}`;
+}
+
+// McGrath, M. (2026) Dáil Debates, vol. 1070, no. 3, 5 February 2026, col. 456 [Unrevised]. Available at: … (Accessed: …).
+function harvard(r) {
+  const year = dateParts(r.date)?.y || "";
+  const parts = [r.debates];
+  if (r.volume) parts.push(`vol. ${r.volume}`);
+  if (r.number) parts.push(`no. ${r.number}`);
+  parts.push(longDate(r.date));
+  const cols = columnsLabel(r.columns, "col.", "cols.");
+  if (cols) parts.push(cols);
+
+  const status = statusLabel(r.revised);
+  const online = r.url ? ` Available at: ${r.url} (Accessed: ${accessedText(r.accessed)}).` : "";
+  return `${authorShort(r.speaker)} (${year}) ${parts.join(", ")}${status ? ` [${status}]` : ""}.${online}`;
+}
+
+// McGrath, M. (2026, February 5). Heading [Speech]. Dáil Debates, 1070(3), cols. 456–8. Houses of the Oireachtas. URL
+function apa(r) {
+  const p = dateParts(r.date);
+  const when = p ? `${p.y}, ${MONTHS[p.m - 1]} ${p.d}` : "n.d.";
+  const kind = r.revised === false ? "Speech, unrevised" : "Speech";
+  const title = r.title ? `${r.title.replace(/\.$/, "")} [${kind}]` : `[${kind}]`;
+
+  let source = r.debates;
+  if (r.volume) source += `, ${r.volume}${r.number ? `(${r.number})` : ""}`;
+  const cols = columnsLabel(r.columns, "col.", "cols.");
+  if (cols) source += `, ${cols}`;
+
+  return `${authorShort(r.speaker)} (${when}). ${title}. ${source}. Houses of the Oireachtas.${r.url ? ` ${r.url}` : ""}`;
+}
+
+function bibEscape(s) {
+  return String(s || "").replace(/([{}&%$#_])/g, "\\$1");
+}
+
+function bibtex(r) {
+  const a = splitName(r.speaker);
+  const author = a.literal ? `{${bibEscape(a.literal)}}` : `${bibEscape(a.family)}, ${bibEscape(a.given)}`;
+  const p = dateParts(r.date);
+
+  let howpublished = r.debates;
+  if (r.volume) howpublished += `, vol.~${r.volume}`;
+  if (r.number) howpublished += `, no.~${r.number}`;
+
+  const fields = [
+    ["author", author],
+    ["title", r.title ? bibEscape(r.title) : ""],
+    ["howpublished", bibEscape(howpublished)],
+    ["organization", "Houses of the Oireachtas"],
+    ["year", p ? String(p.y) : ""],
+    ["date", r.date || ""],
+    ["pages", columnRange(r.columns, { sep: "--", elide: false })],
+    ["note", statusLabel(r.revised)],
+    ["url", r.url || ""],
+    ["urldate", accessedISO(r.accessed)],
+  ].filter(([, v]) => v);
+
+  const key = String(r.id || "speech").replace(/[^A-Za-z0-9_:-]/g, "-");
+  return `@misc{${key},\n${fields.map(([k, v]) => `  ${k} = {${v}}`).join(",\n")}\n}`;
+}
+
+function cslJson(r) {
+  const p = dateParts(r.date);
+  const a = splitName(r.speaker);
+  const acc = accessedISO(r.accessed);
+
+  const item = {
+    id: r.id || "speech",
+    type: "speech",
+    genre: "Parliamentary debate",
+    title: r.title || undefined,
+    author: [a.literal ? { literal: a.literal } : { family: a.family, given: a.given }],
+    "container-title": r.debates,
+    authority: r.house || undefined,
+    publisher: "Houses of the Oireachtas",
+    "publisher-place": "Dublin",
+    volume: r.volume || undefined,
+    issue: r.number || undefined,
+    page: columnRange(r.columns, { sep: "-", elide: false }) || undefined,
+    status: statusLabel(r.revised) || undefined,
+    issued: p ? { "date-parts": [[p.y, p.m, p.d]] } : undefined,
+    accessed: acc ? { "date-parts": [acc.split("-").map(Number)] } : undefined,
+    URL: r.url || undefined,
+  };
+  return JSON.stringify([item], null, 2);
+}
+
+const FORMATTERS = {
+  oscola,
+  harvard,
+  apa,
+  bibtex,
+  "csl-json": cslJson,
+};
+
+export function isCitationStyle(id) {
+  return Object.prototype.hasOwnProperty.call(FORMATTERS, id);
+}
+
+/** Citation text for one speech record in the given style (unknown styles fall back to OSCOLA). */
+export function formatCitation(style, record) {
+  const fn = FORMATTERS[style] || FORMATTERS[DEFAULT_CITATION_STYLE];
+  return fn(record);
+}
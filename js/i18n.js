@@ -0,0 +1,326 @@
+// i18n.js — the reader's interface strings in English and Irish
+//
+//   translate(lang, key, vars)  -> the string for `key` in `lang` ("en" when it has none)
+//   dateLocale(lang)            -> locale for toLocaleDateString ("en-IE" / "ga-IE")
+//   UI_LANGS, LANG_NAMES
+//
+// A string is a template with {name} placeholders, or a function of vars when
+// the wording turns on a number. Irish keeps the singular after a numeral
+// ("3 rabhadh"), so only the English side needs the plural.
+//
+// The record itself is never translated: speeches, headings, the bilingual title
+// page, citations and the CSV/JSON exports stay as published. Document health
+// messages (validateSitting) are technical and stay in English.
+
+export const UI_LANGS = ["en", "ga"];
+export const DEFAULT_LANG = "en";
+
+// Each language named in itself, for the switch
+export const LANG_NAMES = { en: "English", ga: "Gaeilge" };
+
+const plural = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+
+const STRINGS = {
+  en: {
+    // index.html
+    "page.skip": "Skip to content",
+    "page.edition": "Digital reading edition",
+    "page.header": "Document header",
+    "page.masthead": "Edition header",
+    "page.harp": "The Irish harp, symbol of the Oireachtas",
+    "page.footer": "Debates Office | Digital Volume",
+    "page.title": "Official Report | Digital Volume",
+    "lang.switch": "Léigh as Gaeilge (switch the interface to Irish)",
+    "mode.group": "View toggle",
+    "mode.web": "Web",
+    "mode.dv": "Digital Volume",
+    "mode.switch": "Toggle Digital Volume view",
+    "mode.toWeb": "Switch to Web view",
+    "mode.toDv": "Switch to Digital Volume view",
+    "menu.group": "Document options",
+    "menu.options": "Options",
+    "menu.searchAll": "Search all debates",
+    "menu.saved": "Saved sittings",
+    "menu.offline": "Save a copy",
+    "menu.share": "Share link",
+    "menu.print": "Print a copy",
+    "loader.label": "Select a date",
+    "loader.go": "Go",
+
+    // Date picker and loading
+    "date.badFormat": "Enter a date in YYYY-MM-DD format.",
+    "date.nearest": "No XML for {date}. Nearest available: {nearest}.",
+    "date.loadingNearest": "No XML for {date}. Loading nearest available: {nearest}.",
+    "date.loading": "Loading {date}…",
+    "offline.note": "Offline — only saved sittings can be opened.",
+    "common.close": "Close",
+    "link.copied": "Link copied: {url}",
+
+    // Saved sittings
+    "saved.unsupported": "Offline reading is not supported in this browser.",
+    "saved.empty": "No sittings saved yet. Sittings you open are kept for offline reading.",
+    "saved.when": "saved {date}",
+    "saved.remove": "Remove",
+    "saved.removeAll": "Remove all ({n})",
+
+    // Sitting navigation + calendar
+    "nav.group": "Sittings",
+    "nav.prev": "‹ Previous",
+    "nav.next": "Next ›",
+    "nav.prevTitle": "Previous sitting: {date} ({key})",
+    "nav.nextTitle": "Next sitting: {date} ({key})",
+    "nav.noPrev": "No earlier sitting",
+    "nav.noNext": "No later sitting",
+    "cal.button": "Calendar",
+    "cal.buttonTitle": "Calendar of sitting days (c)",
+    "cal.dialog": "Calendar of sitting days",
+    "cal.year": "Year",
+    "cal.prevYear": "Previous year",
+    "cal.prevMonth": "Previous month",
+    "cal.nextMonth": "Next month",
+    "cal.nextYear": "Next year",
+    "cal.weekdays": "Mo Tu We Th Fr Sa Su",
+    "cal.more": "and {n} more",
+    "meta.volume": "Vol. {n}",
+    "meta.number": "No. {n}",
+    "meta.unrevised": "Unrevised",
+    "meta.revised": "Revised",
+    "top.back": "Back to top",
+
+    // Contents panel
+    "toc.closed": "CONTENTS ▸",
+    "toc.open": "CONTENTS ▾",
+    "toc.skip": "Skip to debate ↓",
+    "jump.column": "Go to column",
+    "jump.columnAria": "Go to column number",
+    "jump.columnPlaceholder": "e.g. 2850 or 2850–61",
+    "jump.page": "Go to page",
+    "jump.pageAria": "Go to page number",
+    "jump.pagePlaceholder": "e.g. 452",
+    "jump.columnMissing": "Column {n} is not in this sitting.",
+    "jump.columnRunsOn": "Column {n} runs on from col. {from}.",
+    "jump.pageMissing": "Page {n} is not in this sitting.",
+    "jump.pageRunsOn": "Page {n} runs on from p. {from}.",
+    "speakers.label": "Speeches by member",
+    "speakers.all": "All speakers ({n})",
+    "speakers.context": "Show in context",
+    "speakers.clear": "Show all speakers",
+    "speakers.showing": ({ n, name }) => `Showing ${plural(n, "contribution", "contributions")} by ${name}.`,
+    "speakers.none": "No contributions by {name} in this sitting.",
+    "find.placeholder": "Search this sitting",
+    "find.prev": "Previous match",
+    "find.prevTitle": "Previous match (Shift+Enter)",
+    "find.next": "Next match",
+    "find.nextTitle": "Next match (Enter)",
+    "find.none": "No matches",
+    "find.position": "{pos} of {n}",
+    "find.count": "{n} matches",
+    "find.filterCleared": "Showing all speakers: this match is outside {name}’s contributions.",
+    "votes.label": "How did a member vote?",
+    "votes.placeholder": "Member name",
+    "votes.button": "Show votes",
+    "votes.none": "No recorded votes for {name} in this sitting.",
+    "votes.division": "Division {n}",
+    "votes.didNotVote": "Did not vote",
+
+    // Search all debates
+    "xsearch.house": "SEARCH THE DEBATES",
+    "xsearch.placeholder": "Words to find, e.g. housing cork",
+    "xsearch.button": "Search",
+    "xsearch.searching": "Searching…",
+    "xsearch.tooShort": "Enter at least one word of two or more letters.",
+    "xsearch.none": "No speeches match “{query}”.",
+    "xsearch.some": ({ total, shown }) => `${total} speeches match; showing the ${shown} most recent.`,
+    "xsearch.all": ({ total }) => `${total} ${total === 1 ? "speech matches" : "speeches match"}.`,
+    "xsearch.unavailable": "Search index unavailable ({error}).",
+
+    // Document health
+    "health.summary": "Document health: {counts}",
+    "health.errors": ({ n }) => plural(n, "error", "errors"),
+    "health.warnings": ({ n }) => plural(n, "warning", "warnings"),
+
+    // Citations, paragraph links, quotes
+    "cite.title": "Cite {name}",
+    "cite.as": "Cite as",
+    "cite.style": "Citation style",
+    "cite.text": "Citation",
+    "cite.copy": "Copy",
+    "cite.copied": "Copied",
+    "cite.copyFailed": "Copy failed",
+    "para.link": "Copy link to this paragraph",
+    "quote.button": "Quote this",
+    "quote.copied": "Quote copied with link",
+    "quote.failed": "Couldn’t copy the quote",
+
+    // Debate body (js/render.js)
+    "body.none": "No debateBody found.",
+    "body.page": "Page {n}",
+    "body.column": "Column marker for {id}",
+    "division.result": "Division result",
+    "division.download": "Download:",
+    "division.teller": "{name} (teller)",
+    "party.party": "Party",
+    "party.paired": "Paired",
+    "party.unknown": "No party data",
+    "party.tellersNote": "† includes the tellers.",
+    "party.tellers": ({ n }) => `including ${plural(n, "teller", "tellers")}`,
+    "party.againstTitle": "Against the party majority",
+    "party.against": "{name} ({party}) voted {lobby}; most of the party voted {other}.",
+    "party.againstVote": "(against the party majority)",
+
+    // Title page riders (both are always shown; see fillTitlePage)
+    "title.unrevised": "—Unrevised",
+  },
+
+  ga: {
+    "page.skip": "Léim go dtí an t-ábhar",
+    "page.edition": "Eagrán digiteach léitheoireachta",
+    "page.header": "Ceanntásc an doiciméid",
+    "page.masthead": "Ceanntásc an eagráin",
+    "page.harp": "An chláirseach, siombail an Oireachtais",
+    "page.footer": "Oifig na nDíospóireachtaí | Imleabhar Digiteach",
+    "page.title": "Tuairisc Oifigiúil | Imleabhar Digiteach",
+    "lang.switch": "Read in English (athraigh an comhéadan go Béarla)",
+    "mode.group": "Athraigh an t-amharc",
+    "mode.web": "Gréasán",
+    "mode.dv": "Imleabhar Digiteach",
+    "mode.switch": "Scoránaigh amharc an Imleabhair Dhigitigh",
+    "mode.toWeb": "Athraigh go dtí an t-amharc Gréasáin",
+    "mode.toDv": "Athraigh go dtí amharc an Imleabhair Dhigitigh",
+    "menu.group": "Roghanna an doiciméid",
+    "menu.options": "Roghanna",
+    "menu.searchAll": "Cuardaigh gach díospóireacht",
+    "menu.saved": "Suíonna sábháilte",
+    "menu.offline": "Sábháil cóip",
+    "menu.share": "Roinn nasc",
+    "menu.print": "Priontáil cóip",
+    "loader.label": "Roghnaigh dáta",
+    "loader.go": "Téigh",
+
+    "date.badFormat": "Cuir isteach dáta san fhormáid BBBB-MM-LL.",
+    "date.nearest": "Níl XML ann do {date}. An dáta is gaire atá ar fáil: {nearest}.",
+    "date.loadingNearest": "Níl XML ann do {date}. An dáta is gaire á lódáil: {nearest}.",
+    "date.loading": "{date} á lódáil…",
+    "offline.note": "As líne — ní féidir ach suíonna sábháilte a oscailt.",
+    "common.close": "Dún",
+    "link.copied": "Nasc cóipeáilte: {url}",
+
+    "saved.unsupported": "Ní thacaíonn an brabhsálaí seo le léamh as líne.",
+    "saved.empty": "Níl aon suí sábháilte fós. Coinnítear na suíonna a osclaíonn tú le léamh as líne.",
+    "saved.when": "sábháilte {date}",
+    "saved.remove": "Bain",
+    "saved.removeAll": "Bain iad go léir ({n})",
+
+    "nav.group": "Suíonna",
+    "nav.prev": "‹ Roimhe",
+    "nav.next": "Ar aghaidh ›",
+    "nav.prevTitle": "An suí roimhe: {date} ({key})",
+    "nav.nextTitle": "An chéad suí eile: {date} ({key})",
+    "nav.noPrev": "Níl suí níos luaithe ann",
+    "nav.noNext": "Níl suí níos déanaí ann",
+    "cal.button": "Féilire",
+    "cal.buttonTitle": "Féilire na laethanta suí (c)",
+    "cal.dialog": "Féilire na laethanta suí",
+    "cal.year": "Bliain",
+    "cal.prevYear": "An bhliain roimhe",
+    "cal.prevMonth": "An mhí roimhe",
+    "cal.nextMonth": "An chéad mhí eile",
+    "cal.nextYear": "An chéad bhliain eile",
+    "cal.weekdays": "Lu Má Cé Dé Ao Sa Do",
+    "cal.more": "agus {n} eile",
+    "meta.volume": "Iml. {n}",
+    "meta.number": "Uimh. {n}",
+    "meta.unrevised": "Neamhcheartaithe",
+    "meta.revised": "Ceartaithe",
+    "top.back": "Ar ais go barr",
+
+    "toc.closed": "CLÁR ÁBHAIR ▸",
+    "toc.open": "CLÁR ÁBHAIR ▾",
+    "toc.skip": "Léim go dtí an díospóireacht ↓",
+    "jump.column": "Téigh go colún",
+    "jump.columnAria": "Téigh go huimhir colúin",
+    "jump.columnPlaceholder": "m.sh. 2850 nó 2850–61",
+    "jump.page": "Téigh go leathanach",
+    "jump.pageAria": "Téigh go huimhir leathanaigh",
+    "jump.pagePlaceholder": "m.sh. 452",
+    "jump.columnMissing": "Níl colún {n} sa suí seo.",
+    "jump.columnRunsOn": "Leanann colún {n} ó col. {from}.",
+    "jump.pageMissing": "Níl leathanach {n} sa suí seo.",
+    "jump.pageRunsOn": "Leanann leathanach {n} ó lch. {from}.",
+    "speakers.label": "Óráidí de réir comhalta",
+    "speakers.all": "Gach cainteoir ({n})",
+    "speakers.context": "Taispeáin i gcomhthéacs",
+    "speakers.clear": "Taispeáin gach cainteoir",
+    "speakers.showing": "{n} ráiteas ó {name} á dtaispeáint.",
+    "speakers.none": "Níl aon ráiteas ó {name} sa suí seo.",
+    "find.placeholder": "Cuardaigh sa suí seo",
+    "find.prev": "An toradh roimhe",
+    "find.prevTitle": "An toradh roimhe (Shift+Enter)",
+    "find.next": "An chéad toradh eile",
+    "find.nextTitle": "An chéad toradh eile (Enter)",
+    "find.none": "Gan toradh",
+    "find.position": "{pos} as {n}",
+    "find.count": "{n} toradh",
+    "find.filterCleared": "Gach cainteoir á thaispeáint: níl an toradh seo i measc ráitis {name}.",
+    "votes.label": "Conas a vótáil comhalta?",
+    "votes.placeholder": "Ainm an chomhalta",
+    "votes.button": "Taispeáin vótaí",
+    "votes.none": "Níl aon vóta taifeadta ag {name} sa suí seo.",
+    "votes.division": "Vótáil {n}",
+    "votes.didNotVote": "Níor vótáil",
+
+    "xsearch.house": "CUARDAIGH NA DÍOSPÓIREACHTAÍ",
+    "xsearch.placeholder": "Focail le haimsiú, m.sh. tithíocht corcaigh",
+    "xsearch.button": "Cuardaigh",
+    "xsearch.searching": "Ag cuardach…",
+    "xsearch.tooShort": "Cuir isteach focal amháin ar a laghad a bhfuil dhá litir nó níos mó ann.",
+    "xsearch.none": "Níl aon óráid ann a mheaitseálann “{query}”.",
+    "xsearch.some": "{total} óráid a mheaitseálann; na {shown} is déanaí á dtaispeáint.",
+    "xsearch.all": "{total} óráid a mheaitseálann.",
+    "xsearch.unavailable": "Níl an t-innéacs cuardaigh ar fáil ({error}).",
+
+    "health.summary": "Sláinte an doiciméid: {counts}",
+    "health.errors": "{n} earráid",
+    "health.warnings": "{n} rabhadh",
+
+    "cite.title": "Luaigh {name}",
+    "cite.as": "Luaigh mar",
+    "cite.style": "Stíl tagartha",
+    "cite.text": "Tagairt",
+    "cite.copy": "Cóipeáil",
+    "cite.copied": "Cóipeáilte",
+    "cite.copyFailed": "Theip ar an gcóipeáil",
+    "para.link": "Cóipeáil nasc chuig an alt seo",
+    "quote.button": "Athfhriotal",
+    "quote.copied": "Athfhriotal cóipeáilte le nasc",
+    "quote.failed": "Níorbh fhéidir an t-athfhriotal a chóipeáil",
+
+    "body.none": "Níor aimsíodh debateBody.",
+    "body.page": "Leathanach {n}",
+    "body.column": "Marcóir colúin do {id}",
+    "division.result": "Toradh na vótála",
+    "division.download": "Íoslódáil:",
+    "division.teller": "{name} (áiritheoir)",
+    "party.party": "Páirtí",
+    "party.paired": "Péireáilte",
+    "party.unknown": "Gan sonraí páirtí",
+    "party.tellersNote": "† na háiritheoirí san áireamh.",
+    "party.tellers": "{n} áiritheoir san áireamh",
+    "party.againstTitle": "In aghaidh thromlach an pháirtí",
+    "party.against": "Vótáil {name} ({party}) {lobby}; vótáil formhór an pháirtí {other}.",
+    "party.againstVote": "(in aghaidh thromlach an pháirtí)",
+
+    "title.unrevised": "—Neamhcheartaithe",
+  },
+};
+
+export function translate(lang, key, vars = {}) {
+  const s = STRINGS[lang]?.[key] ?? STRINGS[DEFAULT_LANG][key];
+  if (s === undefined) return key;
+  if (typeof s === "function") return s(vars);
+  return s.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+}
+
+export function dateLocale(lang) {
+  return lang === "ga" ? "ga-IE" : "en-IE";
+}
@@ -0,0 +1,1802 @@
+// render.js — Akoma Ntoso debate XML -> HTML, without the browser
+// Everything here takes the XML Document and the HTML Document to build into
+// and returns what it made; nothing reads window, location or page globals.
+// js/app.js renders into the live page with it, and scripts/prerender.mjs runs
+// the same code under jsdom to write static pages.
+//
+//   const sitting = transformSitting(xml, { doc: document, pageMap, linkSitting });
+//   main.replaceChildren(sitting.body);
+//
+// The result also carries what the reader needs after rendering: the sitting
+// date and language, title-page fields, member model, column maps and parsed
+// divisions. The few interface strings in the body (division controls, party
+// tables) come from js/i18n.js in the `lang` asked for.
+
+import { translate } from "./i18n.js";
+
+export const NS = "http://docs.oasis-open.org/legaldocml/ns/akn/3.0/CSD13";
+
+// Akoma Ntoso namespaces the reader knows: the CSD13 draft the Oireachtas
+// publishes in and the final 3.0 namespace. Lookups ignore the namespace, so
+// this only decides whether the health report flags it.
+export const AKN_NAMESPACES = [NS, "http://docs.oasis-open.org/legaldocml/ns/akn/3.0"];
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+
+/* -----------------------------
+   Utilities
+------------------------------ */
+
+export function text(el) {
+  return (el?.textContent || "").replace(/\s+/g, " ").trim();
+}
+
+// Elements are matched by local name in any namespace (CSD13, final 3.0 or none)
+export function q1(nsParent, tag, pred = null) {
+  const els = nsParent.getElementsByTagNameNS("*", tag);
+  if (!pred) return els[0] || null;
+  for (const el of els) if (pred(el)) return el;
+  return null;
+}
+
+export function qAll(nsParent, tag) {
+  return Array.from(nsParent.getElementsByTagNameNS("*", tag));
+}
+
+/** el(tag, attrs, children) bound to one HTML document */
+export function elementBuilder(doc) {
+  return function el(tag, attrs = {}, children = []) {
+    const node = doc.createElement(tag);
+    for (const [k, v] of Object.entries(attrs)) {
+      if (v === null || v === undefined) continue;
+      if (k === "class") node.className = v;
+      else if (k === "text") node.textContent = v;
+      else node.setAttribute(k, v);
+    }
+    for (const c of children) {
+      if (c === null || c === undefined) continue;
+      node.appendChild(typeof c === "string" ? doc.createTextNode(c) : c);
+    }
+    return node;
+  };
+}
+
+// Case + accent folding that keeps string offsets 1:1 (so "dail" finds "Dáil")
+export function foldForSearch(s) {
+  let out = "";
+  for (const c of s || "") {
+    const f = c.normalize("NFD").charAt(0).toLowerCase();
+    out += f.length === c.length ? f : c;
+  }
+  return out;
+}
+
+export function spkNumFromId(spkId) {
+  if (!spkId) return "";
+  const m = String(spkId).match(/^spk_(\d+)$/);
+  return m ? m[1] : "";
+}
+
+/** Link to another sitting in this reader (app.js passes one built from the page URL) */
+export function defaultSittingLink({ date, house = "dail", hash = "" }) {
+  const houseParam = house && house !== "dail" ? `&house=${encodeURIComponent(house)}` : "";
+  return `?date=${date}${houseParam}${hash ? `#${encodeURIComponent(hash)}` : ""}`;
+}
+
+/* -----------------------------
+   Title page
+------------------------------ */
+
+function prefaceBlock(doc, ...names) {
+  const preface = q1(doc, "preface");
+  if (!preface) return null;
+  const blocks = qAll(preface, "block");
+  for (const name of names) {
+    const b = blocks.find((x) => x.getAttribute("name") === name);
+    if (b) return b;
+  }
+  return null;
+}
+
+export function getDocDateISO(doc) {
+  const dateBlock = prefaceBlock(doc, "date_en", "date_ga");
+  if (!dateBlock) return "";
+  const docDate = q1(dateBlock, "docDate");
+  return docDate?.getAttribute("date") || "";
+}
+
+export function getDocDateText(doc) {
+  const dateBlock = prefaceBlock(doc, "date_en", "date_ga");
+  if (!dateBlock) return "";
+  const docDate = q1(dateBlock, "docDate");
+  return text(docDate || dateBlock);
+}
+
+export function getDocProponent(doc) {
+  const b = prefaceBlock(doc, "proponent_ga", "proponent_en");
+  if (!b) return "";
+  const p = q1(b, "docProponent");
+  return text(p || b);
+}
+
+/** "(Unrevised)" -> false, "Revised" -> true; null when the status says neither */
+export function revisedFromStatus(status) {
+  const s = String(status || "");
+  if (/\bunrevised\b|neamhcheartaithe/i.test(s)) return false;
+  if (/\brevised\b|\bcheartaithe|\bceartaithe/i.test(s)) return true;
+  return null;
+}
+
+/**
+ * Preface fields as text: { vol, no, volume, number, dateText, titleGa,
+ * titleEn, proponent, statusGa, statusEn, revised }. volume/number are the
+ * digits only (for citations); vol/no keep the printed wording.
+ */
+export function readTitlePage(doc) {
+  const blockText = (name, innerTag) => {
+    const b = prefaceBlock(doc, name);
+    if (!b) return "";
+    const inner = innerTag ? q1(b, innerTag) : null;
+    return text(inner || b);
+  };
+
+  const vol = blockText("volume", "docNumber");
+  const no = blockText("number", "docNumber");
+  const statusEn = blockText("status_en", "docStatus");
+
+  return {
+    vol,
+    no,
+    volume: (vol.match(/\d+/) || [""])[0],
+    number: (no.match(/\d+/) || [""])[0],
+    dateText: getDocDateText(doc),
+    titleGa: blockText("title_ga", "docTitle"),
+    titleEn: blockText("title_en", "docTitle"),
+    proponent: blockText("proponent_ga", "docProponent"),
+    statusGa: blockText("status_ga", "docStatus"),
+    statusEn,
+    revised: revisedFromStatus(statusEn),
+  };
+}
+
+/** Writes readTitlePage() fields into the template's title page (#volno, #pubdate, #title_ga, …) */
+export function fillTitlePage(page, title, { proponent = "" } = {}) {
+  const byId = (id) => page.getElementById(id);
+
+  const volnoEl = byId("volno");
+  if (volnoEl) volnoEl.innerHTML = `${title.vol}<br>${title.no}`;
+
+  const pubdateEl = byId("pubdate");
+  if (pubdateEl) {
+    const dateText = title.dateText || "";
+    pubdateEl.innerHTML = dateText.includes(",") ? dateText.replace(",", ",<br>") : dateText;
+  }
+
+  const titleGa = byId("title_ga");
+  const titleEn = byId("title_en");
+  const house = byId("house");
+  if (titleGa) titleGa.textContent = title.titleGa;
+  if (titleEn) titleEn.textContent = title.titleEn;
+  if (house) house.textContent = title.proponent || proponent;
+
+  const statusGa = byId("status_ga");
+  const statusEn = byId("status_en");
+  if (statusGa) statusGa.textContent = title.statusGa;
+  if (statusEn) statusEn.textContent = title.statusEn;
+
+  // a revised record must not carry the "Unrevised" rider
+  const statusGaEm = byId("status_ga_em");
+  const statusEnEm = byId("status_en_em");
+  if (statusGaEm) statusGaEm.textContent = title.revised === true ? "" : translate("ga", "title.unrevised");
+  if (statusEnEm) statusEnEm.textContent = title.revised === true ? "" : translate("en", "title.unrevised");
+
+  const kicker = byId("kicker");
+  if (kicker) kicker.textContent = "";
+}
+
+/* -----------------------------
+   Chamber extraction + Irish-correct casing
+------------------------------ */
+
+export function normalizeChamber(raw) {
+  const s = (raw || "").replace(/\s+/g, " ").trim();
+  const low = s.toLowerCase();
+  const isCommittee = low.includes("committee") || low.includes("coiste");
+  if (!isCommittee && low.includes("dáil")) return "Dáil Éireann";
+  if (!isCommittee && low.includes("seanad")) return "Seanad Éireann";
+
+  // Committee names: "SELECT COMMITTEE ON HEALTH" -> "Select Committee on Health"
+  const minor = new Set(["on", "of", "and", "the", "for", "in", "an", "na", "um", "ar"]);
+  return low
+    .split(" ")
+    .filter(Boolean)
+    .map((w, i) => (i > 0 && minor.has(w) ? w : w.charAt(0).toUpperCase() + w.slice(1)))
+    .join(" ");
+}
+
+/* -----------------------------
+   Historical columns (≤2012)
+------------------------------ */
+
+/** "Col. 2850" -> 2850 */
+export function columnNumber(label) {
+  const m = String(label || "").match(/\d+/);
+  return m ? parseInt(m[0], 10) : NaN;
+}
+
+/**
+ * 456, 458 -> "456–8"; 2850, 2861 -> "2850–61"; 99, 102 -> "99–102".
+ * `sep` joins the two ends; `elide: false` keeps the end whole ("456-458" for BibTeX/CSL).
+ */
+export function formatColumnRange(start, end, { sep = "–", elide = true } = {}) {
+  if (!Number.isFinite(start)) return "";
+  if (!Number.isFinite(end) || end <= start) return String(start);
+
+  const a = String(start);
+  const b = String(end);
+  if (!elide || a.length !== b.length) return `${a}${sep}${b}`;
+
+  let i = 0;
+  while (i < a.length - 1 && a[i] === b[i]) i++;
+  return `${a}${sep}${b.slice(i)}`;
+}
+
+/**
+ * Walks the body in document order keeping the column in force (a marker
+ * takes effect at its refersTo target, or where an inline <column> sits), so
+ * each speech gets the column it opens in and the one it closes in.
+ */
+function buildSpeechColumns(debateBody, byTarget) {
+  const speeches = new Map();
+  let current = NaN;
+
+  const visit = (node) => {
+    if (node.localName === "column" && !node.getAttribute("refersTo")) {
+      const n = columnNumber(node.getAttribute("showAs"));
+      if (Number.isFinite(n)) current = n;
+      return;
+    }
+
+    const id = node.getAttribute("eId") || "";
+    if (id && byTarget.has(id)) current = columnNumber(byTarget.get(id));
+
+    if (node.localName !== "speech") {
+      for (const child of Array.from(node.children)) visit(child);
+      return;
+    }
+
+    // a marker on the speech's first paragraph still counts as its opening column
+    const firstP = Array.from(node.children).find((n) => n.localName === "p");
+    const firstId = firstP?.getAttribute("eId") || "";
+    const start = firstId && byTarget.has(firstId) ? columnNumber(byTarget.get(firstId)) : current;
+
+    for (const child of Array.from(node.children)) visit(child);
+
+    if (id && Number.isFinite(start)) {
+      speeches.set(id, { start, end: Number.isFinite(current) ? Math.max(start, current) : start });
+    }
+  };
+
+  visit(debateBody);
+  return speeches;
+}
+
+/**
+ * { byTarget: Map<eId, "Col. 2850">, speeches: Map<spk eId, { start, end }> };
+ * both empty after 2012, when the record stopped being printed in columns.
+ */
+export function buildColumnMap(doc, dateISO = getDocDateISO(doc)) {
+  const byTarget = new Map();
+  const year = parseInt((String(dateISO || "").match(/^(\d{4})-/) || [])[1], 10);
+  if (!Number.isFinite(year) || year > 2012) return { byTarget, speeches: new Map() };
+
+  const all = Array.from(doc.getElementsByTagName("*")).filter((n) => n.localName === "column");
+  for (const c of all) {
+    const refersTo = c.getAttribute("refersTo") || "";
+    const showAs = c.getAttribute("showAs") || "";
+    if (!refersTo || !showAs) continue;
+
+    const target = refersTo.startsWith("#") ? refersTo.slice(1) : refersTo;
+    if (!target) continue;
+
+    const label = showAs.trim();
+    if (!label) continue;
+
+    if (!byTarget.has(target)) byTarget.set(target, label);
+  }
+
+  const debateBody = findDebateBody(doc);
+  return { byTarget, speeches: debateBody ? buildSpeechColumns(debateBody, byTarget) : new Map() };
+}
+
+/* -----------------------------
+   Members (meta/references -> TLCPerson / TLCRole)
+------------------------------ */
+
+export function refId(v) {
+  const s = String(v || "").trim();
+  return s.startsWith("#") ? s.slice(1) : s;
+}
+
+// href is "/ie/oireachtas/member/id/Michael-McGrath.D.2007-06-14" (or absolute)
+function memberUriFromHref(href) {
+  if (!href) return "";
+  if (/^https?:\/\//.test(href)) return href;
+  return `https://data.oireachtas.ie${href.startsWith("/") ? "" : "/"}${href}`;
+}
+
+// "…/member/id/Mary-Butler.D.2016-10-03" -> "Mary-Butler.D.2016-10-03"
+export function memberCode(href) {
+  const m = String(href || "").match(/\/member\/id\/([^/?#]+)/);
+  return m ? m[1] : "";
+}
+
+export function memberProfileUrl(href) {
+  const code = memberCode(href);
+  return code ? `https://www.oireachtas.ie/en/members/member/${code}/` : "";
+}
+
+/** eId -> { eId, showAs, href, uri, profileUrl, role } */
+export function buildMemberModel(doc) {
+  const members = new Map();
+
+  const refs = q1(doc, "references");
+  if (!refs) return members;
+
+  const roles = new Map();
+  for (const r of qAll(refs, "TLCRole")) {
+    const id = r.getAttribute("eId") || "";
+    if (id) roles.set(id, (r.getAttribute("showAs") || "").trim());
+  }
+
+  for (const p of qAll(refs, "TLCPerson")) {
+    const id = p.getAttribute("eId") || "";
+    if (!id) continue;
+    const href = p.getAttribute("href") || "";
+    members.set(id, {
+      eId: id,
+      showAs: (p.getAttribute("showAs") || "").trim(),
+      href,
+      uri: memberUriFromHref(href),
+      profileUrl: memberProfileUrl(href),
+      role: "",
+    });
+  }
+
+  // Role comes from <speech by="#person" as="#role">; first one seen wins
+  for (const sp of qAll(doc, "speech")) {
+    const m = members.get(refId(sp.getAttribute("by")));
+    const role = roles.get(refId(sp.getAttribute("as")));
+    if (m && role && !m.role) m.role = role;
+  }
+
+  return members;
+}
+
+/**
+ * Who is speaking: the member from by="#…" when it resolves, plus the label
+ * as printed in <from> (e.g. "An Ceann Comhairle").
+ */
+export function resolveSpeechSpeaker(sp, members) {
+  const fromTxt = text(q1(sp, "from"));
+  const label = fromTxt ? fromTxt.replace(/\s*\d{4}.*$/, "").trim() : "";
+  const member = members.get(refId(sp.getAttribute("by"))) || null;
+  return { member, label: label || member?.showAs || "", name: member?.showAs || label };
+}
+
+/* -----------------------------
+   Parties (data/members.json)
+------------------------------ */
+
+// Bar colours for parties the file gives none
+const PARTY_GREYS = ["#6f6f6f", "#9a9a9a", "#4f4f4f", "#b8b8b8"];
+
+/**
+ * data/members.json -> partyFor({ member, name }) on one sitting date, giving
+ * { key, name, short, colour, independent } or null. The XML has no parties,
+ * so they come from a hand-kept file:
+ *
+ *   {
+ *     "parties": { "FF": { "name": "Fianna Fáil", "colour": "#2f8f3a" }, … },
+ *     "members": {
+ *       "Mary-Butler.D.2016-10-03": { "name": "Mary Butler", "party": "FF" },
+ *       "…": { "name": "…", "parties": [{ "party": "LAB", "from": "2011-03-09", "to": "2016-02-03" }, …] }
+ *     }
+ *   }
+ *
+ * Members are keyed by the code in their member URI and matched by name when
+ * that misses. Returns null when the file lists no members.
+ */
+export function buildPartyLookup(data, dateISO = "") {
+  const byCode = new Map(Object.entries(data?.members || {}));
+  if (!byCode.size) return null;
+  const byName = new Map();
+  for (const m of byCode.values()) if (m?.name) byName.set(nameKey(m.name), m);
+
+  const keyOn = (m) => {
+    if (!Array.isArray(m?.parties)) return m?.party || "";
+    const on = (p) => !dateISO || ((!p.from || p.from <= dateISO) && (!p.to || dateISO <= p.to));
+    return m.parties.find(on)?.party || "";
+  };
+
+  const parties = new Map();
+  const party = (key) => {
+    if (!key) return null;
+    if (!parties.has(key)) {
+      const p = data.parties?.[key] || {};
+      const name = p.name || key;
+      parties.set(key, {
+        key,
+        name,
+        short: p.short || key,
+        colour: p.colour || PARTY_GREYS[parties.size % PARTY_GREYS.length],
+        independent: p.independent ?? /^ind(ependent)?s?\b/i.test(name),
+      });
+    }
+    return parties.get(key);
+  };
+
+  return ({ member = null, name = "" } = {}) => {
+    const m = byCode.get(memberCode(member?.href || member?.uri)) || byName.get(nameKey(member?.showAs || name));
+    return party(keyOn(m));
+  };
+}
+
+/* -----------------------------
+   Language (lang attributes)
+------------------------------ */
+
+const XML_NS = "http://www.w3.org/XML/1998/namespace";
+
+// Everyday words of each language that are rare in the other ("a", "an", "is",
+// "go" and "do" are both, so they count for neither)
+const GA_WORDS = new Set(
+  (
+    "agus ag ar atá bhí chun gur le leis na nach ní níl ó seo sé sí siad tá " +
+    "sa san ach mar freisin anois dúirt"
+  ).split(" ")
+);
+const EN_WORDS = new Set(
+  (
+    "the and of to that it for on be was with this are have not by we which " +
+    "but from or has will there they been would"
+  ).split(" ")
+);
+
+function xmlLang(n) {
+  return (n?.getAttributeNS?.(XML_NS, "lang") || n?.getAttribute?.("xml:lang") || "").trim().toLowerCase();
+}
+
+/** "ga" or "en" when a passage reads clearly as one of them, else "" */
+export function detectLanguage(s) {
+  let ga = 0;
+  let en = 0;
+  for (const w of String(s || "").toLowerCase().match(/[\p{L}']+/gu) || []) {
+    if (GA_WORDS.has(w)) ga++;
+    else if (EN_WORDS.has(w)) en++;
+  }
+  if (ga > 2 * en) return "ga";
+  if (en > 2 * ga) return "en";
+  return "";
+}
+
+/** xml:lang on the element, else what its text reads as, else the nearest xml:lang above it */
+export function elementLanguage(xmlEl) {
+  const own = xmlLang(xmlEl);
+  if (own) return own;
+  const detected = detectLanguage(xmlEl.textContent);
+  if (detected) return detected;
+  for (let n = xmlEl.parentElement; n; n = n.parentElement) {
+    const l = xmlLang(n);
+    if (l) return l;
+  }
+  return "";
+}
+
+/**
+ * What most of a sitting is in: xml:lang on the document, else most of its
+ * paragraphs and summaries ("en" when unsure)
+ */
+export function sittingLanguage(xmlDoc) {
+  const declared = xmlLang(xmlDoc.documentElement) || xmlLang(xmlDoc.documentElement?.firstElementChild);
+  if (declared) return declared;
+
+  const counts = { ga: 0, en: 0 };
+  const body = findDebateBody(xmlDoc);
+  for (const p of body ? [...qAll(body, "p"), ...qAll(body, "summary")] : []) {
+    const l = detectLanguage(p.textContent);
+    if (l) counts[l]++;
+  }
+  return counts.ga > counts.en ? "ga" : "en";
+}
+
+// lang for a block rendered from xmlEl: only where it differs from the sitting's
+function blockLang(ctx, xmlEl) {
+  const l = elementLanguage(xmlEl);
+  return l && l !== ctx.language ? l : null;
+}
+
+// Headings are often both: "Ceisteanna ó Cheannairí - Leaders' Questions" is neither language
+function headingLang(ctx, xmlEl) {
+  const halves = xmlLang(xmlEl) ? [] : xmlEl.textContent.split(/\s[-–—]\s/);
+  if (halves.length === 2 && detectLanguage(halves[0]) !== detectLanguage(halves[1])) return null;
+  return blockLang(ctx, xmlEl);
+}
+
+/* -----------------------------
+   Render context
+------------------------------ */
+
+/**
+ * What the renderers share for one sitting: the HTML document and its el(),
+ * members, column maps, the page map by eId, how to link other sittings,
+ * (when data/members.json is there) each member's party, the sitting's
+ * language (blocks in another get a lang attribute) and t() for interface
+ * strings in `lang`.
+ */
+export function renderContext({
+  doc,
+  members = new Map(),
+  columns = { byTarget: new Map(), speeches: new Map() },
+  pageMap = [],
+  linkSitting = defaultSittingLink,
+  partyFor = null,
+  language = "en",
+  lang = "en",
+}) {
+  const pageByEid = new Map();
+  for (const row of pageMap || []) {
+    if (!row || typeof row !== "object") continue;
+    const page = row.page;
+    const eid = row.eid;
+    if (!eid || page === null || page === undefined) continue;
+    pageByEid.set(String(eid), String(page));
+  }
+
+  return {
+    doc,
+    el: elementBuilder(doc),
+    members,
+    columns,
+    pageByEid,
+    linkSitting,
+    partyFor,
+    language,
+    t: (key, vars) => translate(lang, key, vars),
+    divisions: [],
+  };
+}
+
+/* -----------------------------
+   Inline rendering
+------------------------------ */
+
+// AKN hrefs: same-document eIds, other sittings (opened in this reader), bills, members, else data.oireachtas.ie
+export function resolveAknHref(href, linkSitting = defaultSittingLink) {
+  const h = String(href || "").trim();
+  if (!h) return "";
+  if (h.startsWith("#")) return h;
+
+  // never emit javascript:, data: etc. from source markup
+  if (/^[a-z][a-z0-9+.-]*:/i.test(h) && !/^(https?|mailto):/i.test(h)) return "";
+
+  const debate = h.match(/\/akn\/ie\/debateRecord\/([a-z0-9_]+)\/(\d{4}-\d{2}-\d{2})\/[^#]*(?:#(.+))?$/);
+  if (debate) return linkSitting({ date: debate[2], house: debate[1], hash: debate[3] || "" });
+
+  const bill = h.match(/\/(?:akn\/)?ie\/(?:oireachtas\/)?bill\/(\d{4})\/(\d+)/);
+  if (bill) return `https://www.oireachtas.ie/en/bills/bill/${bill[1]}/${bill[2]}/`;
+
+  const profile = memberProfileUrl(h);
+  if (profile) return profile;
+
+  if (/^(https?|mailto):/i.test(h)) return h;
+  if (h.startsWith("/")) return `https://data.oireachtas.ie${h}`;
+  return h;
+}
+
+/** AKN <table> -> HTML table (cells keep their inline markup; <p> in cells stays a paragraph). */
+export function renderAknTable(ctx, tableEl) {
+  const { el } = ctx;
+  const table = el("table", { class: "akn-table", id: tableEl.getAttribute("eId") || undefined });
+  const tbody = el("tbody");
+
+  for (const tr of Array.from(tableEl.children).filter((n) => n.localName === "tr")) {
+    const row = el("tr");
+    for (const cell of Array.from(tr.children)) {
+      const tag = cell.localName === "th" ? "th" : cell.localName === "td" ? "td" : null;
+      if (!tag) continue;
+
+      const ps = Array.from(cell.children).filter((n) => n.localName === "p");
+      const content = ps.length
+        ? ps.map((p) => el("p", {}, inlineNodes(ctx, p)))
+        : inlineNodes(ctx, cell);
+
+      row.appendChild(
+        el(
+          tag,
+          {
+            rowspan: cell.getAttribute("rowspan") || undefined,
+            colspan: cell.getAttribute("colspan") || undefined,
+          },
+          content
+        )
+      );
+    }
+    tbody.appendChild(row);
+  }
+
+  table.appendChild(tbody);
+  return el("div", { class: "akn-table__wrap" }, [table]);
+}
+
+/**
+ * A source <p> may hold a <table>, which HTML paragraphs cannot: split it into
+ * inline runs ({ kind: "inline", nodes }) and tables ({ kind: "table", node }).
+ */
+export function paragraphBlocks(ctx, pEl) {
+  const blocks = [];
+  let run = pEl.cloneNode(false);
+
+  const flush = () => {
+    const nodes = inlineNodes(ctx, run);
+    if (nodes.length) blocks.push({ kind: "inline", nodes });
+    run = pEl.cloneNode(false);
+  };
+
+  for (const child of Array.from(pEl.childNodes)) {
+    if (child.nodeType === ELEMENT_NODE && child.localName === "table") {
+      flush();
+      blocks.push({ kind: "table", node: renderAknTable(ctx, child) });
+    } else {
+      run.appendChild(child.cloneNode(true));
+    }
+  }
+  flush();
+
+  return blocks;
+}
+
+export function inlineNodes(ctx, xmlEl) {
+  if (!xmlEl) return [];
+  const { doc, el, members, linkSitting } = ctx;
+  const out = [];
+
+  // Semantic elements (ref, person, sup, …) keep the source whitespace around them
+  // instead of going through the spacing heuristic below
+  const tight = new WeakSet();
+  let pendingSpace = false;
+
+  const isText = (n) => n.nodeType === TEXT_NODE;
+  const isEl = (n) => n.nodeType === ELEMENT_NODE;
+  const norm = (s) => (s || "").replace(/\s+/g, " ");
+
+  function flushPendingSpace(nextIsTight) {
+    const last = out[out.length - 1];
+    if (!pendingSpace || !last || !(nextIsTight || tight.has(last))) return;
+    if (last.nodeType === TEXT_NODE) last.nodeValue += " ";
+    else out.push(doc.createTextNode(" "));
+  }
+
+  function pushText(s) {
+    const t = norm(s);
+    if (!t.trim()) {
+      if (t) pendingSpace = true;
+      return;
+    }
+    flushPendingSpace(false);
+    pendingSpace = false;
+    const last = out[out.length - 1];
+    if (last && last.nodeType === TEXT_NODE) last.nodeValue += t;
+    else out.push(doc.createTextNode(t));
+  }
+
+  function pushNode(node, isTight = false) {
+    if (!node) return;
+    if (isTight) tight.add(node);
+    flushPendingSpace(isTight);
+    pendingSpace = false;
+    out.push(node);
+  }
+
+  function pushWrapped(tag, attrs, child) {
+    const inner = inlineNodes(ctx, child);
+    if (inner.length) pushNode(el(tag, attrs, inner), true);
+  }
+
+  function walk(node) {
+    for (const child of Array.from(node.childNodes)) {
+      if (isText(child)) {
+        pushText(child.nodeValue || "");
+        continue;
+      }
+      if (isEl(child)) {
+        const ln = child.localName;
+
+        if (ln === "i" || ln === "em") {
+          const inner = inlineNodes(ctx, child);
+          if (inner.length) pushNode(el("em", {}, inner));
+          continue;
+        }
+
+        if (ln === "b" || ln === "strong") {
+          const inner = inlineNodes(ctx, child);
+          if (inner.length) pushNode(el("strong", {}, inner));
+          continue;
+        }
+
+        if (ln === "q" || ln === "quote") {
+          pushText("“");
+          walk(child);
+          pushText("”");
+          continue;
+        }
+
+        if (ln === "br" || ln === "eol") {
+          pushNode(el("br"));
+          continue;
+        }
+
+        if (ln === "eop") continue;
+
+        if (ln === "ref" || ln === "a") {
+          const href = resolveAknHref(child.getAttribute("href"), linkSitting);
+          if (!href) {
+            walk(child);
+            continue;
+          }
+          const external = /^https?:/i.test(href);
+          pushWrapped(
+            "a",
+            {
+              class: ln === "ref" ? "ref" : null,
+              href,
+              rel: external ? "noopener" : null,
+              "data-href": child.getAttribute("href") || null,
+            },
+            child
+          );
+          continue;
+        }
+
+        if (ln === "person") {
+          const refersTo = refId(child.getAttribute("refersTo"));
+          const member = members.get(refersTo) || null;
+          pushWrapped(
+            "span",
+            {
+              class: "person",
+              "data-refers-to": refersTo || null,
+              "data-member": member?.eId || null,
+              "data-member-uri": member?.uri || null,
+              title: member?.showAs || null,
+            },
+            child
+          );
+          continue;
+        }
+
+        if (ln === "role") {
+          const refersTo = refId(child.getAttribute("refersTo"));
+          pushWrapped("span", { class: "role", "data-refers-to": refersTo || null }, child);
+          continue;
+        }
+
+        if (ln === "docTitle") {
+          pushWrapped("cite", { class: "doc-title" }, child);
+          continue;
+        }
+
+        if (ln === "date") {
+          pushWrapped("time", { datetime: child.getAttribute("date") || null }, child);
+          continue;
+        }
+
+        if (ln === "sup" || ln === "sub" || ln === "u" || ln === "del" || ln === "ins") {
+          pushWrapped(ln, {}, child);
+          continue;
+        }
+
+        if (ln === "img") {
+          const src = resolveAknHref(child.getAttribute("src"), linkSitting);
+          if (src && !src.startsWith("#")) {
+            pushNode(el("img", { class: "akn-img", src, alt: child.getAttribute("alt") || "" }), true);
+          }
+          continue;
+        }
+
+        walk(child);
+      }
+    }
+  }
+
+  walk(xmlEl);
+
+  if (out.length && out[0].nodeType === TEXT_NODE) {
+    out[0].nodeValue = out[0].nodeValue.replace(/^\s+/, "");
+    if (!out[0].nodeValue.trim()) out.shift();
+  }
+  if (out.length && out[out.length - 1].nodeType === TEXT_NODE) {
+    out[out.length - 1].nodeValue = out[out.length - 1].nodeValue.replace(/\s+$/, "");
+    if (!out[out.length - 1].nodeValue.trim()) out.pop();
+  }
+
+  const spaced = [];
+  for (let i = 0; i < out.length; i++) {
+    const cur = out[i];
+    const prev = spaced[spaced.length - 1];
+
+    const prevIsText = prev && prev.nodeType === TEXT_NODE;
+    const curIsText = cur.nodeType === TEXT_NODE;
+
+    if (prev && (!prevIsText || !curIsText) && !tight.has(prev) && !tight.has(cur)) {
+      const prevText = prevIsText ? prev.nodeValue : "";
+      const curText = curIsText ? cur.nodeValue : "";
+
+      const prevEndsSpace = prevIsText ? /\s$/.test(prevText) : false;
+      const curStartsSpace = curIsText ? /^\s/.test(curText) : false;
+
+      if (!prevEndsSpace && !curStartsSpace) {
+        const prevEndsPunct = prevIsText ? /[“(\[]$/.test(prevText) : false;
+        const curStartsPunct = curIsText ? /^[,.;:!?)}\]]/.test(curText) : false;
+        if (!prevEndsPunct && !curStartsPunct) spaced.push(doc.createTextNode(" "));
+      }
+    }
+
+    spaced.push(cur);
+  }
+
+  return spaced;
+}
+
+/* -----------------------------
+   Divisions (parsed to data)
+------------------------------ */
+
+export const LOBBIES = [
+  { key: "ta", label: "Tá" },
+  { key: "nil", label: "Níl" },
+  { key: "staon", label: "Staon" },
+];
+
+export function isVoteBlock(n) {
+  if (!n || n.localName !== "debateSection") return false;
+  const nm = (n.getAttribute("name") || "").toLowerCase();
+  return nm === "ta" || nm === "nil" || nm === "staon";
+}
+
+// "McGrath, Michael." and "Michael McGrath" -> "mcgrath michael"
+export function nameKey(name) {
+  return foldForSearch(String(name || ""))
+    .replace(/[^\p{L}\p{N}\s'-]/gu, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(" ");
+}
+
+/** "Tá, Deputies Mary Butler and Jack Chambers; Níl, …" -> { ta: [...], nil: [...] } */
+export function parseTellers(t) {
+  const out = { ta: [], nil: [], staon: [] };
+  const body = String(t || "").replace(/^\s*tellers?\s*:\s*/i, "");
+  for (const part of body.split(";")) {
+    const m = part.trim().match(/^(t[áa]|n[íi]l|staon)\s*[,:]\s*(.+?)\.?$/i);
+    if (!m) continue;
+    const key = foldForSearch(m[1]);
+    const names = m[2]
+      .replace(/^(deputies|senators|teachtaí|seanadóirí)\s+/i, "")
+      .split(/\s*(?:,|\band\b|\bagus\b)\s*/i)
+      .map((s) => s.trim())
+      .filter(Boolean);
+    if (out[key]) out[key].push(...names);
+  }
+  return out;
+}
+
+/** "Pairs: Deputies A and B; C and D." -> [["A", "B"], ["C", "D"]] */
+export function parsePairs(t) {
+  const body = String(t || "")
+    .replace(/^\s*pairs?\s*:\s*/i, "")
+    .replace(/\.\s*$/, "");
+  return body
+    .split(";")
+    .map((part) =>
+      part
+        .trim()
+        .replace(/^(deputies|senators|teachtaí|seanadóirí)\s+/i, "")
+        .split(/\s*(?:,|\band\b|\bagus\b|\bwith\b)\s*/i)
+        .map((s) => s.trim())
+        .filter(Boolean)
+    )
+    .filter((pair) => pair.length === 2);
+}
+
+/** party key -> "ta", "nil" or "" (a tie) over one division's Tá and Níl votes; independents left out */
+export function partyMajorities(votes) {
+  const counts = new Map();
+  for (const lobby of ["ta", "nil"]) {
+    for (const v of votes[lobby] || []) {
+      if (!v.party || v.party.independent) continue;
+      const c = counts.get(v.party.key) || { ta: 0, nil: 0 };
+      c[lobby]++;
+      counts.set(v.party.key, c);
+    }
+  }
+  return new Map(Array.from(counts, ([key, c]) => [key, c.ta > c.nil ? "ta" : c.nil > c.ta ? "nil" : ""]));
+}
+
+/** The "Question put: …" nearest before the division, else the enclosing heading. */
+function findDivisionQuestion(divisionSec) {
+  const isQuestionPut = (n) => /question\s+(put|again\s+put)/i.test(text(n));
+
+  for (const child of Array.from(divisionSec.children)) {
+    if (isVoteBlock(child)) break;
+    if (child.localName === "summary" && isQuestionPut(child)) return text(child);
+  }
+
+  for (let n = divisionSec.previousElementSibling; n; n = n.previousElementSibling) {
+    if (n.localName === "debateSection") break;
+    // speeches: look at the paragraphs only, not the <from> label
+    const blocks =
+      n.localName === "speech" ? Array.from(n.children).filter((c) => c.localName === "p").reverse() : [n];
+    const hit = blocks.find(isQuestionPut);
+    if (hit) return text(hit);
+  }
+
+  for (let sec = divisionSec.parentElement; sec; sec = sec.parentElement) {
+    const h = Array.from(sec.children || []).find((n) => n.localName === "heading");
+    if (h && text(h)) return text(h);
+  }
+  return "";
+}
+
+/**
+ * One division as data: question, result line ("The Dáil divided: …"),
+ * tallies, tellers, outcome, per-lobby member lists and any pairs. With
+ * partyFor (buildPartyLookup) each vote carries its party, and againstParty
+ * when the member went the other way from most of that party.
+ */
+export function parseDivision(divisionSec, members = new Map(), partyFor = null) {
+  const summaries = Array.from(divisionSec.children).filter((n) => n.localName === "summary");
+  const resultEl = summaries.find((s) => /^the\s+(d[áa]il|seanad|committee)\s+divided:/i.test(text(s)));
+  const tellersEl = summaries.find((s) => /^tellers?\s*:/i.test(text(s)));
+  const pairsEl = summaries.find((s) => /^pairs?\s*:/i.test(text(s)));
+  const outcomeEl = summaries.find((s) => /declared\s+(carried|lost)|question\s+declared/i.test(text(s)));
+
+  const tellers = parseTellers(text(tellersEl));
+  const tellerKeys = new Set([...tellers.ta, ...tellers.nil, ...tellers.staon].map(nameKey));
+
+  const votes = {};
+  for (const { key } of LOBBIES) {
+    const sec = Array.from(divisionSec.children).find(
+      (n) => isVoteBlock(n) && (n.getAttribute("name") || "").toLowerCase() === key
+    );
+    const ps = sec ? Array.from(sec.children).filter((n) => n.localName === "p") : [];
+    votes[key] = ps
+      .slice(1)
+      .map((p) => {
+        const personEl = Array.from(p.children).find((n) => n.localName === "person");
+        const member = members.get(refId(personEl?.getAttribute("refersTo"))) || null;
+        const name = text(personEl || p) || member?.showAs || "";
+        return { name, member, teller: false };
+      })
+      .filter((v) => v.name);
+  }
+
+  // Tellers are printed by forename + surname; lists are "Surname, Forename."
+  for (const { key } of LOBBIES) {
+    for (const v of votes[key]) {
+      const byName = tellerKeys.has(nameKey(v.name));
+      v.teller = byName || (v.member ? tellerKeys.has(nameKey(v.member.showAs)) : false);
+    }
+  }
+
+  // Pairs are printed by name only
+  const memberByName = new Map(Array.from(members.values(), (m) => [nameKey(m.showAs), m]));
+  const pairs = parsePairs(text(pairsEl)).map((pair) =>
+    pair.map((name) => ({ name, member: memberByName.get(nameKey(name)) || null }))
+  );
+
+  if (partyFor) {
+    const everyone = [...LOBBIES.flatMap(({ key }) => votes[key]), ...pairs.flat()];
+    for (const v of everyone) v.party = partyFor(v);
+    const majority = partyMajorities(votes);
+    for (const lobby of ["ta", "nil"]) {
+      for (const v of votes[lobby]) {
+        const m = v.party ? majority.get(v.party.key) : "";
+        v.againstParty = !!m && m !== lobby;
+      }
+    }
+  }
+
+  const result = text(resultEl);
+  const tally = (re, key) => {
+    const m = result.match(re);
+    return m ? parseInt(m[1], 10) : votes[key].length;
+  };
+
+  return {
+    eId: divisionSec.getAttribute("eId") || "",
+    question: findDivisionQuestion(divisionSec),
+    result,
+    outcome: text(outcomeEl),
+    tallies: {
+      ta: tally(/t[áa]\s*,?\s*(\d+)/i, "ta"),
+      nil: tally(/n[íi]l\s*,?\s*(\d+)/i, "nil"),
+      staon: tally(/staon\s*,?\s*(\d+)/i, "staon"),
+    },
+    tellers,
+    votes,
+    pairs,
+  };
+}
+
+/**
+ * Party-by-lobby counts for one parsed division, biggest party first and
+ * members with no party in the file last (party: null):
+ *   [{ party, ta, nil, staon, paired, tellers: { ta, nil, staon }, majority }]
+ * Empty when no vote was matched to a party.
+ */
+export function divisionPartyBreakdown(d) {
+  const votes = LOBBIES.flatMap(({ key }) => d.votes[key]);
+  const paired = (d.pairs || []).flat();
+  if (![...votes, ...paired].some((v) => v.party)) return [];
+
+  const majority = partyMajorities(d.votes);
+  const rows = new Map();
+  const rowFor = (party) => {
+    const key = party?.key || "";
+    if (!rows.has(key)) {
+      rows.set(key, {
+        party: party || null,
+        ta: 0,
+        nil: 0,
+        staon: 0,
+        paired: 0,
+        tellers: { ta: 0, nil: 0, staon: 0 },
+        majority: majority.get(key) || "",
+      });
+    }
+    return rows.get(key);
+  };
+
+  for (const { key } of LOBBIES) {
+    for (const v of d.votes[key]) {
+      const row = rowFor(v.party);
+      row[key]++;
+      if (v.teller) row.tellers[key]++;
+    }
+  }
+  for (const v of paired) rowFor(v.party).paired++;
+
+  const size = (r) => r.ta + r.nil + r.staon + r.paired;
+  return Array.from(rows.values()).sort(
+    (a, b) => !a.party - !b.party || size(b) - size(a) || (a.party?.name || "").localeCompare(b.party?.name || "")
+  );
+}
+
+// Download buttons are inert here; js/app.js handles clicks on [data-download]
+function renderDivisionHeader(ctx, d) {
+  const { el, t } = ctx;
+  const tally = d.tallies;
+  const carried = d.outcome.match(/\b(carried|lost)\b/i);
+  const outcome = carried
+    ? carried[1].charAt(0).toUpperCase() + carried[1].slice(1).toLowerCase()
+    : d.outcome.replace(/\.$/, "");
+
+  const csvBtn = el("button", { class: "division__btn", type: "button", "data-download": "csv", text: "CSV" });
+  const jsonBtn = el("button", { class: "division__btn", type: "button", "data-download": "json", text: "JSON" });
+
+  return el("div", { class: "division__header" }, [
+    d.question ? el("p", { class: "division__question", text: d.question }) : null,
+    el("div", { class: "division__tally", "aria-label": t("division.result") }, [
+      el("span", { class: "division__count division__count--ta", text: `Tá ${tally.ta}` }),
+      el("span", { class: "division__count division__count--nil", text: `Níl ${tally.nil}` }),
+      el("span", { class: "division__count division__count--staon", text: `Staon ${tally.staon}` }),
+      outcome ? el("span", { class: "division__outcome", text: outcome }) : null,
+      el("span", { class: "division__tools" }, [`${t("division.download")} `, csvBtn, " ", jsonBtn]),
+    ]),
+  ]);
+}
+
+// Stacked bar per lobby (same scale for all three), then the counts as a table
+// and who voted against their party. Tellers are counted in their lobby (†).
+function renderPartyBreakdown(ctx, d, rows) {
+  const { el, t } = ctx;
+  const partyName = (r) => r.party?.name || t("party.unknown");
+  const swatch = (r) =>
+    el("span", { class: "division__swatch", style: `background:${r.party?.colour || "transparent"}`, "aria-hidden": "true" });
+
+  const widest = Math.max(1, ...LOBBIES.map(({ key }) => rows.reduce((n, r) => n + r[key], 0)));
+  const bars = el(
+    "div",
+    { class: "division__bars", "aria-hidden": "true" },
+    LOBBIES.map(({ key, label }) => {
+      const total = rows.reduce((n, r) => n + r[key], 0);
+      const segments = rows
+        .filter((r) => r[key])
+        .map((r) =>
+          el("span", {
+            class: `division__seg${r.party ? "" : " division__seg--unknown"}`,
+            style: `flex-grow:${r[key]};${r.party ? `background:${r.party.colour}` : ""}`,
+            title: `${partyName(r)}: ${r[key]}`,
+          })
+        );
+      return el("div", { class: "division__bar-row" }, [
+        el("span", { class: "division__bar-label", text: `${label} ${total}` }),
+        el("span", { class: "division__bar", style: `width:${((total / widest) * 100).toFixed(1)}%` }, segments),
+      ]);
+    })
+  );
+
+  const withPairs = rows.some((r) => r.paired);
+  const count = (r, key) => {
+    const n = r[key];
+    const tellers = r.tellers[key];
+    return el("td", {
+      class: r.majority === key ? "division__majority" : null,
+      title: tellers ? t("party.tellers", { n: tellers }) : null,
+      text: n ? `${n}${tellers ? "†" : ""}` : "–",
+    });
+  };
+
+  const table = el("table", { class: "division__party-table" }, [
+    el("thead", {}, [
+      el("tr", {}, [
+        el("th", { scope: "col", text: t("party.party") }),
+        ...LOBBIES.map(({ label }) => el("th", { scope: "col", text: label })),
+        withPairs ? el("th", { scope: "col", text: t("party.paired") }) : null,
+      ]),
+    ]),
+    el(
+      "tbody",
+      {},
+      rows.map((r) =>
+        el("tr", { "data-party": r.party?.key || null }, [
+          el("th", { scope: "row" }, [swatch(r), partyName(r)]),
+          ...LOBBIES.map(({ key }) => count(r, key)),
+          withPairs ? el("td", { text: r.paired ? String(r.paired) : "–" }) : null,
+        ])
+      )
+    ),
+  ]);
+
+  const lobbyLabel = Object.fromEntries(LOBBIES.map(({ key, label }) => [key, label]));
+  const against = ["ta", "nil"].flatMap((key) =>
+    d.votes[key]
+      .filter((v) => v.againstParty)
+      .map((v) =>
+        el("li", {
+          "data-member": v.member?.eId || null,
+          text: t("party.against", {
+            name: v.member?.showAs || v.name,
+            party: v.party.name,
+            lobby: lobbyLabel[key],
+            other: lobbyLabel[key === "ta" ? "nil" : "ta"],
+          }),
+        })
+      )
+  );
+
+  return el("div", { class: "division__parties" }, [
+    bars,
+    table,
+    rows.some((r) => LOBBIES.some(({ key }) => r.tellers[key]))
+      ? el("p", { class: "division__note", text: t("party.tellersNote") })
+      : null,
+    against.length
+      ? el("div", { class: "division__against" }, [
+          el("p", { class: "division__against-title", text: t("party.againstTitle") }),
+          el("ul", {}, against),
+        ])
+      : null,
+  ]);
+}
+
+/* -----------------------------
+   debateBody rendering (RECURSIVE + divisions)
+------------------------------ */
+
+export function makeColMarker(ctx, label, targetId) {
+  const { el, t } = ctx;
+  return el("div", { class: "col-marker__wrap" }, [
+    el("span", {
+      class: "col-marker",
+      text: label,
+      title: targetId ? t("body.column", { id: targetId }) : label,
+    }),
+  ]);
+}
+
+export function renderSummary(ctx, s) {
+  const { el } = ctx;
+  const clsRaw = (s.getAttribute("class") || "").toLowerCase();
+  const sId = s.getAttribute("eId") || "";
+  const content = inlineNodes(ctx, s);
+  if (!content.length) return null;
+
+  const t = (s.textContent || "").replace(/\s+/g, " ").trim();
+  const tLower = t.toLowerCase();
+
+  const isDivisionLine = /^the\s+(d[áa]il|seanad|committee)\s+divided:/i.test(t);
+  const isSectionCaps = /^SECTION\s+\d+\b/.test(t) && t === t.toUpperCase();
+  if (isSectionCaps) return null;
+
+  const isInterruptions = /^\(\s*interruptions?\s*\)\s*\.?\s*$/i.test(t);
+  const isPrayer = /^paidir agus machnamh\s*\.?\s*$/i.test(t) || /^prayer and reflection\s*\.?\s*$/i.test(t);
+
+  const isChairFormula =
+    tLower.startsWith("chuaigh an cathaoirleach") ||
+    tLower.startsWith("chuaigh an cathaoirleach gníomhach") ||
+    tLower.startsWith("chuaigh an ceann comhairle") ||
+    tLower.startsWith("chuaigh an leas-cheann comhairle");
+
+  const shouldItalicise = (isInterruptions || isPrayer) && !isChairFormula;
+
+  const classes = [
+    "summary",
+    clsRaw.includes("center") ? "center" : "",
+    isDivisionLine ? "summary--divisionline" : "",
+    shouldItalicise ? "summary--italic" : "",
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+  return el("p", { class: classes, id: sId || undefined, lang: blockLang(ctx, s) }, content);
+}
+
+// Top-level parts of a debate that are not its body
+const OUTSIDE_BODY = new Set(["meta", "preface", "parsererror"]);
+
+/**
+ * The element the debate is read from: <debateBody>, else (a document without
+ * one) the parent of its first debateSection or speech; null when it has neither.
+ */
+export function findDebateBody(xmlDoc) {
+  const debateBody = q1(xmlDoc, "debateBody");
+  if (debateBody) return debateBody;
+  const first = q1(xmlDoc, "debateSection") || q1(xmlDoc, "speech");
+  return first?.parentElement || null;
+}
+
+/**
+ * debateBody -> { body: DocumentFragment, divisions } in ctx.doc. Speeches and
+ * summaries outside any debateSection go in an untitled section; a document
+ * with nothing to read renders a one-line notice (body) and no divisions.
+ */
+export function renderDebateBody(xmlDoc, ctx) {
+  const { doc, el, t, members, columns, pageByEid, partyFor } = ctx;
+  const body = doc.createDocumentFragment();
+  const divisions = ctx.divisions;
+
+  const debateBody = findDebateBody(xmlDoc);
+  if (!debateBody) {
+    body.appendChild(el("p", { text: t("body.none") }));
+    return { body, divisions };
+  }
+
+  const maybePageMarker = (eid) => {
+    const p = pageByEid.get(String(eid || ""));
+    if (!p) return null;
+    return el("div", { class: "page-marker", "data-page": p, id: `p-${p}`, title: t("body.page", { n: p }) });
+  };
+
+  const maybeColMarker = (targetEid) => {
+    const label = columns.byTarget.get(String(targetEid || ""));
+    if (!label) return null;
+    return makeColMarker(ctx, label, targetEid);
+  };
+
+  const renderHeadingDirect = (sec, sectionEl, level = 2) => {
+    const directHeading = Array.from(sec.children).find((n) => n.localName === "heading");
+    const content = directHeading ? inlineNodes(ctx, directHeading) : [];
+    if (directHeading && content.length) {
+      const tag = `h${Math.min(6, Math.max(2, level))}`;
+      sectionEl.appendChild(el(tag, { class: "section__heading", lang: headingLang(ctx, directHeading) }, content));
+    }
+  };
+
+  const renderQuestion = (q) => {
+    const qId = q.getAttribute("eId") || "";
+    const wrap = el("div", { class: "question", id: qId || undefined }, []);
+
+    const ps = Array.from(q.children).filter((n) => n.localName === "p");
+    for (const pEl of ps) {
+      const pid = pEl.getAttribute("eId") || "";
+      const ppm = maybePageMarker(pid);
+      if (ppm) wrap.appendChild(ppm);
+
+      paragraphBlocks(ctx, pEl).forEach((b, bi) => {
+        const id = bi === 0 ? pid || undefined : undefined;
+        if (b.kind === "table") {
+          if (id) b.node.id = id;
+          wrap.appendChild(b.node);
+        } else {
+          wrap.appendChild(el("p", { class: "question__p", id, lang: blockLang(ctx, pEl) }, b.nodes));
+        }
+      });
+    }
+    return wrap;
+  };
+
+  const renderSpeech = (sp) => {
+    const spId = sp.getAttribute("eId") || "";
+
+    // data-speaker is the member's canonical name, so "An Ceann Comhairle" and
+    // the same person speaking as a Deputy group together; the printed label stays
+    const { member, label: speakerLabel, name: speakerName } = resolveSpeechSpeaker(sp, members);
+
+    const speechWrap = el("article", {
+      class: "speech",
+      id: spId || undefined,
+      "data-speaker": speakerName || null,
+      "data-member": member?.eId || null,
+    });
+
+    const spkNum = spkNumFromId(spId);
+    if (spkNum) speechWrap.setAttribute("data-spknum", spkNum);
+
+    const speakerEl = () =>
+      member?.profileUrl
+        ? el("a", {
+            class: "speaker",
+            href: member.profileUrl,
+            title: member.role ? `${member.showAs} (${member.role})` : member.showAs,
+            "data-member-uri": member.uri || null,
+            text: `${speakerLabel}:`,
+          })
+        : el("span", { class: "speaker", text: `${speakerLabel}:` });
+
+    // <p> (possibly holding tables) and bare <table> children, in order
+    const ps = Array.from(sp.children).filter((n) => n.localName === "p" || n.localName === "table");
+    ps.forEach((pEl, idx) => {
+      const pid = pEl.getAttribute("eId") || "";
+      const extraClass = (pEl.getAttribute("class") || "").trim();
+
+      const ppm = maybePageMarker(pid);
+      if (ppm) speechWrap.appendChild(ppm);
+
+      const blocks =
+        pEl.localName === "table" ? [{ kind: "table", node: renderAknTable(ctx, pEl) }] : paragraphBlocks(ctx, pEl);
+      if (!blocks.length) return;
+
+      const cls = `speech__p${idx === 0 ? " speech__p--first" : ""}${extraClass ? ` ${extraClass}` : ""}`;
+
+      blocks.forEach((b, bi) => {
+        const id = bi === 0 ? pid || undefined : undefined;
+        const withSpeaker = idx === 0 && bi === 0 && speakerLabel;
+
+        if (b.kind === "table") {
+          // speech opening on a table: the speaker label gets its own line
+          if (withSpeaker) speechWrap.appendChild(el("p", { class: cls, id }, [speakerEl()]));
+          else if (id) b.node.id = id;
+          speechWrap.appendChild(b.node);
+          return;
+        }
+
+        const content = withSpeaker ? [speakerEl(), " ", ...b.nodes] : b.nodes;
+        speechWrap.appendChild(el("p", { class: cls, id, lang: blockLang(ctx, pEl) }, content));
+      });
+    });
+
+    return { spId, node: speechWrap };
+  };
+
+  const renderDivision = (divisionSec) => {
+    const data = parseDivision(divisionSec, members, partyFor);
+    divisions.push(data);
+
+    const wrapper = el("section", {
+      class: "division",
+      id: data.eId || undefined,
+      "data-division": String(divisions.length - 1),
+    });
+
+    const preSummaries = [];
+    const postSummaries = [];
+    let seenVoteBlock = false;
+
+    for (const child of Array.from(divisionSec.children)) {
+      if (isVoteBlock(child)) {
+        seenVoteBlock = true;
+        continue;
+      }
+      if (child.localName === "summary") {
+        const sNode = renderSummary(ctx, child);
+        if (sNode) (seenVoteBlock ? postSummaries : preSummaries).push(sNode);
+      }
+    }
+
+    const { ta, nil, staon } = data.votes;
+    const maxLen = Math.max(ta.length, nil.length, staon.length);
+
+    for (const s of preSummaries) wrapper.appendChild(s);
+
+    wrapper.appendChild(renderDivisionHeader(ctx, data));
+
+    const partyRows = divisionPartyBreakdown(data);
+    if (partyRows.length) wrapper.appendChild(renderPartyBreakdown(ctx, data, partyRows));
+
+    const voteCell = (v) => {
+      if (!v) return el("td", { text: "" });
+      const name = v.teller ? t("division.teller", { name: v.name }) : v.name;
+      if (!v.party) return el("td", { "data-member": v.member?.eId || null, title: v.member?.showAs || null, text: name });
+      return el(
+        "td",
+        {
+          class: v.againstParty ? "division__vote--against" : null,
+          "data-member": v.member?.eId || null,
+          "data-party": v.party.key,
+          title: `${v.member?.showAs || v.name}, ${v.party.name}${v.againstParty ? ` ${t("party.againstVote")}` : ""}`,
+        },
+        [name, " ", el("span", { class: "division__party", text: v.party.short })]
+      );
+    };
+
+    const table = el("table", { class: "division__table" });
+    table.appendChild(
+      el("thead", {}, [
+        el("tr", {}, [
+          el("th", { scope: "col", text: "Tá" }),
+          el("th", { scope: "col", text: "Níl" }),
+          el("th", { scope: "col", text: "Staon" }),
+        ]),
+      ])
+    );
+
+    const tbody = el("tbody");
+    for (let i = 0; i < maxLen; i++) {
+      tbody.appendChild(el("tr", {}, [voteCell(ta[i]), voteCell(nil[i]), voteCell(staon[i])]));
+    }
+    table.appendChild(tbody);
+    wrapper.appendChild(table);
+
+    for (const s of postSummaries) wrapper.appendChild(s);
+
+    return wrapper;
+  };
+
+  function renderDebateSection(sec, level = 2) {
+    const eId = sec.getAttribute("eId") || "";
+    const nameRaw = sec.getAttribute("name") || "";
+    const name = nameRaw.toLowerCase();
+
+    if (name === "division") return renderDivision(sec);
+
+    const sectionEl = el("section", {
+      class: "section",
+      id: eId || undefined,
+      "data-section": name,
+    });
+
+    const cm = maybeColMarker(eId);
+    if (cm) sectionEl.appendChild(cm);
+
+    renderHeadingDirect(sec, sectionEl, level);
+
+    for (const child of Array.from(sec.children)) appendSectionChild(sectionEl, child, level);
+
+    return sectionEl;
+  }
+
+  function appendSectionChild(sectionEl, child, level) {
+    const tag = child.localName;
+
+    if (tag === "heading") return;
+
+    if (tag === "summary") {
+      const sNode = renderSummary(ctx, child);
+      if (sNode) sectionEl.appendChild(sNode);
+      return;
+    }
+
+    if (tag === "question") {
+      const qNode = renderQuestion(child);
+      if (qNode) sectionEl.appendChild(qNode);
+      return;
+    }
+
+    if (tag === "speech") {
+      const { spId, node } = renderSpeech(child);
+
+      const cm2 = maybeColMarker(spId);
+      if (cm2) sectionEl.appendChild(cm2);
+
+      const pm = maybePageMarker(spId);
+      if (pm) sectionEl.appendChild(pm);
+
+      sectionEl.appendChild(node);
+      return;
+    }
+
+    if (tag === "debateSection") {
+      sectionEl.appendChild(renderDebateSection(child, level + 1));
+      return;
+    }
+
+    if (tag === "table") {
+      sectionEl.appendChild(renderAknTable(ctx, child));
+      return;
+    }
+
+    const lang = blockLang(ctx, child);
+    for (const b of paragraphBlocks(ctx, child)) {
+      sectionEl.appendChild(b.kind === "table" ? b.node : el("p", { class: "fallback", lang }, b.nodes));
+    }
+  }
+
+  let loose = null; // untitled section for content between top-level debateSections
+  for (const child of Array.from(debateBody.children)) {
+    if (child.localName === "debateSection") {
+      loose = null;
+      body.appendChild(renderDebateSection(child, 2));
+      continue;
+    }
+    if (OUTSIDE_BODY.has(child.localName) || child.localName === "heading") continue;
+
+    if (!loose) {
+      loose = el("section", { class: "section", "data-section": "" });
+      body.appendChild(loose);
+    }
+    appendSectionChild(loose, child, 2);
+  }
+
+  return { body, divisions };
+}
+
+/* -----------------------------
+   Validation (document health)
+------------------------------ */
+
+// Everything renderDebateBody has a rule for inside a debateBody. Other elements
+// are "unknown": their text still shows, but any meaning in the markup is lost.
+const BODY_VOCABULARY = new Set([
+  "debateBody",
+  "debateSection",
+  "heading",
+  "speech",
+  "from",
+  "question",
+  "summary",
+  "p",
+  "table",
+  "tr",
+  "th",
+  "td",
+  "i",
+  "em",
+  "b",
+  "strong",
+  "q",
+  "quote",
+  "br",
+  "eol",
+  "eop",
+  "ref",
+  "a",
+  "person",
+  "role",
+  "docTitle",
+  "date",
+  "sup",
+  "sub",
+  "u",
+  "del",
+  "ins",
+  "img",
+  "column",
+]);
+
+// Targets of deep links, citations and page maps
+const NEEDS_EID = new Set(["debateSection", "speech", "question", "summary"]);
+const EID_PARAGRAPH_PARENTS = new Set(["debateSection", "speech", "question"]);
+
+const MAX_EXAMPLES = 5;
+
+/** Text of a <parsererror> ("" when the XML parsed cleanly) */
+export function xmlParseError(xmlDoc) {
+  const pe = xmlDoc.getElementsByTagName("parsererror")[0];
+  if (!pe) return "";
+  return text(pe) || "XML is not well-formed";
+}
+
+/** Nearest eId at or above n, so an issue can link to where it is */
+function nearestEid(n) {
+  for (let cur = n; cur && cur.nodeType === ELEMENT_NODE; cur = cur.parentElement) {
+    const id = cur.getAttribute("eId");
+    if (id) return id;
+  }
+  return "";
+}
+
+/**
+ * Structural checks on one sitting's XML, for the document health panel:
+ *   { namespace, issues: [{ level: "error" | "warning", kind, message, count, examples: [eId] }] }
+ * kind is parse, namespace, structure, unknown-element, missing-eid or empty-speech.
+ * Nothing here throws; a document that fails every check still gets a report.
+ */
+export function validateSitting(xmlDoc) {
+  const root = xmlDoc.documentElement;
+  const namespace = root?.namespaceURI || "";
+  const issues = [];
+  const add = (level, kind, message, nodes = []) => {
+    const examples = [...new Set(nodes.map(nearestEid).filter(Boolean))].slice(0, MAX_EXAMPLES);
+    issues.push({ level, kind, message, count: nodes.length || 1, examples });
+  };
+
+  const parseError = xmlParseError(xmlDoc);
+  if (parseError) add("error", "parse", `XML parse error: ${parseError}`);
+
+  if (root && root.localName !== "parsererror" && !AKN_NAMESPACES.includes(namespace)) {
+    const shown = namespace ? `“${namespace}”` : "(none)";
+    add("warning", "namespace", `Unexpected namespace ${shown}; read as Akoma Ntoso`);
+  }
+
+  if (!getDocDateISO(xmlDoc)) add("warning", "structure", "No sitting date (docDate) in the preface");
+
+  const debateBody = findDebateBody(xmlDoc);
+  if (!debateBody) {
+    add("error", "structure", "No debateBody, debate sections or speeches: nothing to show");
+    return { namespace, issues };
+  }
+  if (debateBody.localName !== "debateBody") {
+    add("warning", "structure", `No debateBody; showing the debate found in <${debateBody.localName}>`);
+  }
+
+  const unknown = new Map(); // localName -> [node]
+  const missing = new Map();
+  const emptySpeeches = [];
+
+  // a fallback body (<debate>) also holds the meta and preface: leave those out
+  const nodes = [debateBody];
+  for (let i = 0; i < nodes.length; i++) {
+    for (const c of Array.from(nodes[i].children)) if (!OUTSIDE_BODY.has(c.localName)) nodes.push(c);
+  }
+
+  for (const n of nodes) {
+    const ln = n.localName;
+    if (n !== debateBody && !BODY_VOCABULARY.has(ln)) {
+      if (!unknown.has(ln)) unknown.set(ln, []);
+      unknown.get(ln).push(n);
+    }
+
+    const needsEid = NEEDS_EID.has(ln) || (ln === "p" && EID_PARAGRAPH_PARENTS.has(n.parentElement?.localName));
+    if (needsEid && !n.getAttribute("eId")) {
+      if (!missing.has(ln)) missing.set(ln, []);
+      missing.get(ln).push(n);
+    }
+
+    if (ln === "speech") {
+      const said = Array.from(n.children).filter((c) => c.localName !== "from");
+      if (!said.some((c) => text(c))) emptySpeeches.push(n);
+    }
+  }
+
+  for (const [ln, nodes] of unknown) {
+    const message = `<${ln}> ×${nodes.length}: not in the reader's vocabulary, shown as plain text`;
+    add("warning", "unknown-element", message, nodes);
+  }
+  for (const [ln, nodes] of missing) {
+    add("warning", "missing-eid", `<${ln}> ×${nodes.length} without an eId: no deep link or citation`, nodes);
+  }
+  if (emptySpeeches.length) {
+    const n = emptySpeeches.length;
+    add("warning", "empty-speech", `${n} empty speech${n > 1 ? "es" : ""}`, emptySpeeches);
+  }
+
+  return { namespace, issues };
+}
+
+/* -----------------------------
+   Whole sitting
+------------------------------ */
+
+/**
+ * XML Document -> everything one sitting renders to, built in `doc`:
+ *   { dateISO, language, lang, chamber, title, members, columns, divisions, health, body }
+ * `body` is a DocumentFragment for #main; `title` feeds fillTitlePage;
+ * `health` is validateSitting's report; `language` (sittingLanguage) belongs
+ * on the element `body` goes in. `parties` is data/members.json
+ * (buildPartyLookup), for the party breakdown of each division; `lang` is the
+ * interface language of the division controls, returned so a saved render can
+ * be matched against the reader's language.
+ */
+export function transformSitting(
+  xmlDoc,
+  { doc, pageMap = [], linkSitting = defaultSittingLink, parties = null, lang = "en" } = {}
+) {
+  const dateISO = getDocDateISO(xmlDoc);
+  const members = buildMemberModel(xmlDoc);
+  const columns = buildColumnMap(xmlDoc, dateISO);
+  const partyFor = parties ? buildPartyLookup(parties, dateISO) : null;
+  const language = sittingLanguage(xmlDoc);
+
+  const ctx = renderContext({ doc, members, columns, pageMap, linkSitting, partyFor, language, lang });
+  const { body, divisions } = renderDebateBody(xmlDoc, ctx);
+
+  return {
+    dateISO,
+    language,
+    lang,
+    chamber: normalizeChamber(getDocProponent(xmlDoc)),
+    title: readTitlePage(xmlDoc),
+    members,
+    columns,
+    divisions,
+    health: validateSitting(xmlDoc),
+    body,
+  };
+}
+
+/** Same as transformSitting, with the body serialised to an HTML string */
+export function renderSittingHTML(xmlDoc, opts) {
+  const sitting = transformSitting(xmlDoc, opts);
+  const box = opts.doc.createElement("div");
+  box.appendChild(sitting.body);
+  return { ...sitting, body: undefined, html: box.innerHTML };
+}
+
+/* -----------------------------
+   Pre-rendered state (embedded by scripts/prerender.mjs)
+------------------------------ */
+
+/**
+ * JSON-safe copy of what app.js keeps per sitting, so a static page needs no
+ * XML. `date` is the index date the page is for (the preface date may be absent).
+ */
+export function sittingState(sitting, { house = "dail", date = sitting.dateISO } = {}) {
+  const memberRef = (v) => ({
+    name: v.name,
+    member: v.member?.eId || null,
+    teller: v.teller,
+    party: v.party || null,
+    againstParty: !!v.againstParty,
+  });
+  return {
+    date,
+    dateISO: sitting.dateISO,
+    language: sitting.language,
+    lang: sitting.lang,
+    house,
+    chamber: sitting.chamber,
+    title: sitting.title,
+    members: Array.from(sitting.members.values()),
+    columns: {
+      byTarget: Array.from(sitting.columns.byTarget.entries()),
+      speeches: Array.from(sitting.columns.speeches.entries()),
+    },
+    divisions: sitting.divisions.map((d) => ({
+      ...d,
+      votes: Object.fromEntries(LOBBIES.map(({ key }) => [key, d.votes[key].map(memberRef)])),
+      pairs: (d.pairs || []).map((pair) => pair.map(memberRef)),
+    })),
+    health: sitting.health,
+  };
+}
+
+/** sittingState() JSON -> the Maps and member-linked divisions transformSitting returns */
+export function hydrateSittingState(state) {
+  const members = new Map((state.members || []).map((m) => [m.eId, m]));
+  const memberVote = (v) => ({ ...v, member: members.get(v.member) || null });
+  return {
+    date: state.date || "",
+    dateISO: state.dateISO || "",
+    language: state.language || "en",
+    // interface language of the division chrome; pages from before it was recorded are English
+    lang: state.lang || "en",
+    house: state.house || "dail",
+    chamber: state.chamber || "",
+    title: state.title,
+    members,
+    columns: {
+      byTarget: new Map(state.columns?.byTarget || []),
+      speeches: new Map(state.columns?.speeches || []),
+    },
+    divisions: (state.divisions || []).map((d) => ({
+      ...d,
+      votes: Object.fromEntries(LOBBIES.map(({ key }) => [key, (d.votes?.[key] || []).map(memberVote)])),
+      pairs: (d.pairs || []).map((pair) => pair.map(memberVote)),
+    })),
+    health: state.health || { namespace: "", issues: [] },
+  };
+}
@@ -0,0 +1,39 @@
+// search.js — how text becomes search terms for the cross-date search index, and
+// which term shard of the index each term is in.
+// scripts/build_search_index.mjs tokenises speeches with it and js/app.js
+// tokenises queries with it, so the index and the query always agree.
+
+// Kept deliberately short: common English and Irish words
+export const STOPWORDS = new Set(
+  "the and of to in that is it for on be this as with are was we have not by at which but from or an has will there they all been would their can what if so do he she its our any also agus na ar le go ag".split(
+    " "
+  )
+);
+
+/** Lower case with accents stripped ("Dáil" -> "dail") */
+export function foldText(s) {
+  return (s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+/** Text -> index terms, in order (repeats kept): runs of a-z/0-9, two chars or more, no stopwords */
+export function tokenize(s) {
+  const out = [];
+  for (const t of foldText(s).match(/[a-z0-9]+/g) || []) {
+    if (t.length < 2 || STOPWORDS.has(t)) continue;
+    out.push(t);
+  }
+  return out;
+}
+
+/** Which of `shards` term files holds `term` (FNV-1a hash of the term) */
+export function termShard(term, shards) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < term.length; i++) {
+    h ^= term.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0) % Math.max(1, shards);
+}
@@ -0,0 +1,223 @@
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { build } from "@vivliostyle/cli";
+import { PDFArray, PDFDict, PDFDocument, PDFName, PDFNumber, PDFRef, PDFString, PDFHexString } from "pdf-lib";
+
+// Renders one sitting of the edition to a paginated PDF with Vivliostyle and
+// writes a page map of the eId that begins each page.
+//
+//   node scripts/build_pdf.mjs --date 2026-02-05 [--house dail] [--source proxy] [--out dist/pdf]
+//                              [--first-page 449]
+//
+// The repo is served on a local port and opened as index.html?date=…&print=pdf.
+// In that mode js/app.js links every speech/paragraph to itself, so the browser
+// records a PDF named destination for each one; Vivliostyle names them
+// viv-id-<escaped document URL#eId>. Reading those back gives the page each
+// block starts on. Pages are numbered from --first-page (default 1), the
+// sitting's first page in the printed volume, so the map matches its
+// page numbers (pp. 449–459, "Vol. 1070 p. 452", #p-452).
+//
+// Output:
+//   <out>/<date>.pdf (other houses: <out>/<house>-<date>.pdf)
+//   data/pagemap/<date>.json (other houses: data/pagemap/<house>/<date>.json)
+//     [{ page, eid }], read by loadPageMap in js/app.js
+
+const ROOT = process.cwd();
+const PAGEMAP_DIR = path.join("data", "pagemap");
+const TIMEOUT_MS = 300000;
+
+// Blocks that renderDebateBody (js/render.js) can put a page marker before (speeches + their paragraphs)
+const PAGE_EID = /^(spk|para)_\d+$/;
+
+const MIME = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+  ".webmanifest": "application/manifest+json",
+};
+
+function parseArgs(argv) {
+  const args = { date: "", house: "dail", source: "", out: path.join("dist", "pdf"), firstPage: 1 };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--date") args.date = argv[++i] || "";
+    else if (a === "--house") args.house = (argv[++i] || "").toLowerCase();
+    else if (a === "--source") args.source = argv[++i] || "";
+    else if (a === "--out") args.out = argv[++i];
+    else if (a === "--first-page") args.firstPage = Number(argv[++i]);
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(args.date)) throw new Error("Usage: build_pdf.mjs --date YYYY-MM-DD [--house dail]");
+  if (!/^[a-z0-9_]+$/.test(args.house)) throw new Error(`Bad --house: ${args.house}`);
+  if (!Number.isInteger(args.firstPage) || args.firstPage < 1) throw new Error("Bad --first-page (want a page number)");
+  return args;
+}
+
+function pdfPathFor({ out, house, date }) {
+  return path.join(out, house === "dail" ? `${date}.pdf` : `${house}-${date}.pdf`);
+}
+
+function pageMapPathFor({ house, date }) {
+  return house === "dail" ? path.join(PAGEMAP_DIR, `${date}.json`) : path.join(PAGEMAP_DIR, house, `${date}.json`);
+}
+
+/* -----------------------------
+   Static server (the app fetches data/… relative to index.html)
+------------------------------ */
+
+function serveRoot(root) {
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    const rel = decodeURIComponent(pathname === "/" ? "/index.html" : pathname);
+    const file = path.join(root, rel);
+
+    if (!file.startsWith(root + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { "content-type": MIME[path.extname(file).toLowerCase()] || "application/octet-stream" });
+    fs.createReadStream(file).pipe(res);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+/* -----------------------------
+   PDF named destinations -> page map
+------------------------------ */
+
+// "viv-id-http:003a:002f:002f…index:002ehtml:0023para_12" -> "para_12"
+export function eidFromDestName(name) {
+  if (!name.startsWith("viv-id-")) return "";
+  const decoded = name
+    .slice("viv-id-".length)
+    .replace(/:([0-9a-f]{4})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+  const hash = decoded.lastIndexOf("#");
+  return hash >= 0 ? decoded.slice(hash + 1) : "";
+}
+
+function decodePdfText(obj) {
+  return obj instanceof PDFString || obj instanceof PDFHexString ? obj.decodeText() : obj?.asString?.() || "";
+}
+
+// name -> explicit destination array, from the catalog /Dests dict and the /Names /Dests tree
+function namedDestinations(pdf) {
+  const out = new Map();
+  const ctx = pdf.context;
+
+  const add = (name, value) => {
+    let dest = value instanceof PDFRef ? ctx.lookup(value) : value;
+    if (dest instanceof PDFDict) dest = dest.lookup(PDFName.of("D"));
+    if (dest instanceof PDFArray) out.set(name, dest);
+  };
+
+  const dests = pdf.catalog.lookup(PDFName.of("Dests"));
+  if (dests instanceof PDFDict) {
+    for (const [key, value] of dests.entries()) add(key.decodeText(), value);
+  }
+
+  const walk = (node) => {
+    if (!(node instanceof PDFDict)) return;
+    const names = node.lookup(PDFName.of("Names"));
+    if (names instanceof PDFArray) {
+      for (let i = 0; i + 1 < names.size(); i += 2) add(decodePdfText(names.lookup(i)), names.get(i + 1));
+    }
+    const kids = node.lookup(PDFName.of("Kids"));
+    if (kids instanceof PDFArray) {
+      for (let i = 0; i < kids.size(); i++) walk(kids.lookup(i));
+    }
+  };
+  const nameTree = pdf.catalog.lookup(PDFName.of("Names"));
+  if (nameTree instanceof PDFDict) walk(nameTree.lookup(PDFName.of("Dests")));
+
+  return out;
+}
+
+/**
+ * [{ page, eid }]: per page, the topmost speech/paragraph that starts on it.
+ * The PDF's first page is page `firstPage`.
+ */
+export async function pageMapFromPdf(pdfFile, { firstPage = 1 } = {}) {
+  const pdf = await PDFDocument.load(fs.readFileSync(pdfFile), { updateMetadata: false });
+  const pageIndex = new Map(pdf.getPages().map((p, i) => [p.ref.toString(), i]));
+
+  const firstByPage = new Map(); // index -> { eid, top }
+  for (const [name, dest] of namedDestinations(pdf)) {
+    const eid = eidFromDestName(name);
+    if (!PAGE_EID.test(eid)) continue;
+
+    const ref = dest.get(0);
+    const index = ref instanceof PDFRef ? pageIndex.get(ref.toString()) : undefined;
+    if (index === undefined) continue;
+
+    // [page /XYZ left top zoom]; PDF y grows upwards, so a larger top is higher on the page
+    const topObj = dest.lookup(3);
+    const top = topObj instanceof PDFNumber ? topObj.asNumber() : 0;
+
+    const cur = firstByPage.get(index);
+    // a speech and its first paragraph share a position: the speech wins
+    const better = !cur || top > cur.top || (top === cur.top && eid.startsWith("spk_") && !cur.eid.startsWith("spk_"));
+    if (better) firstByPage.set(index, { eid, top });
+  }
+
+  return Array.from(firstByPage.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([index, { eid }]) => ({ page: firstPage + index, eid }));
+}
+
+/* -----------------------------
+   Build
+------------------------------ */
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const pdfFile = pdfPathFor(args);
+  const mapFile = pageMapPathFor(args);
+
+  const server = await serveRoot(ROOT);
+  try {
+    const u = new URL(`http://127.0.0.1:${server.address().port}/index.html`);
+    u.searchParams.set("date", args.date);
+    u.searchParams.set("mode", "edition");
+    u.searchParams.set("print", "pdf");
+    if (args.house !== "dail") u.searchParams.set("house", args.house);
+    if (args.source) u.searchParams.set("source", args.source);
+
+    fs.mkdirSync(path.dirname(pdfFile), { recursive: true });
+    await build({
+      input: { format: "webbook", entry: u.toString() },
+      output: [{ path: path.resolve(pdfFile), format: "pdf" }],
+      singleDoc: true,
+      timeout: TIMEOUT_MS,
+      logLevel: "info",
+    });
+  } finally {
+    server.close();
+  }
+
+  const pageMap = await pageMapFromPdf(pdfFile, { firstPage: args.firstPage });
+  if (!pageMap.length) throw new Error(`No page destinations found in ${pdfFile}; page map not written.`);
+
+  fs.mkdirSync(path.dirname(mapFile), { recursive: true });
+  fs.writeFileSync(mapFile, JSON.stringify(pageMap, null, 2) + "\n", "utf8");
+
+  console.log(`Wrote ${pdfFile}`);
+  console.log(`Wrote ${mapFile} (${pageMap.length} pages mapped, pp. ${pageMap[0].page}–${pageMap.at(-1).page})`);
+}
+
+// Run as a script; imported (test/build_pdf.test.js) only the page-map helpers are used
+if (import.meta.url === pathToFileURL(process.argv[1] || "").href) {
+  main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,276 @@
+import fs from "node:fs";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { termShard, tokenize } from "../js/search.js";
+
+// Builds a static, sharded inverted index over a local folder of Akoma Ntoso XML.
+//
+//   node scripts/build_search_index.mjs [--xml data/xml] [--out data/search]
+//
+// Input files are found recursively; the sitting date comes from the file name
+// (e.g. 2026-02-05_mul@.xml, as written by fetch_debates_2026.py) and the house
+// from a dail/, seanad/ or committee folder in the path (default: dail).
+// Speeches are numbered in date order across houses, so the highest doc ids
+// are the newest. Each keeps only the opening of its text (`t`, up to
+// EXCERPT_CHARS) for the result list; the result links to the speech (`s`).
+//
+// Output (all plain JSON, served as-is by the static site):
+//   <out>/manifest.json         counts + shard layout
+//   <out>/docs/<n>.json         speeches: [{ d, h, s, n, x, t }]
+//   <out>/terms/<n>.json        { term: [docId, ...] }, the terms termShard() (js/search.js) puts in shard n
+//
+// Imported as a module (test/build_search_index.test.js) nothing runs;
+// buildSearchIndex is the whole build for one folder.
+
+const DOCS_PER_SHARD = 500;
+const TERMS_PER_SHARD = 500; // on average: terms are spread over the shards by hash
+const EXCERPT_CHARS = 400;
+
+function parseArgs(argv) {
+  const args = { xml: path.join("data", "xml"), out: path.join("data", "search") };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--xml") args.xml = argv[++i];
+    else if (a === "--out") args.out = argv[++i];
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  return args;
+}
+
+/* -----------------------------
+   Text helpers
+------------------------------ */
+
+// The first `max` chars of `s`, cut at a word break
+function excerpt(s, max = EXCERPT_CHARS) {
+  if (s.length <= max) return s;
+  const cut = s.lastIndexOf(" ", max);
+  return `${s.slice(0, cut > 0 ? cut : max)}…`;
+}
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (m, e) => {
+    const k = e.toLowerCase();
+    if (k === "amp") return "&";
+    if (k === "lt") return "<";
+    if (k === "gt") return ">";
+    if (k === "quot") return '"';
+    if (k === "apos") return "'";
+    const cp = k.startsWith("#x") ? parseInt(k.slice(2), 16) : parseInt(k.slice(1), 10);
+    return Number.isFinite(cp) ? String.fromCodePoint(cp) : m;
+  });
+}
+
+function parseAttrs(raw) {
+  const attrs = {};
+  for (const m of raw.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attrs[m[1]] = decodeEntities(m[2] ?? m[3] ?? "");
+  }
+  return attrs;
+}
+
+/* -----------------------------
+   XML -> speeches (small tag scanner; no DOM needed)
+------------------------------ */
+
+function extractSpeeches(xmlText) {
+  const src = xmlText.replace(/<\?[\s\S]*?\?>/g, "").replace(/<!--[\s\S]*?-->/g, "");
+  const speeches = [];
+
+  const stack = []; // local names of open elements
+  const headings = []; // heading text per open debateSection
+  let docDate = "";
+  let speech = null;
+  let capture = null; // "from" | "p" | "heading"
+  let buf = "";
+
+  const TOKEN = /<(\/?)(?:[\w.-]+:)?([\w.-]+)([^>]*?)(\/?)>|([^<]+)/g;
+  for (const m of src.matchAll(TOKEN)) {
+    const [, closing, name, rawAttrs, selfClosing, textChunk] = m;
+
+    if (textChunk !== undefined) {
+      if (capture) buf += decodeEntities(textChunk);
+      continue;
+    }
+
+    if (!closing) {
+      const attrs = parseAttrs(rawAttrs || "");
+      if (name === "docDate" && !docDate && attrs.date) docDate = attrs.date;
+
+      if (selfClosing) {
+        if (capture && name === "br") buf += " ";
+        continue;
+      }
+
+      stack.push(name);
+
+      if (name === "debateSection") {
+        headings.push("");
+      } else if (name === "speech") {
+        speech = { eId: attrs.eId || "", from: "", paras: [] };
+      } else if (!capture && speech && (name === "from" || name === "p")) {
+        capture = name;
+        buf = "";
+      } else if (!capture && !speech && name === "heading" && stack[stack.length - 2] === "debateSection") {
+        capture = "heading";
+        buf = "";
+      }
+      continue;
+    }
+
+    // closing tag
+    const open = stack.pop();
+    if (open !== name) continue; // tolerate oddities; the stack re-syncs on the next pair
+
+    if (capture === name) {
+      const t = buf.replace(/\s+/g, " ").trim();
+      if (capture === "from") speech.from = t;
+      else if (capture === "p" && t) speech.paras.push(t);
+      else if (capture === "heading" && headings.length) headings[headings.length - 1] = t;
+      capture = null;
+      buf = "";
+    } else if (capture && (name === "p" || name === "from" || name === "heading")) {
+      buf += " ";
+    }
+
+    if (name === "debateSection") headings.pop();
+    else if (name === "speech" && speech) {
+      speeches.push({ ...speech, heading: headings.filter(Boolean).pop() || "" });
+      speech = null;
+    }
+  }
+
+  return { docDate, speeches };
+}
+
+/* -----------------------------
+   File discovery
+------------------------------ */
+
+function listXmlFiles(dir) {
+  const out = [];
+  if (!fs.existsSync(dir)) return out;
+  for (const ent of fs.readdirSync(dir, { withFileTypes: true })) {
+    const p = path.join(dir, ent.name);
+    if (ent.isDirectory()) out.push(...listXmlFiles(p));
+    else if (ent.isFile() && ent.name.toLowerCase().endsWith(".xml")) out.push(p);
+  }
+  return out.sort();
+}
+
+function houseFromPath(file, root) {
+  const parts = path.relative(root, file).split(path.sep).slice(0, -1);
+  for (const p of parts) {
+    const low = p.toLowerCase();
+    if (low === "dail" || low === "seanad" || /committee/.test(low)) return low;
+  }
+  return "dail";
+}
+
+/* -----------------------------
+   Build
+------------------------------ */
+
+/** Indexes every XML file under `xml` into `out` and returns the manifest it wrote */
+export function buildSearchIndex({ xml, out }) {
+  const files = listXmlFiles(xml);
+  if (!files.length) throw new Error(`No XML files found under ${xml}`);
+
+  const docs = [];
+  const postings = new Map(); // term -> docId[] (ascending, unique)
+  const sittings = new Set();
+
+  const sources = [];
+  for (const file of files) {
+    const { docDate, speeches } = extractSpeeches(fs.readFileSync(file, "utf8"));
+    const date = (path.basename(file).match(/\d{4}-\d{2}-\d{2}/) || [docDate])[0];
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "")) {
+      console.warn(`Skipping ${file}: no date in file name or docDate`);
+      continue;
+    }
+    sources.push({ file, date, house: houseFromPath(file, xml), speeches });
+  }
+  // dail/ is walked before seanad/; ids must follow the date, not the folder
+  sources.sort(
+    (a, b) => a.date.localeCompare(b.date) || a.house.localeCompare(b.house) || a.file.localeCompare(b.file)
+  );
+
+  for (const { date, house, speeches } of sources) {
+    sittings.add(`${house}/${date}`);
+
+    for (const sp of speeches) {
+      if (!sp.eId || !sp.paras.length) continue;
+
+      const id = docs.length;
+      const body = sp.paras.join(" ");
+      const speaker = sp.from.replace(/\s*\d{4}.*$/, "").trim();
+      docs.push({
+        d: date,
+        h: house,
+        s: sp.eId,
+        n: speaker,
+        x: sp.heading,
+        t: excerpt(body),
+      });
+
+      for (const term of new Set(tokenize(`${speaker} ${body}`))) {
+        const list = postings.get(term);
+        if (list) list.push(id);
+        else postings.set(term, [id]);
+      }
+    }
+  }
+
+  // Fresh output (only the folders we own)
+  const docsDir = path.join(out, "docs");
+  const termsDir = path.join(out, "terms");
+  fs.rmSync(docsDir, { recursive: true, force: true });
+  fs.rmSync(termsDir, { recursive: true, force: true });
+  fs.mkdirSync(docsDir, { recursive: true });
+  fs.mkdirSync(termsDir, { recursive: true });
+
+  let docShards = 0;
+  for (let i = 0; i < docs.length; i += DOCS_PER_SHARD) {
+    fs.writeFileSync(path.join(docsDir, `${docShards}.json`), JSON.stringify(docs.slice(i, i + DOCS_PER_SHARD)));
+    docShards++;
+  }
+
+  // every shard is written, empty or not, so the reader never asks for a missing file
+  const termShards = Math.max(1, Math.ceil(postings.size / TERMS_PER_SHARD));
+  const shards = Array.from({ length: termShards }, () => ({}));
+  for (const term of Array.from(postings.keys()).sort()) {
+    shards[termShard(term, termShards)][term] = postings.get(term);
+  }
+  shards.forEach((obj, n) => fs.writeFileSync(path.join(termsDir, `${n}.json`), JSON.stringify(obj)));
+
+  const manifest = {
+    version: 3,
+    built: new Date().toISOString(),
+    sittings: sittings.size,
+    docs: docs.length,
+    terms: postings.size,
+    docsPerShard: DOCS_PER_SHARD,
+    docShards,
+    termShards,
+    termsPerShard: TERMS_PER_SHARD,
+    excerptChars: EXCERPT_CHARS,
+  };
+  fs.writeFileSync(path.join(out, "manifest.json"), JSON.stringify(manifest, null, 2) + "\n", "utf8");
+
+  console.log(`Indexed ${docs.length} speeches from ${sittings.size} sittings (${files.length} files).`);
+  console.log(`Wrote ${postings.size} terms in ${termShards} shards + ${docShards} doc shards to ${out}`);
+  return manifest;
+}
+
+function main() {
+  buildSearchIndex(parseArgs(process.argv.slice(2)));
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || "").href) {
+  try {
+    main();
+  } catch (e) {
+    console.error(e);
+    process.exit(1);
+  }
+}
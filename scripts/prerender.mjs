@@ -0,0 +1,254 @@
+import fs from "node:fs";
+import path from "node:path";
+import { JSDOM } from "jsdom";
+import { fillTitlePage, findDebateBody, sittingState, transformSitting, xmlParseError } from "../js/render.js";
+
+// Pre-renders static HTML pages for the sittings in the available-dates index,
+// using the same transform as the live reader (js/render.js) under jsdom.
+//
+//   node scripts/prerender.mjs [--house dail] [--date YYYY-MM-DD …] [--since YYYY-MM-DD] [--until YYYY-MM-DD]
+//                              [--xml data/xml] [--out sittings] [--offline] [--force]
+//
+// Each page is index.html with the title page and #main already filled, so it
+// paints (and indexes) without JavaScript or the proxy. It embeds the sitting's
+// state as <script type="application/json" id="sitting-state">; js/app.js picks
+// that up instead of fetching the XML, then adds the ToC, citations and the rest.
+//
+// XML is read from <xml>/<house>/<date>_mul@.xml (the same-origin mirror) and
+// otherwise fetched from data.oireachtas.ie, unless --offline. Page maps from
+// data/pagemap/ and parties from data/members.json (division breakdowns) are
+// used when present. Existing pages are kept unless --force.
+//
+// Output:
+//   <out>/<date>.html (other houses: <out>/<house>/<date>.html)
+
+const ROOT = process.cwd();
+const TEMPLATE = path.join(ROOT, "index.html");
+const PAGEMAP_DIR = path.join("data", "pagemap");
+const MEMBERS_FILE = path.join("data", "members.json");
+const FETCH_TIMEOUT_MS = 30000;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseArgs(argv) {
+  const args = { house: "dail", dates: [], since: "", until: "", xml: path.join("data", "xml"), out: "sittings", offline: false, force: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--house") args.house = (argv[++i] || "").toLowerCase();
+    else if (a === "--date") args.dates.push(argv[++i] || "");
+    else if (a === "--since") args.since = argv[++i] || "";
+    else if (a === "--until") args.until = argv[++i] || "";
+    else if (a === "--xml") args.xml = argv[++i];
+    else if (a === "--out") args.out = argv[++i];
+    else if (a === "--offline") args.offline = true;
+    else if (a === "--force") args.force = true;
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  if (!/^[a-z0-9_]+$/.test(args.house)) throw new Error(`Bad --house: ${args.house}`);
+  for (const d of [...args.dates, args.since, args.until].filter(Boolean)) {
+    if (!ISO_DATE.test(d)) throw new Error(`Bad date: ${d} (want YYYY-MM-DD)`);
+  }
+  return args;
+}
+
+function availableDatesPathFor(house) {
+  return house === "dail" ? path.join("data", "available-dates.json") : path.join("data", "available-dates", `${house}.json`);
+}
+
+function pageMapPathFor(house, date) {
+  return house === "dail" ? path.join(PAGEMAP_DIR, `${date}.json`) : path.join(PAGEMAP_DIR, house, `${date}.json`);
+}
+
+function pagePathFor({ out, house, date }) {
+  return house === "dail" ? path.join(out, `${date}.html`) : path.join(out, house, `${date}.html`);
+}
+
+// Same schemas as loadAvailableDates in js/app.js: { dates: [...], sittings: { date: meta } } or a
+// bare list; a sitting listed without an XML format (sittings[date].xml === false) is left out there too
+function readAvailableDates(house) {
+  const file = availableDatesPathFor(house);
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  const list = Array.isArray(data) ? data : Array.isArray(data?.dates) ? data.dates : [];
+  const sittings = (!Array.isArray(data) && data?.sittings) || {};
+  return list.filter((d) => ISO_DATE.test(d) && sittings[d]?.xml !== false).sort();
+}
+
+function readJsonOr(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+/* -----------------------------
+   XML (local mirror, else data.oireachtas.ie)
+------------------------------ */
+
+async function loadXml({ xml, house, offline }, date) {
+  const local = path.join(xml, house, `${date}_mul@.xml`);
+  if (fs.existsSync(local)) return fs.readFileSync(local, "utf8");
+  if (offline) throw new Error(`not in ${path.join(xml, house)} (--offline)`);
+
+  const url = `https://data.oireachtas.ie/akn/ie/debateRecord/${house}/${date}/debate/mul@/main.xml`;
+  const res = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!res.ok) throw new Error(`HTTP ${res.status} fetching ${url}`);
+  return await res.text();
+}
+
+/* -----------------------------
+   Page
+------------------------------ */
+
+// "2026-02-05" -> "5 February 2026" (formatLongDate in js/app.js)
+function longDate(iso) {
+  if (!iso) return "";
+  return new Date(iso + "T00:00:00Z").toLocaleDateString("en-IE", { day: "numeric", month: "long", year: "numeric", timeZone: "UTC" });
+}
+
+// The template's stylesheet/script/image paths are relative to the repo root
+function rebaseAssets(doc, rootPrefix) {
+  const attrs = [
+    ["link[href]", "href"],
+    ["script[src]", "src"],
+    ["img[src]", "src"],
+  ];
+  for (const [sel, attr] of attrs) {
+    for (const n of doc.querySelectorAll(sel)) {
+      const v = n.getAttribute(attr) || "";
+      if (!v || /^([a-z][a-z0-9+.-]*:|\/|#)/i.test(v)) continue;
+      n.setAttribute(attr, rootPrefix + v);
+    }
+  }
+}
+
+function renderPage({ template, xmlText, pageMap, parties, house, date, file, linkSitting }) {
+  const page = new JSDOM(template);
+  const doc = page.window.document;
+
+  // as in loadXMLFromDate: a parse error is fatal only when nothing readable is left
+  const xmlDoc = new page.window.DOMParser().parseFromString(xmlText, "application/xml");
+  const parseError = xmlParseError(xmlDoc);
+  if (parseError && !findDebateBody(xmlDoc)) throw new Error(`XML parse error: ${parseError}`);
+
+  const sitting = transformSitting(xmlDoc, { doc, pageMap, linkSitting, parties, lang: "en" });
+  const chamber = sitting.chamber || (house === "seanad" ? "Seanad Éireann" : "Dáil Éireann");
+  const dateText = longDate(sitting.dateISO || date);
+
+  const rootPrefix = path.relative(path.dirname(file), ROOT).split(path.sep).join("/");
+  rebaseAssets(doc, rootPrefix ? `${rootPrefix}/` : "");
+
+  const root = doc.documentElement;
+  root.setAttribute("data-prerendered", date);
+  root.setAttribute("data-house", house);
+
+  doc.title = `${chamber} debate, ${dateText} | Digital Volume`;
+
+  const edition = doc.querySelector(".edition");
+  if (edition) edition.setAttribute("data-chamber", chamber);
+  const runningChamber = doc.getElementById("runningChamber");
+  if (runningChamber) runningChamber.textContent = chamber;
+  const runningDate = doc.getElementById("runningDate");
+  if (runningDate) runningDate.textContent = dateText;
+  const picker = doc.getElementById("datePicker");
+  if (picker) picker.setAttribute("value", date);
+
+  fillTitlePage(doc, sitting.title, { proponent: chamber.toUpperCase() });
+  const main = doc.getElementById("main");
+  if (main) {
+    main.replaceChildren(sitting.body);
+    main.setAttribute("lang", sitting.language);
+  }
+
+  // Debates on this day, for search results
+  const topics = Array.from(doc.querySelectorAll("#main > .section > .section__heading"))
+    .map((h) => h.textContent.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+  const description = doc.createElement("meta");
+  description.setAttribute("name", "description");
+  description.setAttribute("content", `${chamber}, ${dateText}${topics.length ? `: ${topics.join("; ")}` : ""}`);
+  doc.head.appendChild(description);
+
+  // "</" would end the <script> early
+  const state = doc.createElement("script");
+  state.setAttribute("type", "application/json");
+  state.setAttribute("id", "sitting-state");
+  state.textContent = JSON.stringify(sittingState(sitting, { house, date })).replace(/<\//g, "<\\/");
+  const appScript = doc.querySelector('script[type="module"]');
+  doc.body.insertBefore(state, appScript || null);
+
+  const html = page.serialize();
+  page.window.close();
+  return { html, health: sitting.health };
+}
+
+/* -----------------------------
+   Build
+------------------------------ */
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const template = fs.readFileSync(TEMPLATE, "utf8");
+  const parties = readJsonOr(MEMBERS_FILE, null);
+
+  const available = readAvailableDates(args.house);
+  const known = new Set(available);
+  const dates = (args.dates.length ? args.dates : available).filter(
+    (d) => (!args.since || d >= args.since) && (!args.until || d <= args.until)
+  );
+
+  let written = 0;
+  let skipped = 0;
+  const failed = [];
+
+  for (const date of dates) {
+    const file = pagePathFor({ out: args.out, house: args.house, date });
+    if (!args.force && fs.existsSync(file)) {
+      skipped++;
+      continue;
+    }
+
+    // Other sittings link to their own pre-rendered page, else to the reader
+    const linkSitting = ({ date: d, house: h = "dail", hash = "" }) => {
+      const frag = hash ? `#${encodeURIComponent(hash)}` : "";
+      if (h === args.house && known.has(d)) {
+        const target = pagePathFor({ out: args.out, house: h, date: d });
+        return `${path.relative(path.dirname(file), target).split(path.sep).join("/")}${frag}`;
+      }
+      const rel = path.relative(path.dirname(file), path.join(ROOT, "index.html")).split(path.sep).join("/");
+      return `${rel}?date=${d}${h !== "dail" ? `&house=${encodeURIComponent(h)}` : ""}${frag}`;
+    };
+
+    try {
+      const xmlText = await loadXml(args, date);
+      const pageMap = readJsonOr(pageMapPathFor(args.house, date), []);
+      const { html, health } = renderPage({
+        template,
+        xmlText,
+        pageMap,
+        parties,
+        house: args.house,
+        date,
+        file,
+        linkSitting,
+      });
+
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, html, "utf8");
+      written++;
+      console.log(`Wrote ${file}`);
+      // validateSitting() in js/render.js; the reader shows the same list above the debate
+      for (const issue of health.issues) console.warn(`  ${issue.level}: ${issue.message}`);
+    } catch (e) {
+      failed.push(date);
+      console.warn(`[${date}] ${e.message || e}`);
+    }
+  }
+
+  console.log(`${written} written, ${skipped} already there, ${failed.length} failed (of ${dates.length}).`);
+  if (failed.length) process.exitCode = 1;
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -1,82 +1,450 @@
 import fs from "node:fs";
 import path from "node:path";
+import { pathToFileURL } from "node:url";
 
+// Refreshes the sitting indexes from the Oireachtas debates API.
+//
+//   node scripts/update_available_dates.mjs [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--dry-run]
+//                                           [--fixtures file.json | --record file.json]
+//
+// The window defaults to the last LOOKBACK_DAYS up to today. Every page of the
+// API listing is read (skip/limit until head.counts is reached), and each
+// advertised XML file is checked with a HEAD request before its date is listed.
+// Dates added to or removed from each index are printed; --dry-run prints the
+// same report without writing anything.
+//
+// Requests go through a small transport (method, url) -> { status, headers, body }.
+// --record saves every response the live run sees to a JSON file keyed by
+// "METHOD url"; --fixtures replays such a file instead of touching the network.
+// Imported as a module (test/update_available_dates.test.js) nothing runs; the
+// pieces below are exported so a fake transport can drive them.
+
+// Dáil keeps the original index path; Seanad + committees get data/available-dates/<house>.json
 const OUT = path.join("data", "available-dates.json");
+const OUT_DIR = path.join("data", "available-dates");
+
+function outPathFor(house, root = ".") {
+  return path.join(root, house === "dail" ? OUT : path.join(OUT_DIR, `${house}.json`));
+}
 
 // tweak these if you like:
 const LOOKBACK_DAYS = 400; // catches late XML arrivals/updates
+const PAGE_LIMIT = 500; // results per debates API request
+const REQUEST_TIMEOUT_MS = 30000;
+const MAX_RETRIES = 4; // network errors, 429 and 5xx
+const BACKOFF_MS = 1000; // doubled on each retry unless the server sends Retry-After
+const HEAD_CONCURRENCY = 4;
+
+const API = "https://api.oireachtas.ie/v1/debates";
+
+// Index schema. loadAvailableDates in js/app.js reads `dates` (and still accepts a bare list):
+//   {
+//     "version": 2,
+//     "house": "dail",
+//     "dates": ["1919-01-21", …],            // sittings that can be opened (XML advertised or not known otherwise)
+//     "sittings": {
+//       "2026-02-05": {
+//         "chamber": "Dáil Éireann",
+//         "xml": true,                        // formats.xml advertised and the file answers a HEAD request
+//         "volume": "1070", "number": "3",    // when the record carries them
+//         "status": "unrevised",              // "revised" | "unrevised"; absent when unknown
+//         "sections": ["Leaders' Questions", …]
+//       }
+//     }
+//   }
+// Dates carried over from the old bare-list files have no `sittings` entry until the API reports them again.
+const INDEX_VERSION = 2;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
 
 function iso(d) {
   return d.toISOString().slice(0, 10);
 }
 
-function parseExisting() {
+function parseArgs(argv) {
+  const args = { since: "", until: "", dryRun: false, fixtures: "", record: "" };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--since") args.since = argv[++i] || "";
+    else if (a === "--until") args.until = argv[++i] || "";
+    else if (a === "--dry-run") args.dryRun = true;
+    else if (a === "--fixtures") args.fixtures = argv[++i] || "";
+    else if (a === "--record") args.record = argv[++i] || "";
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+
+  const now = new Date();
+  if (!args.until) args.until = iso(now);
+  if (!args.since) args.since = iso(new Date(Date.parse(args.until) - LOOKBACK_DAYS * 24 * 60 * 60 * 1000));
+
+  for (const k of ["since", "until"]) {
+    if (!ISO_DATE.test(args[k]) || Number.isNaN(Date.parse(args[k]))) throw new Error(`Bad --${k}: ${args[k]} (want YYYY-MM-DD)`);
+  }
+  if (args.since > args.until) throw new Error(`--since ${args.since} is after --until ${args.until}`);
+  if (args.fixtures && args.record) throw new Error("--fixtures and --record can't be combined");
+  return args;
+}
+
+/** { dates: Set<date>, sittings: Map<date, meta> } from either schema; empty when missing */
+export function parseExisting(file) {
+  const out = { dates: new Set(), sittings: new Map() };
   try {
-    const raw = fs.readFileSync(OUT, "utf8");
-    const data = JSON.parse(raw);
-    if (Array.isArray(data)) return new Set(data.filter((x) => /^\d{4}-\d{2}-\d{2}$/.test(x)));
-    if (Array.isArray(data?.dates)) return new Set(data.dates.filter((x) => /^\d{4}-\d{2}-\d{2}$/.test(x)));
-    return new Set();
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    const list = Array.isArray(data) ? data : Array.isArray(data?.dates) ? data.dates : [];
+    for (const d of list) if (ISO_DATE.test(d)) out.dates.add(d);
+
+    for (const [d, meta] of Object.entries(data?.sittings || {})) {
+      if (ISO_DATE.test(d) && meta && typeof meta === "object") out.sittings.set(d, meta);
+    }
   } catch {
-    return new Set();
+    // first run for this house
+  }
+  return out;
+}
+
+// House slug as used in data.oireachtas.ie paths: dail, seanad, select_committee_on_…
+function houseSlugOf(record) {
+  const uris = [record?.formats?.xml?.uri, record?.uri, record?.debateSections?.[0]?.debateSection?.uri];
+  for (const u of uris) {
+    const m = String(u || "").match(/\/debateRecord\/([a-z0-9_]+)\//);
+    if (m) return m[1];
   }
+
+  const chamber = record?.chamber?.showAs || "";
+  if (chamber === "Dáil Éireann") return "dail";
+  if (chamber === "Seanad Éireann") return "seanad";
+  return "";
+}
+
+// "1070", 1070, { showAs: "1070" } -> "1070"
+function showAsText(v) {
+  if (v === null || v === undefined) return "";
+  if (typeof v === "object") return String(v.showAs ?? v.value ?? "").trim();
+  return String(v).trim();
 }
 
-// Minimal “best guess” pagination: if the API ever enforces pagination,
-// you can extend this (many Oireachtas endpoints include head.counts.skip/limit/total).
-async function fetchDebates(date_start, date_end) {
-  const url = `https://api.oireachtas.ie/v1/debates?date_start=${date_start}&date_end=${date_end}&limit=1000`;
-  const res = await fetch(url, { headers: { "accept": "application/json" } });
-  if (!res.ok) throw new Error(`HTTP ${res.status} from debates API`);
-  return await res.json();
+// "revised" | "unrevised" | "" from whichever status the record carries
+function statusOf(record) {
+  if (typeof record?.isRevised === "boolean") return record.isRevised ? "revised" : "unrevised";
+  const s = showAsText(record?.status || record?.revisionStatus).toLowerCase();
+  if (/unrevised/.test(s)) return "unrevised";
+  if (/revised|final/.test(s)) return "revised";
+  return "";
 }
 
-function extractDailDates(results) {
-  const out = new Set();
+/** What the index keeps about one sitting, from a debates API record (+ HEAD results by XML URI) */
+function sittingMetaOf(record, xmlFound = new Map()) {
+  const uri = record?.formats?.xml?.uri;
+  const meta = {
+    chamber: showAsText(record?.chamber) || showAsText(record?.house),
+    // an unanswered HEAD (null) keeps the API's word for it
+    xml: !!uri && xmlFound.get(uri) !== false,
+  };
+
+  const volume = showAsText(record?.volume);
+  const number = showAsText(record?.number ?? record?.issue);
+  const status = statusOf(record);
+  if (volume) meta.volume = volume;
+  if (number) meta.number = number;
+  if (status) meta.status = status;
+
+  meta.sections = (record?.debateSections || [])
+    .map((s) => showAsText(s?.debateSection?.showAs))
+    .filter(Boolean);
+  return meta;
+}
+
+// Two records for one house + date (e.g. separate debate types): keep everything either says
+function mergeSittingMeta(a, b) {
+  if (!a) return b;
+  const out = { ...a, ...b, xml: !!(a.xml || b.xml) };
+  out.sections = Array.from(new Set([...(a.sections || []), ...(b.sections || [])]));
+  return out;
+}
+
+// Map<house, Map<date, meta>>
+export function extractSittingsByHouse(results, xmlFound) {
+  const out = new Map();
   for (const d of results || []) {
-    const chamber = d?.debateRecord?.chamber?.showAs || "";
-    const date = d?.debateRecord?.date || "";
-    // If you want to *only* include those that advertise an XML format:
-    // const xmlUri = d?.debateRecord?.formats?.xml?.uri || "";
-    // if (chamber === "Dáil Éireann" && xmlUri) out.add(date);
-
-    if (chamber === "Dáil Éireann" && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      out.add(date);
-    }
+    const record = d?.debateRecord;
+    const house = houseSlugOf(record);
+    const date = record?.date || "";
+    if (!house || !ISO_DATE.test(date)) continue;
+
+    if (!out.has(house)) out.set(house, new Map());
+    const sittings = out.get(house);
+    sittings.set(date, mergeSittingMeta(sittings.get(date), sittingMetaOf(record, xmlFound)));
   }
   return out;
 }
 
-async function main() {
-  const existing = parseExisting();
+export function indexJson(house, { dates, sittings }) {
+  const sortedSittings = {};
+  for (const d of Array.from(sittings.keys()).sort()) sortedSittings[d] = sittings.get(d);
+  return {
+    version: INDEX_VERSION,
+    house,
+    dates: Array.from(dates).sort(),
+    sittings: sortedSittings,
+  };
+}
 
-  const now = new Date();
-  const start = new Date(now.getTime() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
 
-  const date_start = iso(start);
-  const date_end = iso(now);
+/* -----------------------------
+   HTTP: transports + retry
+------------------------------ */
+
+// A transport takes { method, url } and resolves to { status, headers, body }
+// (headers lower-cased, body text; "" for HEAD). Errors it throws are network
+// failures and are retried unless they carry retry: false.
+
+function liveTransport() {
+  return async ({ method, url }) => {
+    const res = await fetch(url, {
+      method,
+      headers: { accept: "application/json" },
+      redirect: "follow",
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    const headers = {};
+    const retryAfter = res.headers.get("retry-after");
+    if (retryAfter) headers["retry-after"] = retryAfter;
+    return { status: res.status, headers, body: method === "HEAD" ? "" : await res.text() };
+  };
+}
+
+const fixtureKey = ({ method, url }) => `${method} ${url}`;
+
+/** Replays responses saved by --record; a request that wasn't recorded fails without retrying. */
+export function fixtureTransport(file) {
+  const recorded = JSON.parse(fs.readFileSync(file, "utf8"));
+  return async (req) => {
+    const hit = recorded[fixtureKey(req)];
+    if (!hit) {
+      const e = new Error(`No recorded response for ${fixtureKey(req)} in ${file}`);
+      e.retry = false;
+      throw e;
+    }
+    return { status: hit.status, headers: hit.headers || {}, body: hit.body || "" };
+  };
+}
+
+/** Wraps a transport and keeps its last response per request; save() writes them for --fixtures. */
+function recordingTransport(inner, file) {
+  const recorded = new Map();
+  const transport = async (req) => {
+    const res = await inner(req);
+    recorded.set(fixtureKey(req), res);
+    return res;
+  };
+  transport.save = () => {
+    const out = {};
+    for (const k of Array.from(recorded.keys()).sort()) out[k] = recorded.get(k);
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(out, null, 2) + "\n", "utf8");
+    console.log(`Recorded ${recorded.size} responses to ${file}`);
+  };
+  return transport;
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// "120" -> 120000; HTTP dates are honoured too
+function retryAfterMs(value) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+export function createHttp(transport, { retries = MAX_RETRIES, backoffMs = BACKOFF_MS, sleep = delay } = {}) {
+  async function request(method, url) {
+    for (let attempt = 0; ; attempt++) {
+      let res = null;
+      let err = null;
+      try {
+        res = await transport({ method, url });
+      } catch (e) {
+        err = e;
+      }
+
+      const retryable = err ? err.retry !== false : res.status === 429 || res.status >= 500;
+      if (!retryable || attempt >= retries) {
+        if (err) throw err;
+        return res;
+      }
+
+      const wait = retryAfterMs(res?.headers?.["retry-after"]) ?? backoffMs * 2 ** attempt;
+      console.warn(`${method} ${url}: ${err ? err.message : `HTTP ${res.status}`}; retry ${attempt + 1}/${retries} in ${wait} ms`);
+      await sleep(wait);
+    }
+  }
+
+  return {
+    async json(url) {
+      const res = await request("GET", url);
+      if (res.status < 200 || res.status >= 300) throw new Error(`HTTP ${res.status} from ${url}`);
+      return JSON.parse(res.body);
+    },
+
+    /** true / false (404, 410) / null when the answer is unknown (other statuses, network failure) */
+    async exists(url) {
+      try {
+        const res = await request("HEAD", url);
+        if (res.status >= 200 && res.status < 300) return true;
+        if (res.status === 404 || res.status === 410) return false;
+        return null;
+      } catch {
+        return null;
+      }
+    },
+  };
+}
+
+/* -----------------------------
+   Debates API
+------------------------------ */
+
+function debatesUrl({ since, until, skip }) {
+  const u = new URL(API);
+  u.searchParams.set("date_start", since);
+  u.searchParams.set("date_end", until);
+  u.searchParams.set("skip", String(skip));
+  u.searchParams.set("limit", String(PAGE_LIMIT));
+  return u.toString();
+}
+
+// head.counts.debateCount (resultCount on some endpoints); null when absent
+function totalOf(head) {
+  const n = Number(head?.counts?.debateCount ?? head?.counts?.resultCount);
+  return Number.isFinite(n) ? n : null;
+}
+
+/** Every result in the window, one PAGE_LIMIT page at a time */
+export async function fetchDebates(http, { since, until }) {
+  const results = [];
+  let total = null;
+  for (let skip = 0; ; ) {
+    const data = await http.json(debatesUrl({ since, until, skip }));
+    const page = Array.isArray(data?.results) ? data.results : [];
+    total = totalOf(data?.head) ?? total;
+
+    results.push(...page);
+    skip += page.length;
+    if (!page.length || (total !== null ? skip >= total : page.length < PAGE_LIMIT)) break;
+  }
+
+  if (total !== null && results.length < total) {
+    throw new Error(`Debates API stopped after ${results.length} of ${total} results; indexes not updated.`);
+  }
+  return results;
+}
+
+/** Map<xml uri, true | false | null> from HEAD requests, HEAD_CONCURRENCY at a time */
+export async function verifyXml(http, results) {
+  const uris = Array.from(new Set((results || []).map((d) => d?.debateRecord?.formats?.xml?.uri).filter(Boolean)));
+  const found = new Map();
+  let next = 0;
+  const worker = async () => {
+    while (next < uris.length) {
+      const uri = uris[next++];
+      found.set(uri, await http.exists(uri));
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(HEAD_CONCURRENCY, uris.length) }, worker));
+  return found;
+}
+
+/* -----------------------------
+   Update + report
+------------------------------ */
 
-  const data = await fetchDebates(date_start, date_end);
-  const newDates = extractDailDates(data?.results);
+/** Applies the API's sittings for one house; returns the index and what changed in `dates`. */
+export function updateIndex(index, fetched, { since, until }) {
+  const before = new Set(index.dates);
+  for (const [d, meta] of fetched) {
+    // the API's latest word on a sitting replaces what was stored
+    index.sittings.set(d, meta);
+    if (meta.xml) index.dates.add(d);
+    else index.dates.delete(d);
+  }
+
+  const added = Array.from(index.dates).filter((d) => !before.has(d)).sort();
+  const removed = Array.from(before).filter((d) => !index.dates.has(d)).sort();
+  // indexed in the window but not listed this time: kept, since the API may just be lagging
+  const unlisted = Array.from(before)
+    .filter((d) => d >= since && d <= until && !fetched.has(d))
+    .sort();
+  return { index, added, removed, unlisted };
+}
+
+function dateList(dates, max = 12) {
+  const shown = dates.slice(0, max).join(", ");
+  return dates.length > max ? `${shown}, … (${dates.length - max} more)` : shown;
+}
 
-  let added = 0;
-  for (const d of newDates) {
-    if (!existing.has(d)) {
-      existing.add(d);
-      added++;
+function reportHouse(house, fetched, { added, removed, unlisted }) {
+  let noXml = 0;
+  for (const meta of fetched.values()) if (!meta.xml) noXml++;
+
+  console.log(`[${house}] ${fetched.size} sittings listed (${noXml} without XML).`);
+  if (added.length) console.log(`[${house}] + ${added.length} added: ${dateList(added)}`);
+  if (removed.length) console.log(`[${house}] - ${removed.length} removed: ${dateList(removed)}`);
+  if (!added.length && !removed.length) console.log(`[${house}] No date changes.`);
+  if (unlisted.length) console.log(`[${house}] ${unlisted.length} indexed dates not listed by the API (kept): ${dateList(unlisted)}`);
+}
+
+/**
+ * Fetches the window, checks the XML and updates (unless dryRun) each house's
+ * index under `root`. Returns Map<house, { file, added, removed, unlisted, json }>.
+ */
+export async function updateAvailableDates(http, { since, until, dryRun = false }, { root = "." } = {}) {
+  const args = { since, until };
+  const results = await fetchDebates(http, args);
+  const xmlFound = await verifyXml(http, results);
+
+  const missing = Array.from(xmlFound.values()).filter((ok) => ok === false).length;
+  const unknown = Array.from(xmlFound.values()).filter((ok) => ok === null).length;
+  console.log(`Fetched ${results.length} debate records; XML checked: ${xmlFound.size} (${missing} missing, ${unknown} unanswered).`);
+
+  const byHouse = extractSittingsByHouse(results, xmlFound);
+  const report = new Map();
+  for (const [house, fetched] of byHouse) {
+    const file = outPathFor(house, root);
+    const change = updateIndex(parseExisting(file), fetched, args);
+    reportHouse(house, fetched, change);
+
+    const json = indexJson(house, change.index);
+    report.set(house, { file, added: change.added, removed: change.removed, unlisted: change.unlisted, json });
+    if (dryRun) {
+      console.log(`[${house}] Dry run: ${file} not written (${json.dates.length} dates).`);
+      continue;
     }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(json, null, 2) + "\n", "utf8");
+    console.log(`Wrote ${file} (${json.dates.length} dates)`);
   }
+  return report;
+}
 
-  const sorted = Array.from(existing).sort();
-  fs.mkdirSync(path.dirname(OUT), { recursive: true });
-  fs.writeFileSync(OUT, JSON.stringify(sorted, null, 2) + "\n", "utf8");
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
 
-  console.log(`Fetched ${newDates.size} Dáil sitting dates in lookback window.`);
-  console.log(`Added ${added} new dates. Total now ${sorted.length}.`);
-  console.log(`Wrote ${OUT}`);
+  let transport = args.fixtures ? fixtureTransport(args.fixtures) : liveTransport();
+  if (args.record) transport = recordingTransport(transport, args.record);
+  // recorded responses come back instantly, so there is nothing to wait out
+  const http = createHttp(transport, args.fixtures ? { backoffMs: 0, sleep: async () => {} } : {});
+
+  console.log(`Window ${args.since} … ${args.until}${args.fixtures ? ` (fixtures: ${args.fixtures})` : ""}`);
+  await updateAvailableDates(http, args);
+  transport.save?.();
 }
 
-main().catch((e) => {
-  console.error(e);
-  process.exit(1);
-});
+if (import.meta.url === pathToFileURL(process.argv[1] || "").href) {
+  main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,141 @@
+// sw.js — Digital Volume service worker
+// ✅ Precaches the app shell (page, script, styles, harp, available dates)
+// ✅ Network-first for everything, so online readers always get fresh XML + dates
+// ✅ Debate XML is kept per sitting in its own cache ("Saved sittings" in the ⋯ menu manages it)
+// ✅ Other data (search shards, page maps, members) and static sitting pages share a bounded cache
+
+const SW_VERSION = "dv-v4";
+const SHELL_CACHE = `${SW_VERSION}-shell`;
+
+// Not versioned: saved sittings survive app updates. Keep in sync with XML_CACHE in js/app.js
+const XML_CACHE = "dv-xml";
+
+// data/… and sittings/… as last fetched; the oldest entries go past DATA_CACHE_MAX
+const DATA_CACHE = "dv-data";
+const DATA_CACHE_MAX = 200;
+
+const SHELL = [
+  "./",
+  "index.html",
+  "js/app.js",
+  "js/citations.js",
+  "js/i18n.js",
+  "js/render.js",
+  "js/search.js",
+  "css/styles.css",
+  "assets/harp.png",
+  "data/available-dates.json",
+  "manifest.webmanifest",
+];
+
+// Shell files by URL without the query (css/js carry ?v= cache busters)
+const SHELL_URLS = new Set(SHELL.map((p) => new URL(p, self.location.href).href));
+
+function isShell(url) {
+  return SHELL_URLS.has(`${url.origin}${url.pathname}`);
+}
+
+// Same-origin data files and pre-rendered sittings, relative to the app root (where sw.js is)
+function isData(url) {
+  const rel = url.href.slice(new URL("./", self.location.href).href.length);
+  return url.origin === self.location.origin && /^(data|sittings)\//.test(rel);
+}
+
+// Any source of a sitting's XML (proxy ?url=…, data.oireachtas.ie, local mirrors)
+function isDebateXml(url) {
+  let s = url.href;
+  try {
+    s = decodeURIComponent(s);
+  } catch {
+    // keep raw
+  }
+  return (
+    /debateRecord\/[a-z0-9_]+\/\d{4}-\d{2}-\d{2}\//.test(s) ||
+    /\d{4}-\d{2}-\d{2}_mul@\.xml(\?|$)/.test(s)
+  );
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys.filter((k) => k.endsWith("-shell") && k !== SHELL_CACHE).map((k) => caches.delete(k))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// Stamp the save time so the page can list when each sitting was stored
+async function stamped(res) {
+  const headers = new Headers(res.headers);
+  headers.set("x-dv-saved-at", new Date().toISOString());
+  return new Response(await res.clone().blob(), {
+    status: res.status,
+    statusText: res.statusText,
+    headers,
+  });
+}
+
+// Drop the oldest entries (keys() lists them in the order they were stored) down to `max`
+async function trim(cache, max) {
+  const keys = await cache.keys();
+  for (const request of keys.slice(0, Math.max(0, keys.length - max))) await cache.delete(request);
+}
+
+async function networkFirst(request, cacheName, { stamp = false, ignoreSearch = false, max = 0 } = {}) {
+  const cache = await caches.open(cacheName);
+  try {
+    const res = await fetch(request);
+    if (res.ok) {
+      // stored again, an entry moves to the end: trimming keeps the most recently fetched
+      await cache.delete(request, { ignoreSearch });
+      await cache.put(request, stamp ? await stamped(res) : res.clone());
+      if (max) await trim(cache, max);
+    }
+    return res;
+  } catch (err) {
+    const hit = await cache.match(request, { ignoreSearch });
+    if (hit) return hit;
+
+    // Offline navigation to ?date=… still gets the app shell
+    if (request.mode === "navigate") {
+      const shell = await caches.match("index.html", { ignoreSearch: true });
+      if (shell) return shell;
+    }
+    throw err;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  if (isDebateXml(url)) {
+    event.respondWith(networkFirst(request, XML_CACHE, { stamp: true }));
+    return;
+  }
+
+  // index.html?date=… is one entry: other queries of a shell file replace it
+  if (isShell(url)) {
+    event.respondWith(networkFirst(request, SHELL_CACHE, { ignoreSearch: true }));
+    return;
+  }
+
+  if (isData(url)) {
+    event.respondWith(networkFirst(request, DATA_CACHE, { ignoreSearch: true, max: DATA_CACHE_MAX }));
+  }
+});
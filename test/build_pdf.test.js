@@ -0,0 +1,39 @@
+// build_pdf.test.js — the page map scripts/build_pdf.mjs reads back from a
+// Vivliostyle PDF: viv-id- named destinations (name tree and catalog /Dests),
+// the topmost speech/paragraph per page, and --first-page numbering.
+// test/fixtures/pagemap.pdf is three pages with destinations laid out as
+// Vivliostyle writes them.
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { eidFromDestName, pageMapFromPdf } from "../scripts/build_pdf.mjs";
+
+const PDF = fileURLToPath(new URL("./fixtures/pagemap.pdf", import.meta.url));
+
+describe("PDF page map (scripts/build_pdf.mjs)", () => {
+  test("eidFromDestName decodes the escaped document URL", () => {
+    assert.equal(
+      eidFromDestName("viv-id-http:003a:002f:002f127:002e0:002e0:002e1:002findex:002ehtml:0023para_12"),
+      "para_12"
+    );
+    assert.equal(eidFromDestName("viv-id-http:003a:002f:002fexample:002eie:002f"), "");
+    assert.equal(eidFromDestName("toc-entry"), "");
+  });
+
+  test("the topmost speech or paragraph per page; a speech beats its first paragraph", async () => {
+    assert.deepEqual(await pageMapFromPdf(PDF), [
+      { page: 1, eid: "spk_1" },
+      { page: 2, eid: "para_3" },
+      { page: 3, eid: "para_4" },
+    ]);
+  });
+
+  test("pages are numbered from the volume's first page", async () => {
+    const map = await pageMapFromPdf(PDF, { firstPage: 449 });
+    assert.deepEqual(
+      map.map((r) => r.page),
+      [449, 450, 451]
+    );
+  });
+});
@@ -0,0 +1,98 @@
+// build_search_index.test.js — scripts/build_search_index.mjs over the fixture
+// sittings (test/fixtures/data/xml) plus a Seanad sitting written here: the
+// manifest, the hashed term shards and the doc shards it writes.
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { termShard, tokenize } from "../js/search.js";
+import { buildSearchIndex } from "../scripts/build_search_index.mjs";
+
+const XML = fileURLToPath(new URL("./fixtures/data/xml", import.meta.url));
+
+// Between the 1985 and 2025 sittings by date, after them by folder
+const SEANAD = `<?xml version="1.0" encoding="UTF-8"?>
+<akomaNtoso xmlns="http://docs.oasis-open.org/legaldocml/ns/akn/3.0/CSD13">
+  <debate name="debate">
+    <debateBody>
+      <debateSection name="debate" eId="dbsect_1">
+        <heading>Housing in Cork</heading>
+        <speech eId="spk_1">
+          <from>Senator A</from>
+          <p eId="para_1">${"The housing report for Cork was laid. ".repeat(20)}</p>
+        </speech>
+      </debateSection>
+    </debateBody>
+  </debate>
+</akomaNtoso>
+`;
+
+const readJson = (...parts) => JSON.parse(fs.readFileSync(path.join(...parts), "utf8"));
+
+describe("search index (scripts/build_search_index.mjs)", () => {
+  let root;
+  let out;
+  let manifest;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "search-"));
+    const xml = path.join(root, "xml");
+    fs.cpSync(XML, xml, { recursive: true });
+    fs.mkdirSync(path.join(xml, "seanad"));
+    fs.writeFileSync(path.join(xml, "seanad", "2000-05-10_mul@.xml"), SEANAD);
+
+    out = path.join(root, "search");
+    const log = console.log;
+    console.log = () => {};
+    try {
+      manifest = buildSearchIndex({ xml, out });
+    } finally {
+      console.log = log;
+    }
+  });
+
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  test("the manifest counts sittings, speeches and terms and gives the shard layout", () => {
+    assert.deepEqual(readJson(out, "manifest.json"), manifest);
+    assert.equal(manifest.version, 3);
+    assert.equal(manifest.sittings, 4);
+    assert.equal(manifest.docs, 11);
+    assert.equal(manifest.docShards, 1);
+    assert.equal(manifest.termShards, Math.ceil(manifest.terms / manifest.termsPerShard));
+    assert.equal(fs.readdirSync(path.join(out, "terms")).length, manifest.termShards);
+  });
+
+  test("speeches are numbered by sitting date across houses", () => {
+    const docs = readJson(out, "docs", "0.json");
+    assert.deepEqual(
+      docs.map((d) => `${d.h}/${d.d}`).filter((k, i, all) => all.indexOf(k) === i),
+      ["dail/1919-01-21", "dail/1985-11-20", "seanad/2000-05-10", "dail/2025-10-08"]
+    );
+    const { t, ...seanad } = docs[7];
+    assert.deepEqual(seanad, { d: "2000-05-10", h: "seanad", s: "spk_1", n: "Senator A", x: "Housing in Cork" });
+    assert.equal(docs[0].t, "Ba mhaith liom go dtoghfadh sibh Ceann Comhairle don Dáil seo.");
+  });
+
+  test("each speech keeps an excerpt of its text, cut at a word", () => {
+    const { t } = readJson(out, "docs", "0.json")[7];
+    assert.ok(t.length <= manifest.excerptChars + 1, t);
+    assert.ok(t.startsWith("The housing report for Cork was laid. "), t);
+    assert.match(t, / report…$/);
+  });
+
+  test("each term is in the shard termShard() names, with its speeches in id order", () => {
+    const shards = Array.from({ length: manifest.termShards }, (_, n) => readJson(out, "terms", `${n}.json`));
+    const where = (term) => shards.findIndex((s) => Object.hasOwn(s, term));
+
+    for (const term of ["brugha", "cork", "dail"]) assert.equal(where(term), termShard(term, manifest.termShards));
+    assert.deepEqual(shards[where("brugha")].brugha, [0, 1, 2]);
+    assert.deepEqual(shards[where("cork")].cork, [7]);
+    assert.equal(where("the"), -1, "stopwords are left out");
+    assert.equal(shards.reduce((n, s) => n + Object.keys(s).length, 0), manifest.terms);
+    assert.deepEqual(tokenize("Dáil Éireann"), ["dail", "eireann"]);
+  });
+});
@@ -0,0 +1,203 @@
+// helpers.js — shared setup for the test suite (node --test, jsdom)
+//
+//   parseXml(text)             -> XML Document, as DOMParser gives the reader
+//   htmlDocument()             -> empty HTML Document to render into
+//   fixtureXml(date)           -> test/fixtures/data/xml/dail/<date>_mul@.xml as text
+//   fixtureJson(rel)           -> test/fixtures/data/<rel>, parsed
+//   openReader({ query, … })   -> runs js/app.js against index.html in jsdom
+//   prerenderedPage(date)      -> what scripts/prerender.mjs puts in a static page, for openReader
+//   closeReaders()             -> closes those windows (after() in each test file)
+//   notImplemented(window)     -> what jsdom could not do there (navigation, reload), in order
+//   matchSnapshot(name, html)  -> compares with test/__snapshots__/<name>.html
+//
+// openReader imports a fresh copy of js/app.js with jsdom's window installed as
+// the global scope. Its fetches of data/… are answered from test/fixtures/data/
+// (a missing file is a 404); anything else (proxy, HF, data.oireachtas.ie) is
+// refused, so the reader has to be opened with ?source=local.
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { JSDOM, VirtualConsole } from "jsdom";
+import { sittingState, transformSitting } from "../js/render.js";
+
+const TEST_DIR = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(TEST_DIR, "..");
+const FIXTURES = path.join(TEST_DIR, "fixtures");
+const SNAPSHOTS = path.join(TEST_DIR, "__snapshots__");
+const APP_URL = new URL("../js/app.js", import.meta.url);
+const READY_TIMEOUT_MS = 5000;
+
+// UPDATE_SNAPSHOTS=1 npm test (npm run test:update) rewrites the stored snapshots
+const UPDATE = !!process.env.UPDATE_SNAPSHOTS;
+
+export function parseXml(text) {
+  const { window } = new JSDOM("");
+  return new window.DOMParser().parseFromString(text, "application/xml");
+}
+
+export function htmlDocument() {
+  return new JSDOM("<!doctype html><html><body></body></html>").window.document;
+}
+
+export function fixtureXml(date, house = "dail") {
+  return fs.readFileSync(path.join(FIXTURES, "data", "xml", house, `${date}_mul@.xml`), "utf8");
+}
+
+export function fixtureJson(rel) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, "data", rel), "utf8"));
+}
+
+/* -----------------------------
+   Snapshots
+------------------------------ */
+
+const BLOCK_TAGS = "section|article|header|div|p|h[1-6]|blockquote|table|thead|tbody|tr|ul|ol|li|nav|aside|figure|pre";
+const BLOCK_OPEN = new RegExp(`<(${BLOCK_TAGS})\\b`, "g");
+const BLOCK_CLOSE = new RegExp(`</(${BLOCK_TAGS})>`, "g");
+
+/** One block element per line, so a snapshot diff points at the paragraph that changed */
+export function formatHtml(html) {
+  return String(html)
+    .replace(BLOCK_OPEN, "\n<$1")
+    .replace(BLOCK_CLOSE, "</$1>\n")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+export function matchSnapshot(name, html) {
+  const file = path.join(SNAPSHOTS, `${name}.html`);
+  const actual = formatHtml(html) + "\n";
+
+  if (UPDATE || !fs.existsSync(file)) {
+    fs.mkdirSync(SNAPSHOTS, { recursive: true });
+    fs.writeFileSync(file, actual, "utf8");
+    return;
+  }
+  assert.equal(actual, fs.readFileSync(file, "utf8"), `snapshot ${name} changed (UPDATE_SNAPSHOTS=1 to accept)`);
+}
+
+/* -----------------------------
+   The reader (js/app.js) in jsdom
+------------------------------ */
+
+// Node's own versions stay (URL, AbortController, timers); the DOM comes from the window
+const FROM_WINDOW = ["window", "self", "document", "navigator", "location", "history", "localStorage", "fetch", "Blob", "FileReader"];
+
+let CURRENT = null; // the window the globals point at
+const OPEN = [];
+const NOT_IMPLEMENTED = new WeakMap(); // window -> jsdom "Not implemented: …" messages
+let loads = 0;
+
+function installGlobals(window) {
+  CURRENT = window;
+  const names = new Set(FROM_WINDOW);
+  for (const name of Object.getOwnPropertyNames(window)) {
+    if (!(name in globalThis)) names.add(name);
+  }
+  for (const name of names) {
+    const desc = Object.getOwnPropertyDescriptor(globalThis, name);
+    if (desc && !desc.configurable) continue;
+    Object.defineProperty(globalThis, name, { get: () => CURRENT[name], configurable: true });
+  }
+}
+
+function fixtureFetch(window, files) {
+  const dataRoot = new URL("data/", new URL("../", APP_URL)).href;
+
+  return async (input, opts = {}) => {
+    opts.signal?.throwIfAborted();
+    const url = new URL(String(input), window.location.href);
+    const href = url.href.split(/[?#]/)[0];
+    if (!href.startsWith(dataRoot)) throw new TypeError(`fetch refused in tests: ${url.href}`);
+
+    const rel = decodeURIComponent(href.slice(dataRoot.length));
+    if (Object.prototype.hasOwnProperty.call(files, rel)) {
+      const body = files[rel];
+      if (body === null) return new Response("", { status: 404 });
+      return new Response(typeof body === "string" ? body : JSON.stringify(body), { status: 200 });
+    }
+
+    const file = path.join(FIXTURES, "data", rel);
+    if (!fs.existsSync(file)) return new Response("", { status: 404 });
+    return new Response(fs.readFileSync(file), { status: 200 });
+  };
+}
+
+function whenRendered(window) {
+  const doc = window.document;
+  const started = Date.now();
+
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      const html = doc.documentElement;
+      // a sitting has loaded, or this is the cross-date search page (?view=search)
+      const done =
+        (html.hasAttribute("data-xml-source") && !html.hasAttribute("data-loading")) ||
+        !!doc.querySelector("#main > .xsearch");
+      const failed = !!doc.querySelector("#main > pre.debug");
+      if (done || failed) return setTimeout(resolve, 20); // let post-render work settle
+      if (Date.now() - started > READY_TIMEOUT_MS) return reject(new Error("reader did not finish rendering"));
+      setTimeout(poll, 10);
+    };
+    poll();
+  });
+}
+
+/** A fixture sitting rendered in English as a static page carries it: { main, state } */
+export function prerenderedPage(date, house = "dail") {
+  const doc = htmlDocument();
+  const sitting = transformSitting(parseXml(fixtureXml(date, house)), { doc, lang: "en" });
+  doc.body.replaceChildren(sitting.body);
+  return { main: doc.body.innerHTML, state: sittingState(sitting, { house, date }) };
+}
+
+/**
+ * Opens index.html?<query> and waits for the sitting to render. `files` overrides
+ * fixtures by path under data/ (a value of null is a 404); `prerendered`
+ * (prerenderedPage) makes it a static page. Returns the window.
+ */
+export async function openReader({ query = "", files = {}, storage = {}, prerendered = null } = {}) {
+  let html = fs.readFileSync(path.join(ROOT, "index.html"), "utf8").replace(/<script type="module"[^>]*><\/script>/, "");
+  if (prerendered) {
+    const state = JSON.stringify(prerendered.state).replace(/<\//g, "<\\/");
+    html = html.replace("</body>", `<script type="application/json" id="sitting-state">${state}</script></body>`);
+  }
+  const url = `http://localhost/index.html${query ? `?${query.replace(/^\?/, "")}` : ""}`;
+  // location.assign()/reload() are "not implemented" in jsdom: kept for notImplemented(), not printed
+  const calls = [];
+  const virtualConsole = new VirtualConsole().forwardTo(console, { jsdomErrors: "none" });
+  virtualConsole.on("jsdomError", (e) => {
+    if (e.type === "not-implemented") calls.push(e.message);
+    else console.error(e.type === "unhandled-exception" ? e.cause.stack : e.message);
+  });
+  const dom = new JSDOM(html, { url, pretendToBeVisual: true, virtualConsole });
+  const { window } = dom;
+  NOT_IMPLEMENTED.set(window, calls);
+  if (prerendered) window.document.getElementById("main").innerHTML = prerendered.main;
+
+  for (const [k, v] of Object.entries(storage)) window.localStorage.setItem(k, v);
+  window.fetch = fixtureFetch(window, files);
+  window.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+  window.scrollTo = () => {};
+  window.Element.prototype.scrollIntoView = function () {};
+
+  OPEN.push(window);
+  installGlobals(window);
+  await import(`${APP_URL.href}?load=${++loads}`);
+  await whenRendered(window);
+  return window;
+}
+
+/** jsdom's "Not implemented: …" messages for an openReader window (e.g. a page navigation) */
+export function notImplemented(window) {
+  return NOT_IMPLEMENTED.get(window) || [];
+}
+
+/** Closes every window openReader made (their timers would keep the test process alive) */
+export function closeReaders() {
+  for (const window of OPEN.splice(0)) window.close();
+}
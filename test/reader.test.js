@@ -0,0 +1,377 @@
+// reader.test.js — js/app.js end to end in jsdom over the fixture sittings:
+// rendered HTML snapshots, speech citations, which sitting a ?date= opens, the
+// division party breakdown, the document health panel and the interface language.
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { after, describe, test } from "node:test";
+import {
+  closeReaders,
+  fixtureJson,
+  matchSnapshot,
+  notImplemented,
+  openReader,
+  prerenderedPage,
+} from "./helpers.js";
+
+after(closeReaders);
+
+// 1919 (Irish, no columns), 1985 (columns, quote, link to another sitting), 2025 (division, table, page map)
+const SITTINGS = ["1919-01-21", "1985-11-20", "2025-10-08"];
+
+/** Title page, contents and debate as rendered */
+function renderedHtml(window) {
+  const doc = window.document;
+  return ["#volno", "#pubdate", ".titlepage", "#toc", "#main"]
+    .map((sel) => doc.querySelector(sel)?.outerHTML || "")
+    .join("\n");
+}
+
+/** Opens the citation popover of a speech and returns its text in `style` */
+function citeSpeech(window, spkId, style = "") {
+  const doc = window.document;
+  doc.getElementById(spkId).click();
+  const select = doc.querySelector(".cite-pop__style");
+  if (style) {
+    select.value = style;
+    select.dispatchEvent(new window.Event("change", { bubbles: true }));
+  }
+  return doc.querySelector(".cite-pop__text").value;
+}
+
+describe("rendered sittings", () => {
+  for (const date of SITTINGS) {
+    test(date, async () => {
+      const window = await openReader({ query: `source=local&date=${date}` });
+      assert.equal(window.document.documentElement.getAttribute("data-xml-source"), "local");
+      matchSnapshot(date, renderedHtml(window));
+    });
+  }
+});
+
+describe("citations (makeSpeechCitation)", () => {
+  const ACCESSED = / accessed \d{1,2} \w+ \d{4}$/;
+
+  test("1985: OSCOLA with volume, number and a column range", async () => {
+    const window = await openReader({ query: "source=local&date=1985-11-20" });
+    const text = citeSpeech(window, "spk_2");
+    assert.match(text, ACCESSED);
+    assert.equal(
+      text.replace(ACCESSED, ""),
+      "Charles J. Haughey, Dáil Deb 20 November 1985, vol 362, no 4, cols 2851–2 " +
+        "<https://www.oireachtas.ie/en/debates/debate/dail/1985-11-20/speech/2/>"
+    );
+    assert.match(citeSpeech(window, "spk_4"), /, col 2853 </);
+  });
+
+  test("1985: Harvard and APA carry the columns; the style is remembered", async () => {
+    const window = await openReader({ query: "source=local&date=1985-11-20" });
+    assert.match(
+      citeSpeech(window, "spk_2", "harvard"),
+      /^Haughey, C\. J\. \(1985\) Dáil Debates, vol\. 362, no\. 4, 20 November 1985, cols\. 2851–2 \[Revised\]\./
+    );
+    window.document.getElementById("spk_2").click(); // closes it
+    assert.equal(
+      citeSpeech(window, "spk_1", "apa"),
+      "FitzGerald, G. (1985, November 20). Anglo-Irish Agreement: Motion [Speech]. Dáil Debates, 362(4), cols. 2850–1. " +
+        "Houses of the Oireachtas. https://www.oireachtas.ie/en/debates/debate/dail/1985-11-20/speech/1/"
+    );
+    assert.equal(window.localStorage.getItem("dv_citation_style"), "apa");
+  });
+
+  test("2025: unrevised sitting, no columns", async () => {
+    const window = await openReader({
+      query: "source=local&date=2025-10-08",
+      storage: { dv_citation_style: "oscola" },
+    });
+    assert.equal(
+      citeSpeech(window, "spk_1").replace(ACCESSED, ""),
+      "Paschal Donohoe, Dáil Deb 8 October 2025, vol 1068, no 5 (unrevised) " +
+        "<https://www.oireachtas.ie/en/debates/debate/dail/2025-10-08/speech/1/>"
+    );
+  });
+
+  test("1919: speaker by member, volume and number from the Irish preface", async () => {
+    const window = await openReader({ query: "source=local&date=1919-01-21" });
+    const bib = citeSpeech(window, "spk_1", "bibtex");
+    assert.match(bib, /^@misc\{dail-1919-01-21-spk_1,/);
+    assert.match(bib, /author = \{Brugha, Cathal\}/);
+    assert.match(bib, /howpublished = \{Dáil Debates, vol\.~1, no\.~1\}/);
+    assert.doesNotMatch(bib, /pages = /);
+  });
+});
+
+describe("which sitting ?date= opens (nearestAvailableOnOrBefore)", () => {
+  const opened = async (query, files) => {
+    const window = await openReader({ query: `source=local${query}`, files });
+    return window.document.getElementById("datePicker").value;
+  };
+
+  test("a sitting day opens as asked", async () => {
+    assert.equal(await opened("&date=1985-11-20"), "1985-11-20");
+  });
+
+  test("a day between sittings opens the one before it", async () => {
+    assert.equal(await opened("&date=1985-11-21"), "1985-11-20");
+    assert.equal(await opened("&date=2025-10-07"), "1985-11-20");
+  });
+
+  test("before the first sitting opens the first", async () => {
+    assert.equal(await opened("&date=1900-01-01"), "1919-01-21");
+  });
+
+  test("after the last sitting, or no date at all, opens the latest", async () => {
+    assert.equal(await opened("&date=2030-01-01"), "2025-10-08");
+    assert.equal(await opened(""), "2025-10-08");
+  });
+
+  test("an empty or missing index leaves the requested date alone", async () => {
+    const empty = { "available-dates.json": { version: 2, house: "dail", dates: [] } };
+    assert.equal(await opened("&date=1985-11-20", empty), "1985-11-20");
+    assert.equal(await opened("&date=1919-01-21", { "available-dates.json": null }), "1919-01-21");
+  });
+});
+
+describe("page and column hashes", () => {
+  const hint = async (hash) => {
+    const window = await openReader({ query: `source=local&date=2025-10-08${hash}` });
+    return window.document.getElementById("loadHint").textContent;
+  };
+
+  test("#page-N on a page that has a marker says nothing", async () => {
+    assert.equal(await hint("#page-2"), "");
+  });
+
+  test("#page-N without one says where it runs on from, or that it is missing", async () => {
+    assert.equal(await hint("#page-3"), "Page 3 runs on from p. 2.");
+    assert.equal(await hint("#page-0"), "Page 0 is not in this sitting.");
+  });
+});
+
+describe("in-sitting search", () => {
+  const find = (window, query) => {
+    const doc = window.document;
+    const input = doc.getElementById("searchInput");
+    input.value = query;
+    input.dispatchEvent(new window.Event("input", { bubbles: true }));
+    input.dispatchEvent(new window.KeyboardEvent("keydown", { key: "Enter", bubbles: true }));
+    return doc.querySelector("mark.search-hit--current");
+  };
+
+  test("a match hidden by the speaker filter clears it", async () => {
+    const window = await openReader({ query: "source=local&date=1985-11-20&speaker=Charles%20J.%20Haughey" });
+    const main = window.document.getElementById("main");
+    assert.equal(main.getAttribute("data-speaker-filter"), "Charles J. Haughey");
+
+    assert.equal(find(window, "what the Agreement").closest("[id]").id, "para_4");
+    assert.equal(main.getAttribute("data-speaker-filter"), "Charles J. Haughey", "Haughey's own speech: kept");
+
+    assert.equal(find(window, "Hillsborough").closest("[id]").id, "para_2");
+    assert.equal(main.hasAttribute("data-speaker-filter"), false);
+    assert.equal(new URL(window.location.href).searchParams.get("speaker"), null);
+  });
+});
+
+describe("cross-date search (?view=search)", () => {
+  const LONG =
+    `${"Earlier business of the House was taken. ".repeat(8)}` +
+    `The housing report for Cork was laid. ${"More. ".repeat(30)}`;
+  // ids in folder order (dail/ before seanad/), as indexes built before date ordering were
+  const INDEX = {
+    "search/manifest.json": { version: 3, docsPerShard: 2000, termShards: 1 },
+    "search/terms/0.json": { cork: [0, 1, 2] },
+    "search/docs/0.json": [
+      { d: "2024-03-05", h: "dail", s: "spk_1", n: "A", x: "", t: "Cork, 2024." },
+      { d: "2025-10-08", h: "dail", s: "spk_2", n: "B", x: "", t: LONG },
+      { d: "2025-01-15", h: "seanad", s: "spk_3", n: "C", x: "", t: "Cork, Seanad." },
+    ],
+  };
+
+  const results = async (query) => {
+    const window = await openReader({ query: `source=local&view=search&q=${query}`, files: INDEX });
+    const doc = window.document;
+    for (let i = 0; i < 200 && !doc.querySelector(".xsearch__item"); i++) {
+      await new Promise((r) => setTimeout(r, 10));
+    }
+    return Array.from(doc.querySelectorAll(".xsearch__item"));
+  };
+
+  test("Go on the search page loads the sitting as a new page", async () => {
+    const window = await openReader({ query: "source=local&view=search", files: INDEX });
+    const doc = window.document;
+    const before = window.history.length;
+    doc.getElementById("datePicker").value = "1985-11-20";
+    doc.getElementById("loadBtn").click();
+    await new Promise((r) => setTimeout(r, 50));
+
+    assert.deepEqual(notImplemented(window), ["Not implemented: navigation to another Document"]);
+    assert.equal(window.history.length, before, "no in-place history entry");
+    assert.ok(doc.querySelector("#main > .xsearch"), "search page still shown until the new page loads");
+    assert.equal(doc.documentElement.hasAttribute("data-xml-source"), false);
+  });
+
+  test("newest first by each speech's date, across houses", async () => {
+    const items = await results("cork");
+    assert.deepEqual(
+      items.map((li) => li.querySelector(".xsearch__link").getAttribute("href").match(/date=([\d-]+)/)[1]),
+      ["2025-10-08", "2025-01-15", "2024-03-05"]
+    );
+  });
+
+  test("the snippet is cut around the first match", async () => {
+    const [first] = await results("cork");
+    const snippet = first.querySelector(".xsearch__snippet");
+    assert.equal(snippet.querySelector("mark").textContent, "Cork");
+    assert.match(snippet.textContent, /^….*The housing report for Cork was laid\..*…$/);
+    assert.ok(snippet.textContent.length <= 222, snippet.textContent);
+  });
+});
+
+describe("division party breakdown", () => {
+  const QUERY = "source=local&date=2025-10-08";
+
+  test("parties from data/members.json, largest first", async () => {
+    const doc = (await openReader({ query: QUERY })).document;
+    assert.deepEqual(
+      Array.from(doc.querySelectorAll(".division__party-table tbody tr"), (tr) => tr.getAttribute("data-party")),
+      ["FF", "SF", "FG"]
+    );
+    assert.equal(doc.querySelector(".division__against"), null);
+  });
+
+  test("without the file the division renders as before", async () => {
+    const doc = (await openReader({ query: QUERY, files: { "members.json": null } })).document;
+    assert.ok(doc.querySelector(".division__table"));
+    assert.equal(doc.querySelector(".division__parties"), null);
+    assert.equal(doc.querySelector(".division__table td[data-party]"), null);
+  });
+
+  test("a vote against the party majority is listed and marked in the table", async () => {
+    const parties = fixtureJson("members.json");
+    parties.members["David-Cullinane.D.2016-10-03"].party = "FF";
+    const doc = (await openReader({ query: QUERY, files: { "members.json": parties } })).document;
+
+    assert.deepEqual(
+      Array.from(doc.querySelectorAll(".division__against li"), (li) => li.textContent),
+      ["David Cullinane (Fianna Fáil) voted Níl; most of the party voted Tá."]
+    );
+    const cell = doc.querySelector("td.division__vote--against");
+    assert.equal(cell.getAttribute("data-member"), "DavidCullinane");
+    assert.equal(cell.getAttribute("title"), "David Cullinane, Fianna Fáil (against the party majority)");
+  });
+});
+
+describe("document health panel", () => {
+  const XML = "xml/dail/2025-10-08_mul@.xml";
+  const source = fs.readFileSync(new URL(`./fixtures/data/${XML}`, import.meta.url), "utf8");
+
+  test("a clean sitting shows no panel", async () => {
+    const window = await openReader({ query: "source=local&date=2025-10-08" });
+    assert.equal(window.document.getElementById("docHealth"), null);
+  });
+
+  test("issues are listed above the debate with links to where they are", async () => {
+    const xml = source
+      .replace('<p eId="para_3">The Minister', '<p eId="para_3"><blink>The</blink> Minister')
+      .replace('<speech eId="spk_3"', "<speech");
+    const window = await openReader({ query: "source=local&date=2025-10-08", files: { [XML]: xml } });
+    const doc = window.document;
+
+    const panel = doc.getElementById("docHealth");
+    assert.ok(panel, "panel rendered");
+    assert.equal(panel.nextElementSibling, doc.getElementById("main"));
+    assert.equal(panel.querySelector(".doc-health__summary").textContent, "Document health: 2 warnings");
+    assert.deepEqual(
+      Array.from(panel.querySelectorAll(".doc-health__item"), (li) => li.getAttribute("data-kind")),
+      ["unknown-element", "missing-eid"]
+    );
+    assert.deepEqual(
+      Array.from(panel.querySelectorAll(".doc-health__where"), (a) => a.getAttribute("href")),
+      ["#para_3", "#dbsect_3"]
+    );
+    // the rest of the sitting still rendered
+    assert.ok(doc.querySelector("#main .division"));
+  });
+
+  test("XML that does not parse shows the error instead of crashing", async () => {
+    const window = await openReader({
+      query: "source=local&date=2025-10-08",
+      files: { [XML]: source.replace("</speech>", "") },
+    });
+    const main = window.document.getElementById("main");
+    assert.match(main.textContent, /XML parse error for 2025-10-08: /);
+    assert.ok(main.querySelector("pre.debug"));
+  });
+});
+
+describe("interface language (?lang= / dv_lang)", () => {
+  const QUERY = "source=local&date=2025-10-08";
+
+  test("English by default; the switch offers Irish", async () => {
+    const doc = (await openReader({ query: QUERY })).document;
+    assert.equal(doc.documentElement.getAttribute("lang"), "en");
+    assert.equal(doc.querySelector(".loader__label").textContent, "Select a date");
+    const sw = doc.getElementById("langSwitch");
+    assert.equal(sw.textContent, "Gaeilge");
+    assert.equal(sw.getAttribute("lang"), "ga");
+  });
+
+  test("?lang=ga: Irish strings; the record keeps its own language", async () => {
+    const window = await openReader({ query: `${QUERY}&lang=ga` });
+    const doc = window.document;
+    assert.equal(doc.documentElement.getAttribute("lang"), "ga");
+    assert.equal(doc.querySelector(".loader__label").textContent, "Roghnaigh dáta");
+    assert.equal(doc.getElementById("loadBtn").textContent, "Téigh");
+    assert.equal(doc.querySelector(".toc__toggle").textContent, "CLÁR ÁBHAIR ▸");
+    assert.equal(doc.getElementById("langSwitch").textContent, "English");
+    assert.match(doc.querySelector(".division").textContent, /Íoslódáil:/);
+
+    assert.equal(doc.getElementById("main").getAttribute("lang"), "en");
+    assert.equal(doc.getElementById("sum_1").getAttribute("lang"), "ga");
+  });
+
+  test("dv_lang is used without ?lang= and written back to the URL", async () => {
+    const window = await openReader({ query: QUERY, storage: { dv_lang: "ga" } });
+    assert.equal(window.document.documentElement.getAttribute("lang"), "ga");
+    assert.equal(new URL(window.location.href).searchParams.get("lang"), "ga");
+  });
+
+  test("only the switch remembers the language", async () => {
+    const window = await openReader({ query: `${QUERY}&lang=ga` });
+    assert.equal(window.localStorage.getItem("dv_lang"), null, "not saved at startup");
+
+    window.document.getElementById("langSwitch").click();
+    assert.equal(window.localStorage.getItem("dv_lang"), "en");
+    assert.equal(new URL(window.location.href).searchParams.get("lang"), "en");
+    assert.deepEqual(notImplemented(window), ["Not implemented: navigation to another Document"], "reloads");
+  });
+
+  test("an unknown ?lang= falls back to English", async () => {
+    const window = await openReader({ query: `${QUERY}&lang=fr` });
+    assert.equal(window.document.documentElement.getAttribute("lang"), "en");
+  });
+
+  test("a static page is kept in English and rendered again in Irish", async () => {
+    const prerendered = prerenderedPage("2025-10-08");
+
+    let doc = (await openReader({ query: "source=local", prerendered })).document;
+    assert.equal(doc.documentElement.getAttribute("data-xml-source"), "prerendered");
+    assert.match(doc.querySelector(".division").textContent, /Download:/);
+
+    doc = (await openReader({ query: "source=local&lang=ga", prerendered })).document;
+    assert.notEqual(doc.documentElement.getAttribute("data-xml-source"), "prerendered");
+    assert.match(doc.querySelector(".division").textContent, /Íoslódáil:/);
+  });
+
+  test("in Irish, a static page whose XML can't be fetched keeps its English markup", async () => {
+    const window = await openReader({
+      query: "source=local&lang=ga",
+      files: { "xml/dail/2025-10-08_mul@.xml": null },
+      prerendered: prerenderedPage("2025-10-08"),
+    });
+    const doc = window.document;
+    assert.equal(doc.documentElement.getAttribute("data-xml-source"), "prerendered");
+    assert.match(doc.querySelector(".division").textContent, /Download:/);
+    assert.equal(doc.querySelector(".loader__label").textContent, "Roghnaigh dáta");
+  });
+});
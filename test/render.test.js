@@ -0,0 +1,436 @@
+// render.test.js — js/render.js on its own: inline spacing, summary classes,
+// the title page, columns, divisions and their party breakdown, language
+// (lang attributes and interface strings), namespaces and the document health check,
+// over small XML snippets and the fixtures.
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  NS,
+  buildColumnMap,
+  buildPartyLookup,
+  detectLanguage,
+  divisionPartyBreakdown,
+  elementLanguage,
+  inlineNodes,
+  parsePairs,
+  readTitlePage,
+  renderContext,
+  renderSittingHTML,
+  renderSummary,
+  sittingLanguage,
+  transformSitting,
+  validateSitting,
+  xmlParseError,
+} from "../js/render.js";
+import { fixtureJson, fixtureXml, htmlDocument, parseXml } from "./helpers.js";
+
+const doc = htmlDocument();
+const members = new Map([
+  [
+    "CathalBrugha",
+    {
+      eId: "CathalBrugha",
+      showAs: "Cathal Brugha",
+      uri: "https://data.oireachtas.ie/ie/oireachtas/member/id/Cathal-Brugha.D.1919-01-21",
+    },
+  ],
+]);
+const ctx = renderContext({ doc, members });
+
+/** <p> content -> the HTML inlineNodes makes of it */
+function inline(xml) {
+  const p = parseXml(`<p xmlns="${NS}">${xml}</p>`).documentElement;
+  const div = doc.createElement("div");
+  div.append(...inlineNodes(ctx, p));
+  return div.innerHTML;
+}
+
+/** <summary> -> its rendered <p> (outerHTML), or null when it is dropped */
+function summary(xml, cls = "") {
+  const s = parseXml(`<summary xmlns="${NS}" eId="sum_1"${cls ? ` class="${cls}"` : ""}>${xml}</summary>`).documentElement;
+  return renderSummary(ctx, s)?.outerHTML ?? null;
+}
+
+describe("inlineNodes spacing", () => {
+  test("collapses runs of whitespace and trims the ends", () => {
+    assert.equal(inline("  lots   of\n   space  "), "lots of space");
+  });
+
+  test("puts a space between text and emphasis the source ran together", () => {
+    assert.equal(inline("a<b>bold</b>b"), "a <strong>bold</strong> b");
+    assert.equal(inline("<b>A</b><i>B</i>"), "<strong>A</strong> <em>B</em>");
+  });
+
+  test("no space before closing punctuation or after an opening bracket", () => {
+    assert.equal(inline("<i>word</i>, next"), "<em>word</em>, next");
+    assert.equal(inline("(<i>Interruptions</i>)"), "(<em>Interruptions</em>)");
+  });
+
+  test("quotes become curly quotes with no inner spaces", () => {
+    assert.equal(inline("He said <quote>no</quote>."), "He said “no”.");
+  });
+
+  test("semantic elements keep the source whitespace around them", () => {
+    assert.equal(inline("x<sup>2</sup>y"), "x<sup>2</sup>y");
+    assert.equal(
+      inline('Molaim <person refersTo="#CathalBrugha">Cathal Brugha</person>\'s motion'),
+      'Molaim <span class="person" data-refers-to="CathalBrugha" data-member="CathalBrugha" ' +
+        'data-member-uri="https://data.oireachtas.ie/ie/oireachtas/member/id/Cathal-Brugha.D.1919-01-21" ' +
+        'title="Cathal Brugha">Cathal Brugha</span>\'s motion'
+    );
+    assert.equal(
+      inline('see <ref href="/ie/oireachtas/bill/2025/67">the Bill</ref>.'),
+      'see <a class="ref" href="https://www.oireachtas.ie/en/bills/bill/2025/67/" rel="noopener" ' +
+        'data-href="/ie/oireachtas/bill/2025/67">the Bill</a>.'
+    );
+  });
+
+  test("empty content gives no nodes", () => {
+    assert.equal(inline("   "), "");
+    assert.equal(inline("<i> </i>"), "");
+  });
+});
+
+describe("renderSummary classification", () => {
+  test("plain procedural lines are just .summary", () => {
+    assert.equal(summary("Question put."), '<p class="summary" id="sum_1">Question put.</p>');
+  });
+
+  test("division lines", () => {
+    assert.match(summary("The Dáil divided: Tá, 3; Níl, 2."), /class="summary summary--divisionline"/);
+    assert.match(summary("The Seanad divided:"), /summary--divisionline/);
+    assert.match(summary("The Committee divided: Tá, 5; Níl, 4."), /summary--divisionline/);
+    assert.doesNotMatch(summary("The Dáil divided on the motion yesterday."), /summary--divisionline/);
+  });
+
+  test("interruptions and the prayer are italic", () => {
+    assert.match(summary("(Interruptions)."), /class="summary summary--italic"/);
+    assert.match(summary("(<i>Interruption</i>)"), /summary--italic/);
+    assert.equal(
+      summary("Paidir agus Machnamh.", "center"),
+      '<p class="summary center summary--italic" id="sum_1" lang="ga">Paidir agus Machnamh.</p>'
+    );
+    assert.match(summary("Prayer and Reflection.", "center"), /summary--italic/);
+  });
+
+  test("the chair formula is centred but not italic", () => {
+    assert.equal(
+      summary("Chuaigh an Ceann Comhairle i gceannas ar 12 meán lae.", "center"),
+      '<p class="summary center" id="sum_1" lang="ga">Chuaigh an Ceann Comhairle i gceannas ar 12 meán lae.</p>'
+    );
+  });
+
+  test("SECTION n in capitals and empty summaries are dropped", () => {
+    assert.equal(summary("SECTION 1"), null);
+    assert.equal(summary(""), null);
+    assert.notEqual(summary("Section 1"), null);
+  });
+});
+
+describe("title page", () => {
+  test("1919: Irish-only preface, volume and number from Imleabhar/Uimhir", () => {
+    const title = readTitlePage(parseXml(fixtureXml("1919-01-21")));
+    assert.equal(title.volume, "1");
+    assert.equal(title.number, "1");
+    assert.equal(title.revised, null);
+  });
+
+  test("1985: revised", () => {
+    const title = readTitlePage(parseXml(fixtureXml("1985-11-20")));
+    assert.deepEqual([title.volume, title.number, title.revised], ["362", "4", true]);
+  });
+
+  test("2025: unrevised", () => {
+    const title = readTitlePage(parseXml(fixtureXml("2025-10-08")));
+    assert.deepEqual([title.volume, title.number, title.revised], ["1068", "5", false]);
+  });
+});
+
+describe("columns (pre-2012)", () => {
+  test("column markers map to targets and every speech gets a start/end column", () => {
+    const { byTarget, speeches } = buildColumnMap(parseXml(fixtureXml("1985-11-20")));
+    assert.equal(byTarget.get("dbsect_1"), "Col. 2850");
+    assert.equal(byTarget.get("spk_4"), "Col. 2853");
+    assert.deepEqual(speeches.get("spk_1"), { start: 2850, end: 2851 });
+    assert.deepEqual(speeches.get("spk_2"), { start: 2851, end: 2852 });
+    assert.deepEqual(speeches.get("spk_4"), { start: 2853, end: 2853 });
+  });
+
+  test("modern sittings have none", () => {
+    const { byTarget, speeches } = buildColumnMap(parseXml(fixtureXml("2025-10-08")));
+    assert.equal(byTarget.size, 0);
+    assert.equal(speeches.size, 0);
+  });
+});
+
+describe("divisions", () => {
+  test("2025: tally, tellers and voters resolved to members", () => {
+    const { divisions } = transformSitting(parseXml(fixtureXml("2025-10-08")), { doc });
+    assert.equal(divisions.length, 1);
+    const [d] = divisions;
+    assert.deepEqual(d.tallies, { ta: 3, nil: 2, staon: 0 });
+    assert.match(d.question, /^Question put/);
+    assert.deepEqual(d.tellers.ta, ["Mary Butler", "Jack Chambers"]);
+
+    const teller = d.votes.ta.find((v) => v.member?.eId === "MaryButler");
+    assert.ok(teller?.teller, "Mary Butler is marked as a teller");
+    assert.ok(d.votes.ta.every((v) => v.member), "every Tá vote resolves to a member");
+  });
+});
+
+describe("division parties (data/members.json)", () => {
+  const parties = fixtureJson("members.json");
+  const division = (xml, files = parties) =>
+    transformSitting(parseXml(xml), { doc, parties: files }).divisions[0];
+  const counts = (rows) => rows.map((r) => [r.party?.key ?? null, r.ta, r.nil, r.staon, r.paired]);
+
+  test("lookup by member code, by name, and by the party held on the sitting date", () => {
+    const data = {
+      parties: { LAB: { name: "Labour Party" }, IND: { name: "Independent" } },
+      members: {
+        "Ann-Other.D.2011-03-09": {
+          name: "Ann Other",
+          parties: [
+            { party: "LAB", from: "2011-03-09", to: "2016-02-03" },
+            { party: "IND", from: "2016-02-04" },
+          ],
+        },
+      },
+    };
+    const member = { showAs: "Ann Other", href: "/ie/oireachtas/member/id/Ann-Other.D.2011-03-09" };
+
+    assert.equal(buildPartyLookup(data, "2012-01-01")({ member }).name, "Labour Party");
+    const later = buildPartyLookup(data, "2020-01-01");
+    assert.equal(later({ member }).key, "IND");
+    assert.ok(later({ member }).independent);
+    assert.equal(later({ name: "Other, Ann." }).key, "IND");
+    assert.equal(later({ name: "Someone Else" }), null);
+    assert.equal(buildPartyLookup(data, "2005-01-01")({ member }), null);
+    assert.equal(buildPartyLookup({ parties: {} }), null);
+  });
+
+  test("2025: counts by party and lobby, tellers included and marked", () => {
+    const d = division(fixtureXml("2025-10-08"));
+    const rows = divisionPartyBreakdown(d);
+    assert.deepEqual(counts(rows), [
+      ["FF", 2, 0, 0, 0],
+      ["SF", 0, 2, 0, 0],
+      ["FG", 1, 0, 0, 0],
+    ]);
+    assert.deepEqual(rows[0].tellers, { ta: 2, nil: 0, staon: 0 });
+    assert.equal(rows[0].majority, "ta");
+    assert.ok(Object.values(d.votes).flat().every((v) => !v.againstParty));
+
+    const { html } = renderSittingHTML(parseXml(fixtureXml("2025-10-08")), { doc, parties });
+    assert.match(html, /<td class="division__majority" title="including 2 tellers">2†<\/td>/);
+    assert.doesNotMatch(html, /division__against/);
+  });
+
+  test("a member voting against most of their party is flagged; ties and independents are not", () => {
+    const moved = structuredClone(parties);
+    moved.members["David-Cullinane.D.2016-10-03"].party = "FF"; // FF: Tá 2, Níl 1
+    moved.members["Paschal-Donohoe.D.2011-03-09"].party = "IND";
+    const d = division(fixtureXml("2025-10-08"), moved);
+
+    const flagged = Object.values(d.votes)
+      .flat()
+      .filter((v) => v.againstParty)
+      .map((v) => v.member.eId);
+    assert.deepEqual(flagged, ["DavidCullinane"]);
+
+    moved.members["Mary-Butler.D.2016-10-03"].party = "SF"; // FF and SF: Tá 1, Níl 1
+    const tied = division(fixtureXml("2025-10-08"), moved);
+    assert.deepEqual(
+      divisionPartyBreakdown(tied).map((r) => [r.party.key, r.majority]),
+      [
+        ["FF", ""],
+        ["SF", ""],
+        ["IND", ""],
+      ]
+    );
+    assert.ok(Object.values(tied.votes).flat().every((v) => !v.againstParty));
+  });
+
+  test("members the file does not list are counted under no party", () => {
+    const partial = structuredClone(parties);
+    delete partial.members["Paschal-Donohoe.D.2011-03-09"];
+    const rows = divisionPartyBreakdown(division(fixtureXml("2025-10-08"), partial));
+    assert.deepEqual(rows.at(-1).party, null);
+    assert.equal(rows.at(-1).ta, 1);
+  });
+
+  test("no party file, no breakdown", () => {
+    const d = division(fixtureXml("2025-10-08"), null);
+    assert.deepEqual(divisionPartyBreakdown(d), []);
+    assert.doesNotMatch(renderSittingHTML(parseXml(fixtureXml("2025-10-08")), { doc }).html, /division__parties/);
+  });
+
+  test("pairs", () => {
+    assert.deepEqual(parsePairs("Pairs: Deputies Mary Lou McDonald and Verona Murphy; Ann Other agus B. Éigin."), [
+      ["Mary Lou McDonald", "Verona Murphy"],
+      ["Ann Other", "B. Éigin"],
+    ]);
+
+    const xml = fixtureXml("2025-10-08").replace(
+      '<summary eId="sum_8">',
+      '<summary eId="sum_7a">Pairs: Deputies Mary Lou McDonald and Verona Murphy.</summary><summary eId="sum_8">'
+    );
+    const d = division(xml);
+    assert.deepEqual(
+      d.pairs.map((pair) => pair.map((v) => [v.member?.eId, v.party?.key])),
+      [
+        [
+          ["MaryLouMcDonald", "SF"],
+          ["VeronaMurphy", "IND"],
+        ],
+      ]
+    );
+    const rows = divisionPartyBreakdown(d);
+    assert.equal(rows.find((r) => r.party?.key === "SF").paired, 1);
+    assert.equal(rows.find((r) => r.party?.key === "IND").paired, 1);
+  });
+});
+
+describe("language", () => {
+  const xmlEl = (xml) => parseXml(`<debate xmlns="${NS}">${xml}</debate>`).documentElement.firstElementChild;
+
+  test("detectLanguage: clear Irish or English, else nothing", () => {
+    assert.equal(detectLanguage("Ba mhaith liom go dtoghfadh sibh Ceann Comhairle agus tá sé anseo."), "ga");
+    assert.equal(detectLanguage("Whereas the Irish people is by right a free people:"), "en");
+    assert.equal(detectLanguage("Cathal Brugha"), "");
+    assert.equal(detectLanguage("the agus"), "");
+  });
+
+  test("elementLanguage: xml:lang wins, then the text, then xml:lang above", () => {
+    assert.equal(elementLanguage(xmlEl('<p xml:lang="ga">The Minister said that it was so.</p>')), "ga");
+    assert.equal(elementLanguage(xmlEl("<p>Tá an tAire anseo agus tá sé réidh.</p>")), "ga");
+    const outer = parseXml(`<debate xmlns="${NS}" xml:lang="ga"><p>Cathal Brugha</p></debate>`).documentElement;
+    assert.equal(elementLanguage(outer.firstElementChild), "ga");
+  });
+
+  test("sittingLanguage: 1919 reads as Irish, the others as English", () => {
+    assert.equal(sittingLanguage(parseXml(fixtureXml("1919-01-21"))), "ga");
+    assert.equal(sittingLanguage(parseXml(fixtureXml("1985-11-20"))), "en");
+    assert.equal(sittingLanguage(parseXml(fixtureXml("2025-10-08"))), "en");
+  });
+
+  test("blocks in the other language get lang; bilingual headings do not", () => {
+    const html = renderSittingHTML(parseXml(fixtureXml("1919-01-21")), { doc }).html;
+    assert.match(html, /<p class="speech__p speech__p--first" id="para_4" lang="en">/);
+    assert.match(html, /<p class="speech__p speech__p--first" id="para_1">/);
+
+    const section = (heading) =>
+      renderSittingHTML(
+        parseXml(`<akomaNtoso xmlns="${NS}"><debate><debateBody><debateSection name="debate" eId="dbsect_1">
+          <heading>${heading}</heading></debateSection></debateBody></debate></akomaNtoso>`),
+        { doc }
+      ).html;
+    assert.match(section("Ceisteanna ó Cheannairí - Leaders' Questions"), /<h2 class="section__heading">/);
+    assert.match(section("Ceisteanna agus Freagraí"), /<h2 class="section__heading" lang="ga">/);
+  });
+
+  test("division chrome in the interface language", () => {
+    const html = renderSittingHTML(parseXml(fixtureXml("2025-10-08")), { doc, lang: "ga" }).html;
+    assert.match(html, /Íoslódáil:/);
+    assert.doesNotMatch(html, /Download:/);
+  });
+});
+
+describe("namespaces", () => {
+  const FINAL = "http://docs.oasis-open.org/legaldocml/ns/akn/3.0";
+
+  test("a sitting in the final AKN 3.0 namespace renders the same as CSD13", () => {
+    const csd13 = fixtureXml("2025-10-08");
+    const final = csd13.replace(NS, FINAL);
+    assert.notEqual(final, csd13);
+
+    const a = renderSittingHTML(parseXml(csd13), { doc });
+    const b = renderSittingHTML(parseXml(final), { doc });
+    assert.equal(b.html, a.html);
+    assert.deepEqual(b.title, a.title);
+    assert.deepEqual(b.health.issues, []);
+  });
+
+  test("no namespace at all still renders, with a warning", () => {
+    const bare = fixtureXml("1919-01-21").replace(` xmlns="${NS}"`, "");
+    const { html, health } = renderSittingHTML(parseXml(bare), { doc });
+    assert.match(html, /id="spk_1"/);
+    assert.deepEqual(
+      health.issues.map((i) => i.kind),
+      ["namespace"]
+    );
+  });
+});
+
+describe("validateSitting", () => {
+  const sitting = (body) =>
+    parseXml(`<akomaNtoso xmlns="${NS}"><debate>
+      <preface><block name="date_en"><docDate date="2025-10-08">8 October 2025</docDate></block></preface>
+      ${body}
+    </debate></akomaNtoso>`);
+  const kinds = (xmlDoc) => validateSitting(xmlDoc).issues.map((i) => i.kind);
+
+  test("the fixtures are clean", () => {
+    for (const date of ["1919-01-21", "1985-11-20", "2025-10-08"]) {
+      assert.deepEqual(validateSitting(parseXml(fixtureXml(date))).issues, [], date);
+    }
+  });
+
+  test("unknown elements, missing eIds and empty speeches", () => {
+    const { issues } = validateSitting(
+      sitting(`<debateBody><debateSection name="debate" eId="dbsect_1">
+        <speech eId="spk_1"><from>A</from><p eId="para_1">One <blink>two</blink> <blink>three</blink></p></speech>
+        <speech><from>B</from><p>No ids here.</p></speech>
+        <speech eId="spk_3"><from>C</from><p eId="para_3"> </p></speech>
+      </debateSection></debateBody>`)
+    );
+
+    const byKind = Object.fromEntries(issues.map((i) => [`${i.kind}:${i.message.split(" ")[0]}`, i]));
+    assert.equal(byKind["unknown-element:<blink>"].count, 2);
+    assert.deepEqual(byKind["unknown-element:<blink>"].examples, ["para_1"]);
+    assert.equal(byKind["missing-eid:<speech>"].count, 1);
+    assert.deepEqual(byKind["missing-eid:<speech>"].examples, ["dbsect_1"]);
+    assert.equal(byKind["missing-eid:<p>"].count, 1);
+    assert.deepEqual(byKind["empty-speech:1"].examples, ["spk_3"]);
+    assert.ok(issues.every((i) => i.level === "warning"));
+  });
+
+  test("no debateBody: the sections found elsewhere render, with a warning", () => {
+    const xmlDoc = sitting(`<debateSection name="debate" eId="dbsect_1"><heading>Orphan</heading>
+      <speech eId="spk_1"><from>A</from><p eId="para_1">Still here.</p></speech></debateSection>`);
+    assert.deepEqual(kinds(xmlDoc), ["structure"]);
+
+    const { html } = renderSittingHTML(xmlDoc, { doc });
+    assert.match(html, /<h2 class="section__heading">Orphan<\/h2>/);
+    assert.match(html, /Still here\./);
+  });
+
+  test("speeches straight under debateBody go in an untitled section", () => {
+    const { html } = renderSittingHTML(
+      sitting(`<debateBody><speech eId="spk_1"><from>A</from><p eId="para_1">Loose.</p></speech></debateBody>`),
+      { doc }
+    );
+    assert.match(html, /^<section class="section" data-section=""><article class="speech" id="spk_1"/);
+  });
+
+  test("nothing to read", () => {
+    const xmlDoc = sitting("");
+    const { issues } = validateSitting(xmlDoc);
+    assert.deepEqual(
+      issues.map((i) => [i.level, i.kind]),
+      [["error", "structure"]]
+    );
+    assert.equal(renderSittingHTML(xmlDoc, { doc }).html, "<p>No debateBody found.</p>");
+  });
+
+  test("malformed XML is reported, not thrown", () => {
+    const broken = parseXml(fixtureXml("1985-11-20").replace("</speech>", ""));
+    assert.notEqual(xmlParseError(broken), "");
+
+    const { issues } = validateSitting(broken);
+    assert.equal(issues[0].kind, "parse");
+    assert.equal(issues[0].level, "error");
+    assert.match(issues[0].message, /^XML parse error: /);
+  });
+});
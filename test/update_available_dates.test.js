@@ -0,0 +1,176 @@
+// update_available_dates.test.js — scripts/update_available_dates.mjs driven
+// through fake transports: paging the debates API, retries (429/5xx,
+// Retry-After), HEAD checks of the XML, and the dates each index gains and
+// loses. test/fixtures/debates-api.json is laid out as --record writes it
+// (two pages, a sitting split over two records, a Seanad XML that 404s).
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { beforeEach, describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import {
+  createHttp,
+  extractSittingsByHouse,
+  fetchDebates,
+  fixtureTransport,
+  updateAvailableDates,
+  updateIndex,
+  verifyXml,
+} from "../scripts/update_available_dates.mjs";
+
+const FIXTURES = fileURLToPath(new URL("./fixtures/debates-api.json", import.meta.url));
+const WINDOW = { since: "2025-10-01", until: "2025-10-31" };
+const NO_WAIT = { backoffMs: 0, sleep: async () => {} };
+
+/** The fixture transport, noting each request as "METHOD url" */
+function recorded() {
+  const inner = fixtureTransport(FIXTURES);
+  const seen = [];
+  const transport = (req) => {
+    seen.push(`${req.method} ${req.url}`);
+    return inner(req);
+  };
+  return { transport, seen };
+}
+
+/** Answers requests from a list, in order */
+function scripted(...responses) {
+  const calls = [];
+  const transport = async (req) => {
+    calls.push(req.method);
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    return { headers: {}, body: "", ...next };
+  };
+  return { transport, calls };
+}
+
+describe("update_available_dates", () => {
+  beforeEach((t) => {
+    // the script reports as it goes
+    t.mock.method(console, "log", () => {});
+    t.mock.method(console, "warn", () => {});
+  });
+
+  test("fetchDebates pages with skip until head.counts is reached", async () => {
+    const { transport, seen } = recorded();
+    const results = await fetchDebates(createHttp(transport, NO_WAIT), WINDOW);
+    assert.equal(results.length, 4);
+    assert.deepEqual(
+      seen.map((r) => new URL(r.split(" ")[1]).searchParams.get("skip")),
+      ["0", "2"]
+    );
+  });
+
+  test("fetchDebates refuses a listing that stops short", async () => {
+    const page = (results) => ({
+      status: 200,
+      body: JSON.stringify({ head: { counts: { debateCount: 5 } }, results }),
+    });
+    const { transport } = scripted(page([{}, {}]), page([]));
+    await assert.rejects(fetchDebates(createHttp(transport, NO_WAIT), WINDOW), /stopped after 2 of 5 results/);
+  });
+
+  test("429 waits out Retry-After; 5xx and network errors back off; 4xx is final", async () => {
+    const sleeps = [];
+    const sleep = async (ms) => sleeps.push(ms);
+
+    let { transport, calls } = scripted({ status: 429, headers: { "retry-after": "2" } }, { status: 200, body: "[]" });
+    assert.deepEqual(await createHttp(transport, { sleep }).json("https://api.example/a"), []);
+    assert.deepEqual(sleeps.splice(0), [2000]);
+    assert.equal(calls.length, 2);
+
+    ({ transport, calls } = scripted({ status: 503 }, new Error("socket hang up"), { status: 200, body: "{}" }));
+    assert.deepEqual(await createHttp(transport, { sleep, backoffMs: 100 }).json("https://api.example/b"), {});
+    assert.deepEqual(sleeps.splice(0), [100, 200]);
+
+    ({ transport, calls } = scripted({ status: 503 }, { status: 503 }, { status: 503 }));
+    await assert.rejects(createHttp(transport, { sleep, retries: 2 }).json("https://api.example/c"), /HTTP 503/);
+    assert.equal(calls.length, 3);
+    assert.deepEqual(sleeps.splice(0), [1000, 2000], "default backoff doubles");
+
+    ({ transport, calls } = scripted({ status: 400 }));
+    await assert.rejects(createHttp(transport, { sleep }).json("https://api.example/d"), /HTTP 400/);
+    assert.equal(calls.length, 1);
+    assert.deepEqual(sleeps, []);
+  });
+
+  test("verifyXml: HEAD 2xx found, 404 missing, no answer unknown", async () => {
+    const { transport, seen } = recorded();
+    const http = createHttp(transport, NO_WAIT);
+    const found = await verifyXml(http, await fetchDebates(http, WINDOW));
+    assert.deepEqual(Object.fromEntries(found), {
+      "https://data.oireachtas.ie/akn/ie/debateRecord/dail/2025-10-07/debate/mul@/main.xml": true,
+      "https://data.oireachtas.ie/akn/ie/debateRecord/dail/2025-10-08/debate/mul@/main.xml": true,
+      "https://data.oireachtas.ie/akn/ie/debateRecord/seanad/2025-10-08/debate/mul@/main.xml": false,
+    });
+    assert.equal(seen.filter((r) => r.startsWith("HEAD ")).length, 3, "one HEAD per XML file");
+
+    const offline = scripted(new Error("ECONNRESET"), new Error("ECONNRESET"));
+    const unknown = await verifyXml(createHttp(offline.transport, { ...NO_WAIT, retries: 1 }), [
+      { debateRecord: { formats: { xml: { uri: "https://data.example/x.xml" } } } },
+    ]);
+    assert.equal(unknown.get("https://data.example/x.xml"), null);
+  });
+
+  test("updateIndex: added, removed, and indexed dates the API no longer lists", () => {
+    const index = {
+      dates: new Set(["2025-09-01", "2025-10-02", "2025-10-07"]),
+      sittings: new Map(),
+    };
+    const fetched = new Map([
+      ["2025-10-07", { xml: false, sections: [] }],
+      ["2025-10-08", { xml: true, sections: [] }],
+    ]);
+    const { added, removed, unlisted } = updateIndex(index, fetched, WINDOW);
+    assert.deepEqual(added, ["2025-10-08"]);
+    assert.deepEqual(removed, ["2025-10-07"]);
+    assert.deepEqual(unlisted, ["2025-10-02"]);
+    assert.deepEqual(Array.from(index.dates).sort(), ["2025-09-01", "2025-10-02", "2025-10-08"]);
+  });
+
+  test("a sitting split over several records is merged", async () => {
+    const http = createHttp(recorded().transport, NO_WAIT);
+    const results = await fetchDebates(http, WINDOW);
+    const byHouse = extractSittingsByHouse(results, await verifyXml(http, results));
+    assert.deepEqual(byHouse.get("dail").get("2025-10-08").sections, ["Leaders' Questions", "Financial Resolutions"]);
+    assert.equal(byHouse.get("seanad").get("2025-10-08").xml, false);
+  });
+
+  test("writes one index per house from the recorded run; --dry-run writes nothing", async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "dates-"));
+    try {
+      const dail = path.join(root, "data", "available-dates.json");
+      fs.mkdirSync(path.dirname(dail), { recursive: true });
+      fs.writeFileSync(dail, JSON.stringify(["2025-09-30", "2025-10-07"]));
+
+      const http = createHttp(recorded().transport, NO_WAIT);
+      const dry = await updateAvailableDates(http, { ...WINDOW, dryRun: true }, { root });
+      assert.deepEqual(dry.get("dail").added, ["2025-10-08"]);
+      assert.deepEqual(JSON.parse(fs.readFileSync(dail, "utf8")), ["2025-09-30", "2025-10-07"]);
+      assert.equal(fs.existsSync(path.join(root, "data", "available-dates")), false);
+
+      const report = await updateAvailableDates(http, WINDOW, { root });
+      assert.deepEqual(report.get("dail").removed, []);
+      const written = JSON.parse(fs.readFileSync(dail, "utf8"));
+      assert.equal(written.version, 2);
+      assert.deepEqual(written.dates, ["2025-09-30", "2025-10-07", "2025-10-08"]);
+      assert.deepEqual(written.sittings["2025-10-07"], {
+        chamber: "Dáil Éireann",
+        xml: true,
+        volume: "1068",
+        number: "4",
+        status: "revised",
+        sections: ["Leaders' Questions", "Ceisteanna - Questions"],
+      });
+
+      const seanad = JSON.parse(fs.readFileSync(path.join(root, "data", "available-dates", "seanad.json"), "utf8"));
+      assert.deepEqual(seanad.dates, []);
+      assert.equal(seanad.sittings["2025-10-08"].xml, false);
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});